@@ -0,0 +1,53 @@
+import { UserRole } from "../utils/constants.js";
+
+const [SUPER_ADMIN, ADMIN, MANAGER] = UserRole;
+
+const ALL_ROLES = [...UserRole];
+const MANAGEMENT_ROLES = [SUPER_ADMIN, ADMIN, MANAGER];
+const ADMIN_ROLES = [SUPER_ADMIN, ADMIN];
+
+/**
+ * Central permission matrix: permission -> roles allowed to perform it.
+ *
+ * This is the single place to audit who can do what. Routes must guard
+ * actions with `authorize("<resource>:<action>")` instead of checking
+ * `req.user.role` inline.
+ */
+const permissions = {
+  // Tasks (assigned, project and routine)
+  "task:create": ALL_ROLES,
+  "task:read": ALL_ROLES,
+  "task:update": ALL_ROLES,
+  "task:delete": MANAGEMENT_ROLES,
+
+  // Users
+  "user:create": ADMIN_ROLES,
+  "user:read": ALL_ROLES,
+  "user:update": ADMIN_ROLES,
+  "user:delete": ADMIN_ROLES,
+
+  // Sessions of other users (own sessions only need authentication)
+  "session:manage": ADMIN_ROLES,
+
+  // Departments
+  "department:read": ALL_ROLES,
+  "department:manage": ADMIN_ROLES,
+
+  // Organization
+  "organization:manage": [SUPER_ADMIN],
+
+  // Trash bin: listing and restoring soft-deleted records
+  "trash:manage": ADMIN_ROLES,
+
+  // Recurring task templates
+  "taskTemplate:read": ALL_ROLES,
+  "taskTemplate:manage": MANAGEMENT_ROLES,
+};
+
+/**
+ * Check whether a role holds a permission. Unknown permissions are denied.
+ */
+export const hasPermission = (role, permission) =>
+  Boolean(permissions[permission]?.includes(role));
+
+export default permissions;
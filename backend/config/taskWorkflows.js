@@ -0,0 +1,84 @@
+import { UserRole } from "../utils/constants.js";
+
+const [SUPER_ADMIN, ADMIN, MANAGER] = UserRole;
+
+const ALL_ROLES = [...UserRole];
+const MANAGEMENT_ROLES = [SUPER_ADMIN, ADMIN, MANAGER];
+
+/**
+ * Status workflow per task type.
+ *
+ * `initial` lists the statuses a task may be created in. `transitions` maps
+ * current status -> next status -> roles allowed to make that move; a move
+ * that is not listed is not allowed for anyone. Task models enforce this on
+ * save and findOneAndUpdate and record every transition in the task's
+ * activity history.
+ *
+ * Organizations with their own statuses fall back to the same rules by
+ * status category: `initialCategories` and `categoryTransitions` apply to
+ * any move involving a status that `transitions` does not name.
+ */
+const workflows = {
+  AssignedTask: {
+    initial: ["To Do", "Pending"],
+    transitions: {
+      "To Do": { "In Progress": ALL_ROLES, Pending: ALL_ROLES },
+      "In Progress": {
+        "To Do": ALL_ROLES,
+        Pending: ALL_ROLES,
+        Completed: ALL_ROLES,
+      },
+      // Work parked as pending is signed off by management
+      Pending: {
+        "To Do": ALL_ROLES,
+        "In Progress": ALL_ROLES,
+        Completed: MANAGEMENT_ROLES,
+      },
+      // Reopening finished work
+      Completed: { "In Progress": MANAGEMENT_ROLES },
+    },
+    initialCategories: ["open"],
+    categoryTransitions: {
+      open: { open: ALL_ROLES, active: ALL_ROLES },
+      active: { open: ALL_ROLES, active: ALL_ROLES, done: ALL_ROLES },
+      done: { active: MANAGEMENT_ROLES },
+    },
+  },
+
+  ProjectTask: {
+    initial: ["To Do", "Pending"],
+    transitions: {
+      "To Do": { "In Progress": ALL_ROLES, Pending: ALL_ROLES },
+      // Vendor work is always signed off by management
+      "In Progress": {
+        "To Do": ALL_ROLES,
+        Pending: ALL_ROLES,
+        Completed: MANAGEMENT_ROLES,
+      },
+      Pending: {
+        "To Do": ALL_ROLES,
+        "In Progress": ALL_ROLES,
+        Completed: MANAGEMENT_ROLES,
+      },
+      Completed: { "In Progress": MANAGEMENT_ROLES },
+    },
+    initialCategories: ["open"],
+    categoryTransitions: {
+      open: { open: ALL_ROLES, active: ALL_ROLES },
+      active: { open: ALL_ROLES, active: ALL_ROLES, done: MANAGEMENT_ROLES },
+      done: { active: MANAGEMENT_ROLES },
+    },
+  },
+
+  // Routine logs record work already done, so they may start completed.
+  // They keep the fixed RoutineTaskStatus set rather than custom statuses
+  RoutineTask: {
+    initial: ["Completed", "Pending"],
+    transitions: {
+      Pending: { Completed: ALL_ROLES },
+      Completed: { Pending: MANAGEMENT_ROLES },
+    },
+  },
+};
+
+export default workflows;
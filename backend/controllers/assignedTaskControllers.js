@@ -0,0 +1,203 @@
+// backend/controllers/assignedTaskControllers.js
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+import { AssignedTask } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import { getTenantFilter, getPaginationMeta } from "../utils/helpers.js";
+import { getOrganizationSettings } from "../utils/organizationSettings.js";
+
+// Reference fields populated on assigned task responses
+const USER_SUMMARY_FIELDS = "firstName lastName email position role";
+const ASSIGNED_TASK_POPULATE = [
+  { path: "assignees", select: USER_SUMMARY_FIELDS },
+  { path: "watchers", select: USER_SUMMARY_FIELDS },
+  { path: "createdBy", select: USER_SUMMARY_FIELDS },
+];
+
+// @desc    Create a new assigned task in the caller's department
+// @route   POST /api/tasks/assigned
+// @access  Private
+export const createAssignedTask = asyncHandler(async (req, res, next) => {
+  try {
+    const { defaultTaskPriority } = await getOrganizationSettings(req.user);
+
+    const task = new AssignedTask({
+      priority: defaultTaskPriority,
+      ...req.validated.body,
+      ...getTenantFilter(req.user),
+      createdBy: req.user._id,
+    });
+    await task.save();
+    await task.populate(ASSIGNED_TASK_POPULATE);
+
+    res.status(201).json({
+      success: true,
+      message: "Assigned task created successfully",
+      data: task,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    List assigned tasks in the caller's department
+// @route   GET /api/tasks/assigned
+// @access  Private
+export const getAssignedTasks = asyncHandler(async (req, res, next) => {
+  try {
+    // Tenant scope and isDeleted are already part of the parsed filter
+    const { page, limit, filter, sort, select } = req.validated.query;
+
+    const result = await AssignedTask.paginate(filter, {
+      page,
+      limit,
+      sort,
+      select,
+      populate: ASSIGNED_TASK_POPULATE,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Assigned tasks retrieved successfully",
+      data: result.docs,
+      pagination: getPaginationMeta(result),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a single assigned task
+// @route   GET /api/tasks/assigned/:taskId
+// @access  Private
+export const getAssignedTask = asyncHandler(async (req, res, next) => {
+  try {
+    const { taskId } = req.validated.params;
+
+    const task = await AssignedTask.findOne({
+      _id: taskId,
+      ...getTenantFilter(req.user),
+      isDeleted: false,
+    }).populate(ASSIGNED_TASK_POPULATE);
+
+    if (!task) {
+      return next(
+        new CustomError("Assigned task not found", 404, "TASK_NOT_FOUND_ERROR")
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Assigned task retrieved successfully",
+      data: task,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update an assigned task
+// @route   PATCH /api/tasks/assigned/:taskId
+// @access  Private
+export const updateAssignedTask = asyncHandler(async (req, res, next) => {
+  try {
+    const { taskId } = req.validated.params;
+    const updates = req.validated.body;
+    const filter = {
+      _id: taskId,
+      ...getTenantFilter(req.user),
+      isDeleted: false,
+    };
+
+    const existingTask = await AssignedTask.findOne(filter)
+      .select("startDate dueDate")
+      .lean();
+
+    if (!existingTask) {
+      return next(
+        new CustomError("Assigned task not found", 404, "TASK_NOT_FOUND_ERROR")
+      );
+    }
+
+    // Date ordering against the stored value when only one side changes
+    const startDate = new Date(updates.startDate || existingTask.startDate);
+    const dueDate = new Date(updates.dueDate || existingTask.dueDate);
+    if (dueDate < startDate) {
+      return next(
+        new CustomError(
+          "Due date must be greater than or equal to start date",
+          400,
+          "VALIDATION_ERROR"
+        )
+      );
+    }
+
+    // findOneAndUpdate runs the model's assignee, date and status workflow
+    // hooks; the actor's role gates status transitions
+    const task = await AssignedTask.findOneAndUpdate(
+      filter,
+      { $set: updates },
+      { new: true, actor: req.user }
+    ).populate(ASSIGNED_TASK_POPULATE);
+
+    if (!task) {
+      return next(
+        new CustomError("Assigned task not found", 404, "TASK_NOT_FOUND_ERROR")
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Assigned task updated successfully",
+      data: task,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Soft delete an assigned task and cascade to its children
+// @route   DELETE /api/tasks/assigned/:taskId
+// @access  Private
+export const deleteAssignedTask = asyncHandler(async (req, res, next) => {
+  const { taskId } = req.validated.params;
+
+  // Start a new session for transaction
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const task = await AssignedTask.findOne({
+      _id: taskId,
+      ...getTenantFilter(req.user),
+      isDeleted: false,
+    }).session(session);
+
+    if (!task) {
+      throw new CustomError(
+        "Assigned task not found",
+        404,
+        "TASK_NOT_FOUND_ERROR"
+      );
+    }
+
+    // Saving triggers the BaseTask cascade soft-delete hook
+    task.isDeleted = true;
+    task.deletedBy = req.user._id;
+    await task.save({ session });
+
+    // Commit transaction
+    await session.commitTransaction();
+
+    res.status(200).json({
+      success: true,
+      message: "Assigned task deleted successfully",
+      data: { deleteBatchId: task.deleteBatchId },
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
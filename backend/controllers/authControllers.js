@@ -1,15 +1,166 @@
 // backend/controllers/authController.js
 import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
 import asyncHandler from "express-async-handler";
 import { Organization, Department, User } from "../models/index.js";
 import {
   generateAccessToken,
-  generateRefreshToken,
   getAccessTokenCookieOptions,
   getRefreshTokenCookieOptions,
+  generateEmailVerificationToken,
+  generatePasswordResetToken,
+  hashToken,
+  generateMfaChallengeToken,
+  EMAIL_VERIFICATION_PURPOSE,
+  MFA_CHALLENGE_PURPOSE,
 } from "../utils/generateTokens.js";
 import CustomError from "../errorHandler/CustomError.js";
 import checkUserStatus from "../utils/userStatus.js";
+import {
+  getSessionContext,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeTokenFamily,
+  revokeUserRefreshTokens,
+} from "../utils/refreshTokens.js";
+import {
+  isMfaRequired,
+  startMfaEnrollment,
+  completeMfaEnrollment,
+  verifyMfaCode,
+} from "../utils/mfa.js";
+import {
+  getLockedUntil,
+  accountLockedError,
+  recordLoginFailure,
+  clearLoginFailures,
+} from "../utils/loginThrottle.js";
+import sendEmail from "../utils/sendEmail.js";
+import {
+  buildClientLink,
+  emailVerificationTemplate,
+  passwordResetTemplate,
+} from "../utils/emailTemplates.js";
+
+// Email a fresh, signed verification link to the user
+const sendVerificationEmail = async (user) => {
+  const token = generateEmailVerificationToken(user._id, user.email);
+  const link = buildClientLink("/verify-email", token);
+  await sendEmail({
+    to: user.email,
+    ...emailVerificationTemplate({ firstName: user.firstName, link }),
+  });
+};
+
+// Start a session for an authenticated user: issue tokens and set cookies.
+// Returns the user payload for the response.
+const startUserSession = async (req, res, user) => {
+  // Login fully succeeded, including any second factor
+  await clearLoginFailures(user.email);
+
+  const { token: refreshToken, family } = await issueRefreshToken(
+    user._id,
+    getSessionContext(req)
+  );
+  const accessToken = generateAccessToken(user._id, family);
+
+  // Set cookies
+  res.cookie("access_token", accessToken, getAccessTokenCookieOptions());
+  res.cookie("refresh_token", refreshToken, getRefreshTokenCookieOptions());
+
+  // Remove password from response
+  const userResponse = user.toObject();
+  delete userResponse.password;
+  return userResponse;
+};
+
+// MFA fields written back after a challenge step
+const MFA_STATE_FIELDS = [
+  "enabled",
+  "secret",
+  "pendingSecret",
+  "recoveryCodes",
+  "lastUsedStep",
+  "enabledAt",
+];
+
+// The challenge user has populated tenant refs, which the department
+// consistency check would reject on save(), so only its MFA state is written,
+// with the schema validators of those paths
+const saveMfaState = (user) => {
+  const update = { $set: {}, $unset: {} };
+  for (const field of MFA_STATE_FIELDS) {
+    const value = user.mfa[field];
+    if (value === undefined) update.$unset[`mfa.${field}`] = "";
+    else update.$set[`mfa.${field}`] = value;
+  }
+  return User.updateOne({ _id: user._id }, update, { runValidators: true });
+};
+
+// Record a failed password or MFA attempt. Returns the lockout error when this
+// attempt locked the account, otherwise the given error.
+const failedAttemptError = async (req, res, email, user, error) => {
+  const lockedUntil = await recordLoginFailure(
+    email,
+    user,
+    getSessionContext(req)
+  );
+  return lockedUntil ? accountLockedError(res, lockedUntil) : error;
+};
+
+// Resolve the user behind an MFA challenge token and check their status
+const loadChallengeUser = async (challengeToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_MFA_SECRET);
+  } catch (jwtError) {
+    if (jwtError.name === "TokenExpiredError") {
+      throw new CustomError(
+        "MFA challenge has expired. Please log in again",
+        401,
+        "MFA_CHALLENGE_EXPIRED_ERROR"
+      );
+    }
+    throw new CustomError(
+      "Invalid MFA challenge",
+      401,
+      "INVALID_MFA_CHALLENGE_ERROR"
+    );
+  }
+
+  if (decoded.purpose !== MFA_CHALLENGE_PURPOSE) {
+    throw new CustomError(
+      "Invalid MFA challenge",
+      401,
+      "INVALID_MFA_CHALLENGE_ERROR"
+    );
+  }
+
+  const user = await User.findById(decoded.userId)
+    .select(
+      "+mfa.secret +mfa.pendingSecret +mfa.recoveryCodes +mfa.lastUsedStep"
+    )
+    .populate({ path: "organization", select: "name isDeleted settings" })
+    .populate({
+      path: "department",
+      select: "name organization isDeleted",
+    });
+
+  if (!user) {
+    throw new CustomError(
+      "Invalid MFA challenge",
+      401,
+      "INVALID_MFA_CHALLENGE_ERROR"
+    );
+  }
+
+  const userStatus = checkUserStatus(user);
+  if (userStatus.status) {
+    throw new CustomError(userStatus.message, 401, userStatus.errorCode);
+  }
+
+  return user;
+};
 
 // @desc    Register a new organization and associate department and SuperAdmin user
 // @route   POST /api/auth/register
@@ -63,19 +214,27 @@ export const registerOrganization = asyncHandler(async (req, res, next) => {
     });
     await adminUser.save({ session });
 
-    // Email verification here
-
     // Commit transaction
     await session.commitTransaction();
 
+    // Email verification; a delivery failure must not undo the registration
+    let verificationEmailSent = true;
+    try {
+      await sendVerificationEmail(adminUser);
+    } catch (emailError) {
+      verificationEmailSent = false;
+      console.error("Failed to send verification email:", emailError.message);
+    }
+
     // Send response
     res.status(201).json({
       success: true,
-      message:
-        "Organization, department and super admin user created successfully",
+      message: verificationEmailSent
+        ? "Organization, department and super admin user created successfully. Please check your email to verify your account"
+        : "Organization, department and super admin user created successfully, but the verification email could not be sent. Please request a new one",
     });
   } catch (error) {
-    await session.abortTransaction();
+    if (session.inTransaction()) await session.abortTransaction();
     next(error);
   } finally {
     session.endSession();
@@ -89,22 +248,32 @@ export const loginUser = asyncHandler(async (req, res, next) => {
   try {
     const { email, password } = req.validated.body;
 
+    // Refuse attempts while the account is locked out
+    const lockedUntil = await getLockedUntil(email);
+    if (lockedUntil) return next(accountLockedError(res, lockedUntil));
+
     // Find user with organization and department details
     const user = await User.findOne({ email })
       .select("+password")
-      .populate({ path: "organization", select: "name isDeleted" })
+      .populate({ path: "organization", select: "name isDeleted settings" })
       .populate({
         path: "department",
         select: "name organization isDeleted",
       });
 
-    // Check if user exists
+    // Check if user exists; unknown emails are throttled the same way
     if (!user) {
       return next(
-        new CustomError(
-          "Invalid email or password",
-          401,
-          "INVALID_CREDENTIALS_ERROR"
+        await failedAttemptError(
+          req,
+          res,
+          email,
+          null,
+          new CustomError(
+            "Invalid email or password",
+            401,
+            "INVALID_CREDENTIALS_ERROR"
+          )
         )
       );
     }
@@ -120,25 +289,35 @@ export const loginUser = asyncHandler(async (req, res, next) => {
     // Verify password
     if (!(await user.comparePassword(password))) {
       return next(
-        new CustomError(
-          "Invalid email or password",
-          401,
-          "INVALID_CREDENTIALS_ERROR"
+        await failedAttemptError(
+          req,
+          res,
+          email,
+          user,
+          new CustomError(
+            "Invalid email or password",
+            401,
+            "INVALID_CREDENTIALS_ERROR"
+          )
         )
       );
     }
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
-
-    // Set cookies
-    res.cookie("access_token", accessToken, getAccessTokenCookieOptions());
-    res.cookie("refresh_token", refreshToken, getRefreshTokenCookieOptions());
+    // Second factor: enrolled users, or privileged users whose organization
+    // requires MFA and who must enroll before a session is issued
+    if (user.mfa?.enabled || isMfaRequired(user)) {
+      return res.status(200).json({
+        success: true,
+        message: "MFA verification required",
+        data: {
+          mfaRequired: true,
+          enrollmentRequired: !user.mfa?.enabled,
+          challengeToken: generateMfaChallengeToken(user._id),
+        },
+      });
+    }
 
-    // Remove password from response
-    const userResponse = user.toObject();
-    delete userResponse.password;
+    const userResponse = await startUserSession(req, res, user);
 
     res.status(200).json({
       success: true,
@@ -158,6 +337,9 @@ export const logoutUser = asyncHandler(async (req, res, next) => {
     // User is already authenticated via verifyJWT middleware
     // We can access the user via req.user
 
+    // End the current session server-side so neither cookie can be replayed
+    await revokeTokenFamily(req.sessionFamily);
+
     // Clear cookies
     res.clearCookie("access_token", {
       httpOnly: true,
@@ -200,11 +382,36 @@ export const getRefreshToken = asyncHandler(async (req, res, next) => {
       );
     }
 
+    // Rotate the refresh token; losing the race to a concurrent refresh with
+    // the same token is treated as reuse
+    const newRefreshToken = await rotateRefreshToken(
+      req.refreshToken,
+      getSessionContext(req)
+    );
+    if (!newRefreshToken) {
+      await revokeTokenFamily(req.refreshToken.family);
+      return next(
+        new CustomError(
+          "Refresh token has been revoked. Please log in again",
+          401,
+          "REFRESH_TOKEN_REUSE_ERROR"
+        )
+      );
+    }
+
     // Generate new access token
-    const newAccessToken = generateAccessToken(user._id);
+    const newAccessToken = generateAccessToken(
+      user._id,
+      req.refreshToken.family
+    );
 
-    // Set new access token cookie
+    // Set new access and refresh token cookies
     res.cookie("access_token", newAccessToken, getAccessTokenCookieOptions());
+    res.cookie(
+      "refresh_token",
+      newRefreshToken,
+      getRefreshTokenCookieOptions()
+    );
 
     // Prepare user response without internal flags
     const userResponse =
@@ -248,3 +455,269 @@ export const getRefreshToken = asyncHandler(async (req, res, next) => {
     next(error);
   }
 });
+
+// @desc    Confirm a user's email address using the signed verification token
+// @route   POST /api/auth/verify-email
+// @access  Public
+export const verifyEmail = asyncHandler(async (req, res, next) => {
+  try {
+    const { token } = req.validated.body;
+
+    // Verify token signature, expiry and purpose
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_EMAIL_VERIFICATION_SECRET);
+    } catch (jwtError) {
+      if (jwtError.name === "TokenExpiredError") {
+        return next(
+          new CustomError(
+            "Verification link has expired. Please request a new one",
+            400,
+            "EMAIL_VERIFICATION_TOKEN_EXPIRED_ERROR"
+          )
+        );
+      }
+      return next(
+        new CustomError(
+          "Invalid verification link",
+          400,
+          "INVALID_EMAIL_VERIFICATION_TOKEN_ERROR"
+        )
+      );
+    }
+
+    if (decoded.purpose !== EMAIL_VERIFICATION_PURPOSE) {
+      return next(
+        new CustomError(
+          "Invalid verification link",
+          400,
+          "INVALID_EMAIL_VERIFICATION_TOKEN_ERROR"
+        )
+      );
+    }
+
+    // Token is bound to the email it was issued for
+    const user = await User.findOne({
+      _id: decoded.userId,
+      email: decoded.email,
+      isDeleted: false,
+    });
+
+    if (!user) {
+      return next(
+        new CustomError(
+          "Invalid verification link",
+          400,
+          "INVALID_EMAIL_VERIFICATION_TOKEN_ERROR"
+        )
+      );
+    }
+
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Email verified successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Resend the email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Public - Rate limited per email address
+export const resendVerificationEmail = asyncHandler(async (req, res, next) => {
+  try {
+    const { email } = req.validated.body;
+
+    const user = await User.findOne({
+      email,
+      isDeleted: false,
+      isEmailVerified: false,
+    });
+
+    if (user) await sendVerificationEmail(user);
+
+    // Same response whether or not an account exists, to avoid enumeration
+    res.status(200).json({
+      success: true,
+      message:
+        "If an unverified account exists for this email, a verification link has been sent",
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Email a single-use password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public - Rate limited per email address
+export const forgotPassword = asyncHandler(async (req, res, next) => {
+  try {
+    const { email } = req.validated.body;
+
+    const user = await User.findOne({ email, isDeleted: false });
+
+    if (user) {
+      // Only the hash is stored; a new request replaces any pending token
+      const { token, hashedToken, expiresAt } = generatePasswordResetToken();
+      user.passwordResetToken = hashedToken;
+      user.passwordResetExpires = expiresAt;
+      await user.save();
+
+      const link = buildClientLink("/reset-password", token);
+      await sendEmail({
+        to: user.email,
+        ...passwordResetTemplate({ firstName: user.firstName, link }),
+      });
+    }
+
+    // Same response whether or not an account exists, to avoid enumeration
+    res.status(200).json({
+      success: true,
+      message:
+        "If an account exists for this email, a password reset link has been sent",
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Set a new password using a password reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+export const resetPassword = asyncHandler(async (req, res, next) => {
+  try {
+    const { token, password } = req.validated.body;
+
+    const user = await User.findOne({
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+      isDeleted: false,
+    });
+
+    if (!user) {
+      return next(
+        new CustomError(
+          "Password reset link is invalid or has expired",
+          400,
+          "INVALID_PASSWORD_RESET_TOKEN_ERROR"
+        )
+      );
+    }
+
+    // Hashed by the pre-save hook, which also stamps passwordChangedAt so
+    // every refresh token issued before now is rejected
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Sign out every existing session
+    await revokeUserRefreshTokens(user._id);
+
+    res.status(200).json({
+      success: true,
+      message:
+        "Password reset successfully. Please log in with your new password",
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Start MFA enrollment during login when the organization requires it
+// @route   POST /api/auth/mfa/challenge/setup
+// @access  Public - Requires a valid MFA challenge token
+export const setupMfaChallenge = asyncHandler(async (req, res, next) => {
+  try {
+    const { challengeToken } = req.validated.body;
+    const user = await loadChallengeUser(challengeToken);
+
+    if (user.mfa.enabled) {
+      return next(
+        new CustomError(
+          "MFA is already enabled for this account",
+          409,
+          "MFA_ALREADY_ENABLED_ERROR"
+        )
+      );
+    }
+
+    const enrollment = startMfaEnrollment(user);
+    await saveMfaState(user);
+
+    res.status(200).json({
+      success: true,
+      message: "Scan the QR code with your authenticator app",
+      data: enrollment,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Complete a two-step login with a TOTP or recovery code
+// @route   POST /api/auth/mfa/verify
+// @access  Public - Requires a valid MFA challenge token
+export const verifyMfaLogin = asyncHandler(async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.validated.body;
+    const user = await loadChallengeUser(challengeToken);
+
+    // MFA failures count towards the same lockout as password failures
+    const lockedUntil = await getLockedUntil(user.email);
+    if (lockedUntil) return next(accountLockedError(res, lockedUntil));
+
+    const invalidCodeError = new CustomError(
+      "Invalid MFA code",
+      401,
+      "INVALID_MFA_CODE_ERROR"
+    );
+
+    let recoveryCodes;
+    if (user.mfa.enabled) {
+      if (!verifyMfaCode(user, code)) {
+        return next(
+          await failedAttemptError(req, res, user.email, user, invalidCodeError)
+        );
+      }
+    } else {
+      // Enrollment required by the organization
+      if (!user.mfa.pendingSecret) {
+        return next(
+          new CustomError(
+            "MFA setup must be started before it can be verified",
+            400,
+            "MFA_SETUP_REQUIRED_ERROR"
+          )
+        );
+      }
+      recoveryCodes = completeMfaEnrollment(user, code);
+      if (!recoveryCodes) {
+        return next(
+          await failedAttemptError(req, res, user.email, user, invalidCodeError)
+        );
+      }
+    }
+
+    // Persist the used step or consumed recovery code before issuing tokens
+    await saveMfaState(user);
+
+    const userResponse = await startUserSession(req, res, user);
+
+    res.status(200).json({
+      success: true,
+      message: "Login successful",
+      // Recovery codes from a required enrollment, shaped like /mfa/enable
+      data: recoveryCodes ? { ...userResponse, recoveryCodes } : userResponse,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
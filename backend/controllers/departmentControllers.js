@@ -0,0 +1,279 @@
+// backend/controllers/departmentControllers.js
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+import { Department, BaseTask } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import { previewCascade } from "../utils/cascade.js";
+import {
+  escapeRegex,
+  getManagedScope,
+  getPaginationMeta,
+  getTenantFilter,
+} from "../utils/helpers.js";
+
+// Reference fields populated on department responses
+const DEPARTMENT_POPULATE = [
+  { path: "createdBy", select: "firstName lastName email position role" },
+];
+
+// Concrete task types counted separately in the delete impact
+const TASK_TYPES = Object.keys(BaseTask.discriminators || {});
+
+const departmentNotFound = () =>
+  new CustomError("Department not found", 404, "DEPARTMENT_NOT_FOUND_ERROR");
+
+// Map the unique {organization, name} index violation to a clear conflict
+const toDepartmentConflictError = (error) => {
+  if (error?.code === 11000 && error.keyPattern?.name) {
+    return new CustomError(
+      "Department name already exists in this organization",
+      409,
+      "DEPARTMENT_NAME_EXISTS_ERROR"
+    );
+  }
+  return error;
+};
+
+// Department names are stored lowercased; compare case-insensitively
+const assertNameAvailable = async (name, organization, excludeId) => {
+  const query = {
+    name: { $regex: new RegExp(`^${escapeRegex(name)}$`, "i") },
+    organization,
+    isDeleted: false,
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+  if (await Department.exists(query)) {
+    throw new CustomError(
+      "Department name already exists in this organization",
+      409,
+      "DEPARTMENT_NAME_EXISTS_ERROR"
+    );
+  }
+};
+
+// @desc    Create a department in the caller's organization
+// @route   POST /api/departments
+// @access  Private - Requires department:manage
+export const createDepartment = asyncHandler(async (req, res, next) => {
+  try {
+    const { name, description } = req.validated.body;
+    const { organization } = getTenantFilter(req.user);
+
+    await assertNameAvailable(name, organization);
+
+    const department = new Department({
+      name,
+      description,
+      organization,
+      createdBy: req.user._id,
+    });
+    await department.save();
+    await department.populate(DEPARTMENT_POPULATE);
+
+    res.status(201).json({
+      success: true,
+      message: "Department created successfully",
+      data: department,
+    });
+  } catch (error) {
+    next(toDepartmentConflictError(error));
+  }
+});
+
+// @desc    List departments in the caller's organization
+// @route   GET /api/departments
+// @access  Private - Requires department:read
+export const getDepartments = asyncHandler(async (req, res, next) => {
+  try {
+    const { page, limit, search } = req.validated.query;
+    const { organization } = getTenantFilter(req.user);
+
+    const filter = { organization, isDeleted: false };
+    if (search) filter.name = new RegExp(escapeRegex(search), "i");
+
+    const result = await Department.paginate(filter, {
+      page,
+      limit,
+      sort: { name: 1 },
+      populate: DEPARTMENT_POPULATE,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Departments retrieved successfully",
+      data: result.docs,
+      pagination: getPaginationMeta(result),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a single department
+// @route   GET /api/departments/:departmentId
+// @access  Private - Requires department:read
+export const getDepartment = asyncHandler(async (req, res, next) => {
+  try {
+    const { departmentId } = req.validated.params;
+    const { organization } = getTenantFilter(req.user);
+
+    const department = await Department.findOne({
+      _id: departmentId,
+      organization,
+      isDeleted: false,
+    }).populate(DEPARTMENT_POPULATE);
+
+    if (!department) return next(departmentNotFound());
+
+    res.status(200).json({
+      success: true,
+      message: "Department retrieved successfully",
+      data: department,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update a department's name or description
+// @route   PATCH /api/departments/:departmentId
+// @access  Private - Requires department:manage
+export const updateDepartment = asyncHandler(async (req, res, next) => {
+  try {
+    const { departmentId } = req.validated.params;
+    const updates = req.validated.body;
+
+    const department = await Department.findOne({
+      _id: departmentId,
+      ...getManagedScope(req.user),
+      isDeleted: false,
+    });
+
+    if (!department) return next(departmentNotFound());
+
+    if (updates.name) {
+      await assertNameAvailable(
+        updates.name,
+        department.organization,
+        department._id
+      );
+    }
+
+    // Save so the name/description formatting hook runs
+    department.set(updates);
+    await department.save();
+    await department.populate(DEPARTMENT_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      message: "Department updated successfully",
+      data: department,
+    });
+  } catch (error) {
+    next(toDepartmentConflictError(error));
+  }
+});
+
+// @desc    Count everything a department delete would cascade to
+// @route   GET /api/departments/:departmentId/delete-impact
+// @access  Private - Requires department:manage
+export const getDepartmentDeleteImpact = asyncHandler(
+  async (req, res, next) => {
+    try {
+      const { departmentId } = req.validated.params;
+
+      const department = await Department.findOne({
+        _id: departmentId,
+        ...getManagedScope(req.user),
+        isDeleted: false,
+      })
+        .select("name")
+        .lean();
+
+      if (!department) return next(departmentNotFound());
+
+      // Walks the same cascade graph the delete runs
+      const counts = await previewCascade("Department", department);
+
+      const tasks = TASK_TYPES.reduce(
+        (acc, type) => {
+          acc[type] = counts[type] || 0;
+          acc.total += acc[type];
+          return acc;
+        },
+        { total: 0 }
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Department delete impact retrieved successfully",
+        data: {
+          department,
+          impact: {
+            users: counts.User || 0,
+            tasks,
+            taskTemplates: counts.TaskTemplate || 0,
+            taskActivities: counts.TaskActivity || 0,
+            taskComments: counts.TaskComment || 0,
+            attachments: counts.Attachment || 0,
+            materials: counts.Material || 0,
+            notifications: counts.Notification || 0,
+          },
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Soft delete a department and cascade to everything in it
+// @route   DELETE /api/departments/:departmentId
+// @access  Private - Requires department:manage
+export const deleteDepartment = asyncHandler(async (req, res, next) => {
+  const { departmentId } = req.validated.params;
+
+  // Deleting one's own department would also delete the caller
+  if (String(departmentId) === String(getTenantFilter(req.user).department)) {
+    return next(
+      new CustomError(
+        "You can not delete your own department",
+        403,
+        "FORBIDDEN_ERROR"
+      )
+    );
+  }
+
+  // Start a new session for transaction
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const department = await Department.findOne({
+      _id: departmentId,
+      ...getManagedScope(req.user),
+      isDeleted: false,
+    }).session(session);
+
+    if (!department) throw departmentNotFound();
+
+    // Saving triggers the Department cascade soft-delete hook
+    department.isDeleted = true;
+    department.deletedBy = req.user._id;
+    await department.save({ session });
+
+    // Commit transaction
+    await session.commitTransaction();
+
+    res.status(200).json({
+      success: true,
+      message: "Department deleted successfully",
+      data: { deleteBatchId: department.deleteBatchId },
+    });
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
@@ -0,0 +1,314 @@
+// backend/controllers/invitationControllers.js
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+import { Department, Invitation, User } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import {
+  getManagedScope,
+  getTenantFilter,
+  getPaginationMeta,
+} from "../utils/helpers.js";
+import { DepartmentUniqueRoles } from "../utils/constants.js";
+import {
+  assertRoleAssignable,
+  toUserConflictError,
+} from "../utils/userPolicy.js";
+import { generateInvitationToken, hashToken } from "../utils/generateTokens.js";
+import sendEmail from "../utils/sendEmail.js";
+import {
+  buildClientLink,
+  invitationTemplate,
+} from "../utils/emailTemplates.js";
+
+// Reference fields populated on invitation responses
+const USER_SUMMARY_FIELDS = "firstName lastName email position role";
+const INVITATION_POPULATE = [
+  { path: "department", select: "name" },
+  { path: "invitedBy", select: USER_SUMMARY_FIELDS },
+];
+
+const ROLE_TAKEN_MESSAGE = "This role is already assigned in the department";
+
+// SuperAdmin/Admin are unique per department, counting pending invitations.
+// The invitee's own pending invitation does not count: re-inviting replaces it
+const assertRoleAvailable = async (departmentId, role, email) => {
+  if (!DepartmentUniqueRoles.includes(role)) return;
+
+  const [userExists, invitationExists] = await Promise.all([
+    User.exists({ department: departmentId, role, isDeleted: false }),
+    Invitation.exists({
+      department: departmentId,
+      role,
+      email: { $ne: email },
+      status: "Pending",
+      expiresAt: { $gt: new Date() },
+    }),
+  ]);
+
+  if (userExists || invitationExists) {
+    throw new CustomError(
+      userExists
+        ? ROLE_TAKEN_MESSAGE
+        : "A pending invitation for this role already exists in the department",
+      409,
+      "ROLE_ALREADY_ASSIGNED_ERROR"
+    );
+  }
+};
+
+// @desc    Invite a user to a department with a role
+// @route   POST /api/users/invitations
+// @access  Private - Requires user:create
+export const createInvitation = asyncHandler(async (req, res, next) => {
+  const { email, role } = req.validated.body;
+  const { organization, department: ownDepartment } = getTenantFilter(req.user);
+  const departmentId = req.validated.body.department || ownDepartment;
+
+  // Start a new session for transaction
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    assertRoleAssignable(req.user.role, role);
+
+    // Department must be active and within the caller's managed scope
+    const department = await Department.findOne({
+      _id: departmentId,
+      ...getManagedScope(req.user),
+      isDeleted: false,
+    })
+      .select("name")
+      .lean();
+
+    if (!department) {
+      throw new CustomError(
+        "Department not found",
+        404,
+        "DEPARTMENT_NOT_FOUND_ERROR"
+      );
+    }
+
+    // Login looks accounts up by email alone, so an address can only have
+    // one active account across all organizations
+    if (await User.exists({ email, isDeleted: false })) {
+      throw new CustomError(
+        "A user with this email already exists",
+        409,
+        "USER_ALREADY_EXISTS_ERROR"
+      );
+    }
+
+    await assertRoleAvailable(department._id, role, email);
+
+    // Re-inviting replaces any pending invitation for the same email
+    await Invitation.updateMany(
+      { organization, email, status: "Pending" },
+      {
+        $set: {
+          status: "Revoked",
+          revokedAt: new Date(),
+          revokedBy: req.user._id,
+        },
+      },
+      { session }
+    );
+
+    const { token, hashedToken, expiresAt } = generateInvitationToken();
+    const invitation = new Invitation({
+      email,
+      role,
+      organization,
+      department: department._id,
+      invitedBy: req.user._id,
+      tokenHash: hashedToken,
+      expiresAt,
+    });
+    await invitation.save({ session });
+
+    // An invitation nobody received is useless: if sending fails the
+    // transaction is aborted and the previous invitation stays pending
+    await sendEmail({
+      to: email,
+      ...invitationTemplate({
+        organizationName: req.user.organization.name,
+        departmentName: department.name,
+        role,
+        inviterName: `${req.user.firstName} ${req.user.lastName}`,
+        link: buildClientLink("/accept-invitation", token),
+      }),
+    });
+
+    // Commit transaction
+    await session.commitTransaction();
+
+    await invitation.populate(INVITATION_POPULATE);
+
+    res.status(201).json({
+      success: true,
+      message: "Invitation sent successfully",
+      data: invitation,
+    });
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
+// @desc    List invitations in the caller's managed scope
+// @route   GET /api/users/invitations
+// @access  Private - Requires user:create
+export const getInvitations = asyncHandler(async (req, res, next) => {
+  try {
+    const { page, limit, status } = req.validated.query;
+
+    const filter = { ...getManagedScope(req.user) };
+    if (status) filter.status = status;
+
+    const result = await Invitation.paginate(filter, {
+      page,
+      limit,
+      sort: { createdAt: -1 },
+      populate: INVITATION_POPULATE,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Invitations retrieved successfully",
+      data: result.docs,
+      pagination: getPaginationMeta(result),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/users/invitations/:invitationId
+// @access  Private - Requires user:create
+export const revokeInvitation = asyncHandler(async (req, res, next) => {
+  try {
+    const { invitationId } = req.validated.params;
+
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: invitationId, ...getManagedScope(req.user), status: "Pending" },
+      {
+        $set: {
+          status: "Revoked",
+          revokedAt: new Date(),
+          revokedBy: req.user._id,
+        },
+      },
+      { new: true }
+    ).populate(INVITATION_POPULATE);
+
+    if (!invitation) {
+      return next(
+        new CustomError(
+          "Pending invitation not found",
+          404,
+          "INVITATION_NOT_FOUND_ERROR"
+        )
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Invitation revoked successfully",
+      data: invitation,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Accept an invitation by setting name, position and password
+// @route   POST /api/auth/accept-invitation
+// @access  Public
+export const acceptInvitation = asyncHandler(async (req, res, next) => {
+  const { token, firstName, lastName, position, password } = req.validated.body;
+
+  // Start a new session for transaction
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const invitation = await Invitation.findOne({
+      tokenHash: hashToken(token),
+      status: "Pending",
+      expiresAt: { $gt: new Date() },
+    }).session(session);
+
+    if (!invitation) {
+      throw new CustomError(
+        "Invitation is invalid, revoked or has expired",
+        400,
+        "INVALID_INVITATION_TOKEN_ERROR"
+      );
+    }
+
+    // Department (and with it the organization) must still be active
+    const department = await Department.exists({
+      _id: invitation.department,
+      organization: invitation.organization,
+      isDeleted: false,
+    }).session(session);
+
+    if (!department) {
+      throw new CustomError(
+        "The department this invitation was for no longer exists",
+        400,
+        "INVALID_INVITATION_TOKEN_ERROR"
+      );
+    }
+
+    // The address may have been registered since the invitation was sent
+    const emailTaken = await User.exists({
+      email: invitation.email,
+      isDeleted: false,
+    }).session(session);
+
+    if (emailTaken) {
+      throw new CustomError(
+        "A user with this email already exists",
+        409,
+        "USER_ALREADY_EXISTS_ERROR"
+      );
+    }
+
+    // The emailed link proves ownership of the address
+    const now = new Date();
+    const user = new User({
+      firstName,
+      lastName,
+      position,
+      email: invitation.email,
+      password,
+      role: invitation.role,
+      organization: invitation.organization,
+      department: invitation.department,
+      isEmailVerified: true,
+      emailVerifiedAt: now,
+    });
+    await user.save({ session });
+
+    invitation.status = "Accepted";
+    invitation.acceptedAt = now;
+    invitation.acceptedUser = user._id;
+    await invitation.save({ session });
+
+    // Commit transaction
+    await session.commitTransaction();
+
+    res.status(201).json({
+      success: true,
+      message: "Invitation accepted successfully. You can now log in",
+    });
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    next(toUserConflictError(error));
+  } finally {
+    session.endSession();
+  }
+});
@@ -0,0 +1,188 @@
+// backend/controllers/mfaControllers.js
+import asyncHandler from "express-async-handler";
+import { User } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import {
+  isMfaRequired,
+  startMfaEnrollment,
+  completeMfaEnrollment,
+  verifyMfaCode,
+  generateRecoveryCodes,
+  resetMfa,
+} from "../utils/mfa.js";
+
+// MFA secrets are never selected by default
+const MFA_SECRET_FIELDS =
+  "+mfa.secret +mfa.pendingSecret +mfa.recoveryCodes +mfa.lastUsedStep";
+
+// Reload the authenticated user with MFA secrets (and optionally the password)
+const findUserWithMfa = (userId, extraFields = "") =>
+  User.findById(userId).select(`${MFA_SECRET_FIELDS} ${extraFields}`.trim());
+
+// @desc    Start TOTP enrollment and return the secret for the QR code
+// @route   POST /api/auth/mfa/setup
+// @access  Private
+export const setupMfa = asyncHandler(async (req, res, next) => {
+  try {
+    const user = await findUserWithMfa(req.user._id);
+
+    if (user.mfa.enabled) {
+      return next(
+        new CustomError(
+          "MFA is already enabled for this account",
+          409,
+          "MFA_ALREADY_ENABLED_ERROR"
+        )
+      );
+    }
+
+    const enrollment = startMfaEnrollment(user);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Scan the QR code with your authenticator app",
+      data: enrollment,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Confirm TOTP enrollment and return one-time recovery codes
+// @route   POST /api/auth/mfa/enable
+// @access  Private
+export const enableMfa = asyncHandler(async (req, res, next) => {
+  try {
+    const { code } = req.validated.body;
+    const user = await findUserWithMfa(req.user._id);
+
+    if (user.mfa.enabled) {
+      return next(
+        new CustomError(
+          "MFA is already enabled for this account",
+          409,
+          "MFA_ALREADY_ENABLED_ERROR"
+        )
+      );
+    }
+
+    if (!user.mfa.pendingSecret) {
+      return next(
+        new CustomError(
+          "MFA setup must be started before it can be verified",
+          400,
+          "MFA_SETUP_REQUIRED_ERROR"
+        )
+      );
+    }
+
+    const recoveryCodes = completeMfaEnrollment(user, code);
+    if (!recoveryCodes) {
+      return next(
+        new CustomError("Invalid MFA code", 401, "INVALID_MFA_CODE_ERROR")
+      );
+    }
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message:
+        "MFA enabled successfully. Store the recovery codes somewhere safe",
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Disable MFA after confirming the password and a current code
+// @route   POST /api/auth/mfa/disable
+// @access  Private
+export const disableMfa = asyncHandler(async (req, res, next) => {
+  try {
+    const { password, code } = req.validated.body;
+
+    if (isMfaRequired(req.user)) {
+      return next(
+        new CustomError(
+          "Your organization requires MFA for your role",
+          403,
+          "MFA_REQUIRED_ERROR"
+        )
+      );
+    }
+
+    const user = await findUserWithMfa(req.user._id, "+password");
+
+    if (!user.mfa.enabled) {
+      return next(
+        new CustomError(
+          "MFA is not enabled for this account",
+          400,
+          "MFA_NOT_ENABLED_ERROR"
+        )
+      );
+    }
+
+    if (!(await user.comparePassword(password))) {
+      return next(
+        new CustomError("Invalid password", 401, "INVALID_CREDENTIALS_ERROR")
+      );
+    }
+
+    if (!verifyMfaCode(user, code)) {
+      return next(
+        new CustomError("Invalid MFA code", 401, "INVALID_MFA_CODE_ERROR")
+      );
+    }
+
+    resetMfa(user);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: "MFA disabled successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Replace all recovery codes after confirming a current code
+// @route   POST /api/auth/mfa/recovery-codes
+// @access  Private
+export const regenerateRecoveryCodes = asyncHandler(async (req, res, next) => {
+  try {
+    const { code } = req.validated.body;
+    const user = await findUserWithMfa(req.user._id);
+
+    if (!user.mfa.enabled) {
+      return next(
+        new CustomError(
+          "MFA is not enabled for this account",
+          400,
+          "MFA_NOT_ENABLED_ERROR"
+        )
+      );
+    }
+
+    if (!verifyMfaCode(user, code)) {
+      return next(
+        new CustomError("Invalid MFA code", 401, "INVALID_MFA_CODE_ERROR")
+      );
+    }
+
+    const { codes, hashedCodes } = generateRecoveryCodes();
+    user.mfa.recoveryCodes = hashedCodes;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Recovery codes regenerated successfully",
+      data: { recoveryCodes: codes },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
@@ -0,0 +1,40 @@
+// backend/controllers/notificationControllers.js
+import asyncHandler from "express-async-handler";
+import { Notification } from "../models/index.js";
+import { getTenantFilter } from "../utils/helpers.js";
+import { paginateByCursor } from "../utils/cursorPagination.js";
+
+// Reference fields populated on notification responses
+const NOTIFICATION_POPULATE = [
+  { path: "createdBy", select: "firstName lastName email position role" },
+];
+
+// @desc    Get the caller's notification feed, newest first
+// @route   GET /api/notifications
+// @access  Private
+export const getNotifications = asyncHandler(async (req, res, next) => {
+  try {
+    const { cursor, limit, unread } = req.validated.query;
+    const { organization } = getTenantFilter(req.user);
+
+    // Leading fields match the { organization, recipients, sentAt } index
+    const filter = { organization, recipients: req.user._id, isDeleted: false };
+    if (unread) filter["readBy.user"] = { $ne: req.user._id };
+
+    const { docs, pagination } = await paginateByCursor(Notification, filter, {
+      cursor,
+      limit,
+      sortField: "sentAt",
+      populate: NOTIFICATION_POPULATE,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Notifications retrieved successfully",
+      data: docs,
+      pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
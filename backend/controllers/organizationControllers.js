@@ -0,0 +1,261 @@
+// backend/controllers/organizationControllers.js
+import asyncHandler from "express-async-handler";
+import { Organization, BaseTask, TaskTemplate } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import { getTenantFilter } from "../utils/helpers.js";
+import {
+  resolveOrganizationSettings,
+  getTaskOptions,
+} from "../utils/organizationSettings.js";
+import { purgeOrganization } from "../utils/retentionPurge.js";
+
+// Reference fields populated on organization responses
+const ORGANIZATION_POPULATE = [
+  { path: "createdBy", select: "firstName lastName email position role" },
+];
+
+const organizationNotFound = () =>
+  new CustomError(
+    "Organization not found",
+    404,
+    "ORGANIZATION_NOT_FOUND_ERROR"
+  );
+
+// Map the unique name/email/phone index violations to a clear conflict
+const toOrganizationConflictError = (error) => {
+  const field = ["name", "email", "phone"].find(
+    (key) => error?.code === 11000 && error.keyPattern?.[key]
+  );
+  if (field) {
+    return new CustomError(
+      `Organization ${field} already exists`,
+      409,
+      "ORGANIZATION_CONFLICT_ERROR"
+    );
+  }
+  return error;
+};
+
+// Name, email and phone are unique across active organizations
+const assertProfileAvailable = async (updates, organizationId) => {
+  for (const field of ["name", "email", "phone"]) {
+    if (updates[field] === undefined) continue;
+    const value =
+      field === "phone" ? updates[field] : updates[field].toLowerCase();
+    const taken = await Organization.exists({
+      [field]: value,
+      _id: { $ne: organizationId },
+      isDeleted: false,
+    });
+    if (taken) {
+      throw new CustomError(
+        `Organization ${field} already exists`,
+        409,
+        "ORGANIZATION_CONFLICT_ERROR"
+      );
+    }
+  }
+};
+
+// Task fields holding a custom status or priority name
+const TASK_OPTION_FIELDS = [
+  ["taskStatuses", "status", "statuses"],
+  ["taskPriorities", "priority", "priorities"],
+];
+
+// A status or priority can only be dropped once no task uses it, nor
+// (priorities) a task template that would generate tasks with it. Tasks and
+// templates in the trash count too: restoring one with an undefined status
+// would leave it stuck. Routine logs keep their own fixed sets and are not
+// affected
+const assertTaskOptionsNotInUse = async (organization, settings) => {
+  const current = resolveOrganizationSettings(organization.settings);
+  const next = resolveOrganizationSettings({ ...current, ...settings });
+
+  for (const [setting, field, label] of TASK_OPTION_FIELDS) {
+    if (settings[setting] === undefined) continue;
+    const kept = next[setting].map((option) => option.name);
+    const removed = current[setting]
+      .map((option) => option.name)
+      .filter((name) => !kept.includes(name));
+    if (!removed.length) continue;
+
+    const inUse = await BaseTask.distinct(field, {
+      organization: organization._id,
+      taskType: { $ne: "RoutineTask" },
+      [field]: { $in: removed },
+    });
+    if (field === "priority") {
+      const templated = await TaskTemplate.distinct(field, {
+        organization: organization._id,
+        [field]: { $in: removed },
+      });
+      inUse.push(...templated.filter((name) => !inUse.includes(name)));
+    }
+    if (inUse.length) {
+      throw new CustomError(
+        `Task ${label} still used by tasks or templates, including those in the trash, cannot be removed: ${inUse.join(
+          ", "
+        )}`,
+        409,
+        "TASK_OPTION_IN_USE_ERROR"
+      );
+    }
+  }
+};
+
+// @desc    Get the caller's organization profile and settings
+// @route   GET /api/organization
+// @access  Private - Requires organization:manage
+export const getOrganization = asyncHandler(async (req, res, next) => {
+  try {
+    const { organization } = getTenantFilter(req.user);
+
+    const found = await Organization.findOne({
+      _id: organization,
+      isDeleted: false,
+    }).populate(ORGANIZATION_POPULATE);
+
+    if (!found) return next(organizationNotFound());
+
+    res.status(200).json({
+      success: true,
+      message: "Organization retrieved successfully",
+      data: found,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update the caller's organization profile and settings
+// @route   PATCH /api/organization
+// @access  Private - Requires organization:manage
+export const updateOrganization = asyncHandler(async (req, res, next) => {
+  try {
+    const { settings, ...profile } = req.validated.body;
+    const { organization } = getTenantFilter(req.user);
+
+    const found = await Organization.findOne({
+      _id: organization,
+      isDeleted: false,
+    });
+
+    if (!found) return next(organizationNotFound());
+
+    await assertProfileAvailable(profile, found._id);
+    if (settings) await assertTaskOptionsNotInUse(found, settings);
+
+    // Save so the name/address formatting hook and settings validators run
+    found.set(profile);
+    if (settings) {
+      const { workingHours, ...rest } = settings;
+      found.set(
+        Object.fromEntries(
+          Object.entries(rest).map(([key, value]) => [`settings.${key}`, value])
+        )
+      );
+      if (workingHours) found.set("settings.workingHours", workingHours);
+
+      // null restores the default statuses or priorities
+      for (const [setting] of TASK_OPTION_FIELDS) {
+        if (settings[setting] === null)
+          found.set(`settings.${setting}`, undefined);
+      }
+    }
+    await found.save();
+    await found.populate(ORGANIZATION_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      message: "Organization updated successfully",
+      data: found,
+    });
+  } catch (error) {
+    next(toOrganizationConflictError(error));
+  }
+});
+
+// @desc    Require (or stop requiring) MFA for SuperAdmin and Admin users
+// @route   PATCH /api/organization/mfa-policy
+// @access  Private - Requires organization:manage
+export const updateMfaPolicy = asyncHandler(async (req, res, next) => {
+  try {
+    const { requireMfaForAdmins } = req.validated.body;
+    const { organization } = getTenantFilter(req.user);
+
+    const updated = await Organization.findOneAndUpdate(
+      { _id: organization, isDeleted: false },
+      { $set: { "settings.requireMfaForAdmins": requireMfaForAdmins } },
+      { new: true }
+    ).select("name settings");
+
+    if (!updated) return next(organizationNotFound());
+
+    res.status(200).json({
+      success: true,
+      message: "MFA policy updated successfully",
+      data: updated,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Dry run of the retention purge: what would be permanently deleted now
+// @route   GET /api/organization/retention-preview
+// @access  Private - Requires organization:manage
+export const getRetentionPreview = asyncHandler(async (req, res, next) => {
+  try {
+    const { organization } = getTenantFilter(req.user);
+
+    const found = await Organization.findOne({
+      _id: organization,
+      isDeleted: false,
+    })
+      .select("settings.retentionDays")
+      .lean();
+
+    if (!found) return next(organizationNotFound());
+
+    if (!found.settings?.retentionDays) {
+      return next(
+        new CustomError(
+          "No retention period is configured for this organization",
+          400,
+          "RETENTION_NOT_CONFIGURED_ERROR"
+        )
+      );
+    }
+
+    const report = await purgeOrganization(found, { dryRun: true });
+
+    res.status(200).json({
+      success: true,
+      message: "Retention preview retrieved successfully",
+      data: report,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get the task statuses and priorities of the caller's organization
+// @route   GET /api/organization/task-options
+// @access  Private - Requires task:read
+export const getOrganizationTaskOptions = asyncHandler(
+  async (req, res, next) => {
+    try {
+      const { organization } = getTenantFilter(req.user);
+      const options = await getTaskOptions(organization);
+
+      res.status(200).json({
+        success: true,
+        message: "Task options retrieved successfully",
+        data: options,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
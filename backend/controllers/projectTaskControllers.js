@@ -0,0 +1,289 @@
+// backend/controllers/projectTaskControllers.js
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+import { ProjectTask, Vendor } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import { getTenantFilter, getPaginationMeta } from "../utils/helpers.js";
+import { getOrganizationSettings } from "../utils/organizationSettings.js";
+import { buildDependencyGraph } from "../utils/taskDependencies.js";
+
+// Reference fields populated on project task responses
+const USER_SUMMARY_FIELDS = "firstName lastName email position role";
+const PROJECT_TASK_POPULATE = [
+  { path: "vendor", select: "name contact department" },
+  { path: "watchers", select: USER_SUMMARY_FIELDS },
+  { path: "createdBy", select: USER_SUMMARY_FIELDS },
+];
+
+const VENDOR_CONFLICT_MESSAGE =
+  "A project with the same vendor already exists in this organization and department";
+
+// Map the unique {organization, department, vendor} index violation to a clear conflict
+const toVendorConflictError = (error) => {
+  if (error?.code === 11000 && error.keyPattern?.vendor) {
+    return new CustomError(
+      VENDOR_CONFLICT_MESSAGE,
+      409,
+      "PROJECT_VENDOR_CONFLICT_ERROR"
+    );
+  }
+  return error;
+};
+
+// Vendor must be active in the caller's organization and, if scoped, department
+const assertTenantVendor = async (vendorId, tenant) => {
+  const vendor = await Vendor.exists({
+    _id: vendorId,
+    organization: tenant.organization,
+    $or: [{ department: null }, { department: tenant.department }],
+    isDeleted: false,
+  });
+  if (!vendor) {
+    throw new CustomError("Vendor not found", 404, "VENDOR_NOT_FOUND_ERROR");
+  }
+};
+
+// Only one active project per vendor in a department
+const assertVendorAvailable = async (vendorId, tenant, excludeTaskId) => {
+  const query = { vendor: vendorId, ...tenant, isDeleted: false };
+  if (excludeTaskId) query._id = { $ne: excludeTaskId };
+  if (await ProjectTask.exists(query)) {
+    throw new CustomError(
+      VENDOR_CONFLICT_MESSAGE,
+      409,
+      "PROJECT_VENDOR_CONFLICT_ERROR"
+    );
+  }
+};
+
+// @desc    Create a new project task in the caller's department
+// @route   POST /api/tasks/project
+// @access  Private
+export const createProjectTask = asyncHandler(async (req, res, next) => {
+  try {
+    const tenant = getTenantFilter(req.user);
+    const { vendor } = req.validated.body;
+
+    await assertTenantVendor(vendor, tenant);
+    await assertVendorAvailable(vendor, tenant);
+
+    const { defaultTaskPriority } = await getOrganizationSettings(req.user);
+
+    const task = new ProjectTask({
+      priority: defaultTaskPriority,
+      ...req.validated.body,
+      ...tenant,
+      createdBy: req.user._id,
+    });
+    await task.save();
+    await task.populate(PROJECT_TASK_POPULATE);
+
+    res.status(201).json({
+      success: true,
+      message: "Project task created successfully",
+      data: task,
+    });
+  } catch (error) {
+    next(toVendorConflictError(error));
+  }
+});
+
+// @desc    List project tasks in the caller's department
+// @route   GET /api/tasks/project
+// @access  Private
+export const getProjectTasks = asyncHandler(async (req, res, next) => {
+  try {
+    // Tenant scope and isDeleted are already part of the parsed filter
+    const { page, limit, filter, sort, select } = req.validated.query;
+
+    const result = await ProjectTask.paginate(filter, {
+      page,
+      limit,
+      sort,
+      select,
+      populate: PROJECT_TASK_POPULATE,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Project tasks retrieved successfully",
+      data: result.docs,
+      pagination: getPaginationMeta(result),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a single project task
+// @route   GET /api/tasks/project/:taskId
+// @access  Private
+export const getProjectTask = asyncHandler(async (req, res, next) => {
+  try {
+    const { taskId } = req.validated.params;
+
+    const task = await ProjectTask.findOne({
+      _id: taskId,
+      ...getTenantFilter(req.user),
+      isDeleted: false,
+    }).populate(PROJECT_TASK_POPULATE);
+
+    if (!task) {
+      return next(
+        new CustomError("Project task not found", 404, "TASK_NOT_FOUND_ERROR")
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Project task retrieved successfully",
+      data: task,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get the dependency graph of a project and its subtasks
+// @route   GET /api/tasks/project/:taskId/dependency-graph
+// @access  Private
+export const getProjectDependencyGraph = asyncHandler(
+  async (req, res, next) => {
+    try {
+      const { taskId } = req.validated.params;
+
+      const project = await ProjectTask.findOne({
+        _id: taskId,
+        ...getTenantFilter(req.user),
+        isDeleted: false,
+      })
+        .select("organization")
+        .lean();
+
+      if (!project) {
+        return next(
+          new CustomError("Project task not found", 404, "TASK_NOT_FOUND_ERROR")
+        );
+      }
+
+      const graph = await buildDependencyGraph(project);
+
+      res.status(200).json({
+        success: true,
+        message: "Project dependency graph retrieved successfully",
+        data: graph,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Update a project task, including vendor and cost tracking fields
+// @route   PATCH /api/tasks/project/:taskId
+// @access  Private
+export const updateProjectTask = asyncHandler(async (req, res, next) => {
+  try {
+    const { taskId } = req.validated.params;
+    const updates = req.validated.body;
+    const tenant = getTenantFilter(req.user);
+    const filter = { _id: taskId, ...tenant, isDeleted: false };
+
+    const existingTask = await ProjectTask.findOne(filter)
+      .select("startDate dueDate vendor")
+      .lean();
+
+    if (!existingTask) {
+      return next(
+        new CustomError("Project task not found", 404, "TASK_NOT_FOUND_ERROR")
+      );
+    }
+
+    // Date ordering against the stored value when only one side changes
+    const startDate = new Date(updates.startDate || existingTask.startDate);
+    const dueDate = new Date(updates.dueDate || existingTask.dueDate);
+    if (dueDate < startDate) {
+      return next(
+        new CustomError(
+          "Due date must be greater than or equal to start date",
+          400,
+          "VALIDATION_ERROR"
+        )
+      );
+    }
+
+    if (
+      updates.vendor &&
+      String(updates.vendor) !== String(existingTask.vendor)
+    ) {
+      await assertTenantVendor(updates.vendor, tenant);
+      await assertVendorAvailable(updates.vendor, tenant, taskId);
+    }
+
+    const task = await ProjectTask.findOneAndUpdate(
+      filter,
+      { $set: updates },
+      { new: true, actor: req.user }
+    ).populate(PROJECT_TASK_POPULATE);
+
+    if (!task) {
+      return next(
+        new CustomError("Project task not found", 404, "TASK_NOT_FOUND_ERROR")
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Project task updated successfully",
+      data: task,
+    });
+  } catch (error) {
+    next(toVendorConflictError(error));
+  }
+});
+
+// @desc    Soft delete a project task and cascade to its children
+// @route   DELETE /api/tasks/project/:taskId
+// @access  Private
+export const deleteProjectTask = asyncHandler(async (req, res, next) => {
+  const { taskId } = req.validated.params;
+
+  // Start a new session for transaction
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const task = await ProjectTask.findOne({
+      _id: taskId,
+      ...getTenantFilter(req.user),
+      isDeleted: false,
+    }).session(session);
+
+    if (!task) {
+      throw new CustomError(
+        "Project task not found",
+        404,
+        "TASK_NOT_FOUND_ERROR"
+      );
+    }
+
+    // Saving triggers the BaseTask cascade soft-delete hook
+    task.isDeleted = true;
+    task.deletedBy = req.user._id;
+    await task.save({ session });
+
+    // Commit transaction
+    await session.commitTransaction();
+
+    res.status(200).json({
+      success: true,
+      message: "Project task deleted successfully",
+      data: { deleteBatchId: task.deleteBatchId },
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
@@ -0,0 +1,212 @@
+// backend/controllers/routineTaskControllers.js
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+import { RoutineTask, Material } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import { RoutineTaskPriority } from "../utils/constants.js";
+import { getTenantFilter, getPaginationMeta } from "../utils/helpers.js";
+import { getOrganizationSettings } from "../utils/organizationSettings.js";
+
+// Reference fields populated on routine task responses
+const USER_SUMMARY_FIELDS = "firstName lastName email position role";
+const ROUTINE_TASK_POPULATE = [
+  {
+    path: "materials",
+    select: "name quantity unit cost",
+    match: { isDeleted: false },
+  },
+  { path: "watchers", select: USER_SUMMARY_FIELDS },
+  { path: "createdBy", select: USER_SUMMARY_FIELDS },
+  { path: "department", select: "name" },
+];
+
+// @desc    Log a routine task together with the materials it consumed
+// @route   POST /api/tasks/routine
+// @access  Private
+export const createRoutineTask = asyncHandler(async (req, res, next) => {
+  const { materials, ...taskData } = req.validated.body;
+  const tenant = getTenantFilter(req.user);
+
+  // Routine logs have no "Low" priority; only apply the default when allowed
+  const { defaultTaskPriority } = await getOrganizationSettings(req.user);
+  if (!taskData.priority && RoutineTaskPriority.includes(defaultTaskPriority)) {
+    taskData.priority = defaultTaskPriority;
+  }
+
+  // Start a new session for transaction
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    // Create the routine task log
+    const task = new RoutineTask({
+      ...taskData,
+      ...tenant,
+      createdBy: req.user._id,
+    });
+    await task.save({ session });
+
+    // Create materials; Material's pre-save hook adds each to task.materials
+    for (const materialData of materials) {
+      const material = new Material({
+        ...materialData,
+        parent: task._id,
+        parentModel: "RoutineTask",
+        ...tenant,
+        addedBy: req.user._id,
+      });
+      await material.save({ session });
+    }
+
+    // Commit transaction
+    await session.commitTransaction();
+
+    const routineTask = await RoutineTask.findById(task._id).populate(
+      ROUTINE_TASK_POPULATE
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Routine task logged successfully",
+      data: routineTask,
+    });
+  } catch (error) {
+    // The populated read runs after commit, so only abort an open transaction
+    if (session.inTransaction()) await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
+// @desc    List routine task logs in the caller's organization
+// @route   GET /api/tasks/routine
+// @access  Private
+export const getRoutineTasks = asyncHandler(async (req, res, next) => {
+  try {
+    // Organization scope and isDeleted are already part of the parsed filter
+    const { page, limit, filter, sort, select } = req.validated.query;
+
+    const result = await RoutineTask.paginate(filter, {
+      page,
+      limit,
+      sort,
+      select,
+      populate: ROUTINE_TASK_POPULATE,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Routine tasks retrieved successfully",
+      data: result.docs,
+      pagination: getPaginationMeta(result),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a single routine task log
+// @route   GET /api/tasks/routine/:taskId
+// @access  Private
+export const getRoutineTask = asyncHandler(async (req, res, next) => {
+  try {
+    const { taskId } = req.validated.params;
+    const { organization } = getTenantFilter(req.user);
+
+    const task = await RoutineTask.findOne({
+      _id: taskId,
+      organization,
+      isDeleted: false,
+    }).populate(ROUTINE_TASK_POPULATE);
+
+    if (!task) {
+      return next(
+        new CustomError("Routine task not found", 404, "TASK_NOT_FOUND_ERROR")
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Routine task retrieved successfully",
+      data: task,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update a routine task log in the caller's department
+// @route   PATCH /api/tasks/routine/:taskId
+// @access  Private
+export const updateRoutineTask = asyncHandler(async (req, res, next) => {
+  try {
+    const { taskId } = req.validated.params;
+
+    const task = await RoutineTask.findOneAndUpdate(
+      { _id: taskId, ...getTenantFilter(req.user), isDeleted: false },
+      { $set: req.validated.body },
+      { new: true, actor: req.user }
+    ).populate(ROUTINE_TASK_POPULATE);
+
+    if (!task) {
+      return next(
+        new CustomError("Routine task not found", 404, "TASK_NOT_FOUND_ERROR")
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Routine task updated successfully",
+      data: task,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Soft delete a routine task log and cascade to its materials
+// @route   DELETE /api/tasks/routine/:taskId
+// @access  Private
+export const deleteRoutineTask = asyncHandler(async (req, res, next) => {
+  const { taskId } = req.validated.params;
+
+  // Start a new session for transaction
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const task = await RoutineTask.findOne({
+      _id: taskId,
+      ...getTenantFilter(req.user),
+      isDeleted: false,
+    }).session(session);
+
+    if (!task) {
+      throw new CustomError(
+        "Routine task not found",
+        404,
+        "TASK_NOT_FOUND_ERROR"
+      );
+    }
+
+    // Saving triggers the BaseTask cascade soft-delete hook
+    task.isDeleted = true;
+    task.deletedBy = req.user._id;
+    await task.save({ session });
+
+    // Commit transaction
+    await session.commitTransaction();
+
+    res.status(200).json({
+      success: true,
+      message: "Routine task deleted successfully",
+      data: { deleteBatchId: task.deleteBatchId },
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
@@ -0,0 +1,179 @@
+// backend/controllers/sessionControllers.js
+import asyncHandler from "express-async-handler";
+import { Session, User } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import { getManagedUserFilter } from "../utils/helpers.js";
+import {
+  revokeTokenFamily,
+  revokeUserRefreshTokens,
+} from "../utils/refreshTokens.js";
+
+// Session fields exposed to clients; the token family stays server-side
+const SESSION_FIELDS = "userAgent ip lastUsedAt expiresAt createdAt family";
+
+// Active sessions of a user, most recently used first
+const findActiveSessions = (userId) =>
+  Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select(SESSION_FIELDS)
+    .sort({ lastUsedAt: -1 });
+
+// Serialize a session and flag the one the request was made with
+const toSessionResponse = (session, currentFamily) => ({
+  ...session.toJSON(),
+  current: session.family === currentFamily,
+});
+
+// Clear the auth cookies when the caller's own session ends
+const clearAuthCookies = (res) => {
+  const options = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict",
+  };
+  res.clearCookie("access_token", options);
+  res.clearCookie("refresh_token", options);
+};
+
+// Target user must be one the caller may manage
+const findManagedUser = async (userId, caller) => {
+  const user = await User.findOne(getManagedUserFilter(userId, caller))
+    .select("_id")
+    .lean();
+  if (!user) {
+    throw new CustomError("User not found", 404, "USER_NOT_FOUND_ERROR");
+  }
+  return user;
+};
+
+// Revoke one active session of a user; 404 if it does not exist
+const revokeSession = async (userId, sessionId) => {
+  const session = await Session.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+  }).select("family");
+
+  if (!session) {
+    throw new CustomError("Session not found", 404, "SESSION_NOT_FOUND_ERROR");
+  }
+
+  await revokeTokenFamily(session.family);
+  return session;
+};
+
+// @desc    List the caller's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getMySessions = asyncHandler(async (req, res, next) => {
+  try {
+    const sessions = await findActiveSessions(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Sessions retrieved successfully",
+      data: sessions.map((s) => toSessionResponse(s, req.sessionFamily)),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Revoke one of the caller's sessions
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+export const revokeMySession = asyncHandler(async (req, res, next) => {
+  try {
+    const { sessionId } = req.validated.params;
+
+    const session = await revokeSession(req.user._id, sessionId);
+    if (session.family === req.sessionFamily) clearAuthCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: "Session revoked successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Log out of every session, including the current one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+export const revokeAllMySessions = asyncHandler(async (req, res, next) => {
+  try {
+    await revokeUserRefreshTokens(req.user._id);
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out of all sessions successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    List a user's active sessions
+// @route   GET /api/users/:userId/sessions
+// @access  Private - Requires session:manage
+export const getUserSessions = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId } = req.validated.params;
+
+    await findManagedUser(userId, req.user);
+    const sessions = await findActiveSessions(userId);
+
+    res.status(200).json({
+      success: true,
+      message: "Sessions retrieved successfully",
+      data: sessions.map((s) => toSessionResponse(s, req.sessionFamily)),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Revoke one session of a user
+// @route   DELETE /api/users/:userId/sessions/:sessionId
+// @access  Private - Requires session:manage
+export const revokeUserSession = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId, sessionId } = req.validated.params;
+
+    await findManagedUser(userId, req.user);
+    const session = await revokeSession(userId, sessionId);
+    if (session.family === req.sessionFamily) clearAuthCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: "Session revoked successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Log a user out of every session
+// @route   DELETE /api/users/:userId/sessions
+// @access  Private - Requires session:manage
+export const revokeAllUserSessions = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId } = req.validated.params;
+
+    await findManagedUser(userId, req.user);
+    await revokeUserRefreshTokens(userId);
+    if (String(userId) === String(req.user._id)) clearAuthCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: "User logged out of all sessions successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+});
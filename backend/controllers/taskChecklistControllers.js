@@ -0,0 +1,103 @@
+// backend/controllers/taskChecklistControllers.js
+import asyncHandler from "express-async-handler";
+import { BaseTask } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import { getTenantFilter } from "../utils/helpers.js";
+
+// Load a task in the caller's department whose checklist can be edited.
+// Routine task logs have no checklist
+const findChecklistTask = async (taskId, user) => {
+  const task = await BaseTask.findOne({
+    _id: taskId,
+    ...getTenantFilter(user),
+    isDeleted: false,
+    taskType: { $ne: "RoutineTask" },
+  });
+  if (!task) {
+    throw new CustomError("Task not found", 404, "TASK_NOT_FOUND_ERROR");
+  }
+  return task;
+};
+
+const findChecklistItem = (task, itemId) => {
+  const item = task.checklist.id(itemId);
+  if (!item) {
+    throw new CustomError(
+      "Checklist item not found",
+      404,
+      "CHECKLIST_ITEM_NOT_FOUND_ERROR"
+    );
+  }
+  return item;
+};
+
+// @desc    Add an item to a task's checklist
+// @route   POST /api/tasks/:taskId/checklist
+// @access  Private
+export const addChecklistItem = asyncHandler(async (req, res, next) => {
+  try {
+    const { taskId } = req.validated.params;
+    const task = await findChecklistTask(taskId, req.user);
+
+    task.checklist.push({ text: req.validated.body.text });
+    // Saving rolls the checklist up into the task's progress
+    await task.save({ actor: req.user });
+
+    res.status(201).json({
+      success: true,
+      message: "Checklist item added successfully",
+      data: { checklist: task.checklist, progress: task.progress },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Rename a checklist item or mark it done/undone
+// @route   PATCH /api/tasks/:taskId/checklist/:itemId
+// @access  Private
+export const updateChecklistItem = asyncHandler(async (req, res, next) => {
+  try {
+    const { taskId, itemId } = req.validated.params;
+    const { text, done } = req.validated.body;
+    const task = await findChecklistTask(taskId, req.user);
+    const item = findChecklistItem(task, itemId);
+
+    if (text !== undefined) item.text = text;
+    if (done !== undefined && done !== item.done) {
+      item.done = done;
+      item.doneBy = done ? req.user._id : undefined;
+      item.doneAt = done ? new Date() : undefined;
+    }
+    await task.save({ actor: req.user });
+
+    res.status(200).json({
+      success: true,
+      message: "Checklist item updated successfully",
+      data: { checklist: task.checklist, progress: task.progress },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Remove an item from a task's checklist
+// @route   DELETE /api/tasks/:taskId/checklist/:itemId
+// @access  Private
+export const removeChecklistItem = asyncHandler(async (req, res, next) => {
+  try {
+    const { taskId, itemId } = req.validated.params;
+    const task = await findChecklistTask(taskId, req.user);
+
+    findChecklistItem(task, itemId).deleteOne();
+    await task.save({ actor: req.user });
+
+    res.status(200).json({
+      success: true,
+      message: "Checklist item removed successfully",
+      data: { checklist: task.checklist, progress: task.progress },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
@@ -0,0 +1,142 @@
+// backend/controllers/taskDependencyControllers.js
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+import { BaseTask } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import { getTenantFilter } from "../utils/helpers.js";
+import { getTaskOptions } from "../utils/organizationSettings.js";
+import { doneStatusNames } from "../utils/taskWorkflow.js";
+import { DEPENDENCY_TASK_TYPES } from "../utils/taskDependencies.js";
+
+// Fields returned for the tasks on either side of a dependency
+const TASK_SUMMARY_FIELDS = "title taskType status priority department";
+
+// Load a task in the caller's department that can take part in dependencies
+const findDependencyTask = async (taskId, user, session = null) => {
+  const task = await BaseTask.findOne({
+    _id: taskId,
+    ...getTenantFilter(user),
+    isDeleted: false,
+    taskType: { $in: DEPENDENCY_TASK_TYPES },
+  }).session(session);
+  if (!task) {
+    throw new CustomError("Task not found", 404, "TASK_NOT_FOUND_ERROR");
+  }
+  return task;
+};
+
+// @desc    Get the tasks a task is blocked by and the tasks it blocks
+// @route   GET /api/tasks/:taskId/dependencies
+// @access  Private
+export const getTaskDependencies = asyncHandler(async (req, res, next) => {
+  try {
+    const { taskId } = req.validated.params;
+    const task = await findDependencyTask(taskId, req.user);
+
+    const active = { organization: task.organization, isDeleted: false };
+    const [blockedBy, blocks, { statuses }] = await Promise.all([
+      BaseTask.find({ ...active, _id: { $in: task.blockedBy } })
+        .select(TASK_SUMMARY_FIELDS)
+        .lean(),
+      BaseTask.find({ ...active, blockedBy: task._id })
+        .select(TASK_SUMMARY_FIELDS)
+        .lean(),
+      getTaskOptions(task.organization),
+    ]);
+
+    const done = doneStatusNames(statuses);
+    res.status(200).json({
+      success: true,
+      message: "Task dependencies retrieved successfully",
+      data: {
+        blocked: blockedBy.some(({ status }) => !done.includes(status)),
+        blockedBy,
+        blocks,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Mark a task as blocked by another task
+// @route   POST /api/tasks/:taskId/dependencies
+// @access  Private
+export const addTaskDependency = asyncHandler(async (req, res, next) => {
+  const { taskId } = req.validated.params;
+  const { blockedBy } = req.validated.body;
+
+  // Start a new session for transaction
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const task = await findDependencyTask(taskId, req.user, session);
+
+    if (task.blockedBy.some((id) => String(id) === blockedBy)) {
+      throw new CustomError(
+        "The task is already blocked by this task",
+        409,
+        "DEPENDENCY_EXISTS_ERROR"
+      );
+    }
+
+    // Saving runs the model's tenant and cycle checks on the new link; in
+    // the transaction a concurrent link through the same tasks conflicts
+    task.blockedBy.push(blockedBy);
+    await task.save({ session, actor: req.user });
+
+    // Commit transaction
+    await session.commitTransaction();
+
+    res.status(201).json({
+      success: true,
+      message: "Task dependency added successfully",
+      data: { blockedBy: task.blockedBy },
+    });
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    next(
+      error.hasErrorLabel?.("TransientTransactionError")
+        ? new CustomError(
+            "The task's dependencies were changed at the same time. Please try again",
+            409,
+            "DEPENDENCY_CONFLICT_ERROR"
+          )
+        : error
+    );
+  } finally {
+    session.endSession();
+  }
+});
+
+// @desc    Remove a task's link to a task that blocks it
+// @route   DELETE /api/tasks/:taskId/dependencies/:blockedById
+// @access  Private
+export const removeTaskDependency = asyncHandler(async (req, res, next) => {
+  try {
+    const { taskId, blockedById } = req.validated.params;
+    const task = await findDependencyTask(taskId, req.user);
+
+    if (!task.blockedBy.some((id) => String(id) === blockedById)) {
+      return next(
+        new CustomError(
+          "Task dependency not found",
+          404,
+          "DEPENDENCY_NOT_FOUND_ERROR"
+        )
+      );
+    }
+
+    task.blockedBy.pull(blockedById);
+    await task.save({ actor: req.user });
+
+    res.status(200).json({
+      success: true,
+      message: "Task dependency removed successfully",
+      data: { blockedBy: task.blockedBy },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
@@ -0,0 +1,134 @@
+// backend/controllers/taskFeedControllers.js
+import asyncHandler from "express-async-handler";
+import { BaseTask, TaskActivity, TaskComment } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import { getTenantFilter } from "../utils/helpers.js";
+import { paginateByCursor } from "../utils/cursorPagination.js";
+
+// Reference fields populated on activity and comment responses
+const USER_SUMMARY_FIELDS = "firstName lastName email position role";
+const FEED_POPULATE = [{ path: "createdBy", select: USER_SUMMARY_FIELDS }];
+const COMMENT_POPULATE = [
+  ...FEED_POPULATE,
+  { path: "mentions", select: USER_SUMMARY_FIELDS },
+];
+
+// Load a task the caller can read: routine task logs are shared across the
+// organization, other tasks stay within the caller's department
+const findReadableTask = async (taskId, user) => {
+  const { organization, department } = getTenantFilter(user);
+  const task = await BaseTask.findOne({
+    _id: taskId,
+    organization,
+    isDeleted: false,
+  })
+    .select("taskType organization department")
+    .lean();
+
+  if (
+    !task ||
+    (task.taskType !== "RoutineTask" &&
+      String(task.department) !== String(department))
+  ) {
+    throw new CustomError("Task not found", 404, "TASK_NOT_FOUND_ERROR");
+  }
+  return task;
+};
+
+// @desc    Get a task's activity feed, newest first
+// @route   GET /api/tasks/:taskId/activities
+// @access  Private
+export const getTaskActivities = asyncHandler(async (req, res, next) => {
+  try {
+    const { taskId } = req.validated.params;
+    const { cursor, limit } = req.validated.query;
+    const task = await findReadableTask(taskId, req.user);
+
+    // Leading fields match the { organization, department, taskModel, task, createdAt } index
+    const { docs, pagination } = await paginateByCursor(
+      TaskActivity,
+      {
+        organization: task.organization,
+        department: task.department,
+        taskModel: task.taskType,
+        task: task._id,
+        isDeleted: false,
+      },
+      { cursor, limit, populate: FEED_POPULATE }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Task activities retrieved successfully",
+      data: docs,
+      pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a task's comment feed, newest first
+// @route   GET /api/tasks/:taskId/comments
+// @access  Private
+export const getTaskComments = asyncHandler(async (req, res, next) => {
+  try {
+    const { taskId } = req.validated.params;
+    const { cursor, limit } = req.validated.query;
+    const task = await findReadableTask(taskId, req.user);
+
+    // Leading fields match the { organization, department, parentModel, parent, createdAt } index
+    const { docs, pagination } = await paginateByCursor(
+      TaskComment,
+      {
+        organization: task.organization,
+        department: task.department,
+        parentModel: task.taskType,
+        parent: task._id,
+        isDeleted: false,
+      },
+      { cursor, limit, populate: COMMENT_POPULATE }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Task comments retrieved successfully",
+      data: docs,
+      pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a task's subtasks, newest first
+// @route   GET /api/tasks/:taskId/subtasks
+// @access  Private
+export const getSubtasks = asyncHandler(async (req, res, next) => {
+  try {
+    const { taskId } = req.validated.params;
+    const { cursor, limit } = req.validated.query;
+    const task = await findReadableTask(taskId, req.user);
+
+    // Subtasks share their parent's department; matches the { parentTask, createdAt } index
+    const { docs, pagination } = await paginateByCursor(
+      BaseTask,
+      {
+        organization: task.organization,
+        department: task.department,
+        parentTask: task._id,
+        isDeleted: false,
+      },
+      { cursor, limit, populate: FEED_POPULATE }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Subtasks retrieved successfully",
+      data: docs,
+      pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
@@ -0,0 +1,205 @@
+// backend/controllers/taskTemplateControllers.js
+import asyncHandler from "express-async-handler";
+import { TaskTemplate, User } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import { getTenantFilter, getPaginationMeta } from "../utils/helpers.js";
+import {
+  getOrganizationSettings,
+  getTaskOptions,
+} from "../utils/organizationSettings.js";
+import { assertTaskOptions } from "../utils/taskWorkflow.js";
+import { nextOccurrences } from "../utils/recurrence.js";
+
+// Reference fields populated on task template responses
+const USER_SUMMARY_FIELDS = "firstName lastName email position role";
+const TASK_TEMPLATE_POPULATE = [
+  { path: "assignees", select: USER_SUMMARY_FIELDS },
+  { path: "watchers", select: USER_SUMMARY_FIELDS },
+  { path: "createdBy", select: USER_SUMMARY_FIELDS },
+];
+
+// How many upcoming occurrences a single template response previews
+const UPCOMING_PREVIEW = 5;
+
+const templateNotFound = () =>
+  new CustomError(
+    "Task template not found",
+    404,
+    "TASK_TEMPLATE_NOT_FOUND_ERROR"
+  );
+
+// A template with its next occurrences, so clients can check the rule reads
+// the way they meant it
+const withUpcoming = (template) => ({
+  ...template.toJSON(),
+  upcoming: template.isActive
+    ? nextOccurrences(template.recurrence, {
+        dtstart: template.startsAt,
+        timeZone: template.timezone,
+        limit: UPCOMING_PREVIEW,
+      })
+    : [],
+});
+
+// Generated tasks must get a priority the organization defines
+const assertTemplatePriority = async (priority, organization) => {
+  if (priority === undefined) return;
+  assertTaskOptions({ priority }, await getTaskOptions(organization));
+};
+
+// @desc    Create a recurring task template in the caller's department
+// @route   POST /api/task-templates
+// @access  Private - Requires taskTemplate:manage
+export const createTaskTemplate = asyncHandler(async (req, res, next) => {
+  try {
+    const tenant = getTenantFilter(req.user);
+    await assertTemplatePriority(
+      req.validated.body.priority,
+      tenant.organization
+    );
+
+    const { timezone } = await getOrganizationSettings(req.user);
+
+    const template = new TaskTemplate({
+      timezone,
+      ...req.validated.body,
+      ...tenant,
+      createdBy: req.user._id,
+    });
+    await template.save();
+    await template.populate(TASK_TEMPLATE_POPULATE);
+
+    res.status(201).json({
+      success: true,
+      message: "Task template created successfully",
+      data: withUpcoming(template),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    List task templates in the caller's department
+// @route   GET /api/task-templates
+// @access  Private - Requires taskTemplate:read
+export const getTaskTemplates = asyncHandler(async (req, res, next) => {
+  try {
+    // Tenant scope and isDeleted are already part of the parsed filter
+    const { page, limit, filter, sort, select } = req.validated.query;
+
+    const result = await TaskTemplate.paginate(filter, {
+      page,
+      limit,
+      sort,
+      select,
+      populate: TASK_TEMPLATE_POPULATE,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Task templates retrieved successfully",
+      data: result.docs,
+      pagination: getPaginationMeta(result),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a single task template with its upcoming occurrences
+// @route   GET /api/task-templates/:templateId
+// @access  Private - Requires taskTemplate:read
+export const getTaskTemplate = asyncHandler(async (req, res, next) => {
+  try {
+    const { templateId } = req.validated.params;
+
+    const template = await TaskTemplate.findOne({
+      _id: templateId,
+      ...getTenantFilter(req.user),
+      isDeleted: false,
+    }).populate(TASK_TEMPLATE_POPULATE);
+
+    if (!template) return next(templateNotFound());
+
+    res.status(200).json({
+      success: true,
+      message: "Task template retrieved successfully",
+      data: withUpcoming(template),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update a task template; tasks already generated are unchanged
+// @route   PATCH /api/task-templates/:templateId
+// @access  Private - Requires taskTemplate:manage
+export const updateTaskTemplate = asyncHandler(async (req, res, next) => {
+  try {
+    const { templateId } = req.validated.params;
+    const updates = req.validated.body;
+    const tenant = getTenantFilter(req.user);
+
+    const template = await TaskTemplate.findOne({
+      _id: templateId,
+      ...tenant,
+      isDeleted: false,
+    });
+
+    if (!template) return next(templateNotFound());
+
+    await assertTemplatePriority(updates.priority, tenant.organization);
+
+    // Generated tasks need a creator in the department; if the original one
+    // has left it, the user updating the template takes over
+    const creatorActive = await User.exists({
+      _id: template.createdBy,
+      ...tenant,
+      isDeleted: false,
+    });
+    if (!creatorActive) template.createdBy = req.user._id;
+
+    // save() runs the template's recurrence and tenant checks. A new
+    // schedule applies after the window already generated
+    template.set(updates);
+    await template.save();
+    await template.populate(TASK_TEMPLATE_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      message: "Task template updated successfully",
+      data: withUpcoming(template),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Soft delete a task template; tasks it generated are kept
+// @route   DELETE /api/task-templates/:templateId
+// @access  Private - Requires taskTemplate:manage
+export const deleteTaskTemplate = asyncHandler(async (req, res, next) => {
+  try {
+    const { templateId } = req.validated.params;
+
+    const template = await TaskTemplate.findOne({
+      _id: templateId,
+      ...getTenantFilter(req.user),
+      isDeleted: false,
+    });
+
+    if (!template) return next(templateNotFound());
+
+    template.isDeleted = true;
+    template.deletedBy = req.user._id;
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Task template deleted successfully",
+      data: { deleteBatchId: template.deleteBatchId },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
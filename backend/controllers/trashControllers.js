@@ -0,0 +1,134 @@
+// backend/controllers/trashControllers.js
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+import {
+  BaseTask,
+  TaskComment,
+  Attachment,
+  User,
+  Vendor,
+} from "../models/index.js";
+import { TrashItemType } from "../utils/constants.js";
+import { getManagedScope } from "../utils/helpers.js";
+import { restoreDeleteBatch } from "../utils/cascade.js";
+import { refreshTaskProgress } from "../utils/taskProgress.js";
+
+// Source collection and display name of each trash item type
+const TRASH_SOURCES = {
+  task: { model: BaseTask, name: "$title" },
+  comment: { model: TaskComment, name: "$content" },
+  attachment: { model: Attachment, name: "$originalName" },
+  user: { model: User, name: { $concat: ["$firstName", " ", "$lastName"] } },
+  vendor: { model: Vendor, name: "$name" },
+};
+
+// Soft-deleted records of one type, shaped into a common trash item
+const trashPipeline = (type, scope) => [
+  { $match: { ...scope, isDeleted: true } },
+  {
+    $project: {
+      type: { $literal: type },
+      name: TRASH_SOURCES[type].name,
+      taskType: 1,
+      department: 1,
+      deleteBatchId: 1,
+      deletedAt: 1,
+      deletedBy: 1,
+    },
+  },
+];
+
+// @desc    List soft-deleted records, newest deletions first
+// @route   GET /api/trash
+// @access  Private - Requires trash:manage
+export const getTrash = asyncHandler(async (req, res, next) => {
+  try {
+    const { page, limit, type } = req.validated.query;
+    const scope = getManagedScope(req.user);
+    const [first, ...rest] = type ? [type] : TrashItemType;
+
+    // One paginated list across collections
+    const [result] = await TRASH_SOURCES[first].model.aggregate([
+      ...trashPipeline(first, scope),
+      ...rest.map((other) => ({
+        $unionWith: {
+          coll: TRASH_SOURCES[other].model.collection.name,
+          pipeline: trashPipeline(other, scope),
+        },
+      })),
+      { $sort: { deletedAt: -1, _id: -1 } },
+      {
+        $facet: {
+          docs: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+          total: [{ $count: "count" }],
+        },
+      },
+    ]);
+
+    const docs = await User.populate(result.docs, {
+      path: "deletedBy",
+      select: "firstName lastName email position role",
+    });
+    const totalDocs = result.total[0]?.count || 0;
+    const totalPages = Math.ceil(totalDocs / limit);
+
+    res.status(200).json({
+      success: true,
+      message: "Trash retrieved successfully",
+      data: docs,
+      pagination: {
+        totalDocs,
+        limit,
+        page,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Restore every record soft-deleted by one cascade batch
+// @route   POST /api/trash/:batchId/restore
+// @access  Private - Requires trash:manage
+export const restoreBatch = asyncHandler(async (req, res, next) => {
+  const { batchId } = req.validated.params;
+
+  // Start a new session for transaction
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    // Parents of restored subtasks, whose progress counts them again
+    const parentTasks = await BaseTask.distinct("parentTask", {
+      deleteBatchId: batchId,
+      parentTask: { $ne: null },
+    }).session(session);
+
+    const result = await restoreDeleteBatch(
+      batchId,
+      getManagedScope(req.user),
+      session
+    );
+
+    for (const parentTask of parentTasks) {
+      await refreshTaskProgress(parentTask, session);
+    }
+
+    // Commit transaction
+    await session.commitTransaction();
+
+    res.status(200).json({
+      success: true,
+      message: "Delete batch restored successfully",
+      data: result,
+    });
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
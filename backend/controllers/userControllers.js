@@ -0,0 +1,285 @@
+// backend/controllers/userControllers.js
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+import { Department, User } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import { hasPermission } from "../config/permissions.js";
+import {
+  escapeRegex,
+  getManagedScope,
+  getManagedUserFilter,
+  getPaginationMeta,
+} from "../utils/helpers.js";
+import {
+  assertRoleAssignable,
+  outranks,
+  toUserConflictError,
+} from "../utils/userPolicy.js";
+import { unlockAccount } from "../utils/loginThrottle.js";
+import {
+  getSessionContext,
+  revokeUserRefreshTokens,
+} from "../utils/refreshTokens.js";
+
+// Reference fields populated on user responses
+const USER_POPULATE = [{ path: "department", select: "name" }];
+
+// Profile fields every user may change on their own account
+const SELF_EDITABLE_FIELDS = [
+  "firstName",
+  "lastName",
+  "position",
+  "skills",
+  "profilePicture",
+  "dateOfBirth",
+];
+
+// HR fields that require user:update
+const MANAGED_FIELDS = ["employeeId", "joinedAt"];
+
+// Fields that require user:update and can't be changed on one's own account
+const ASSIGNMENT_FIELDS = ["role", "department"];
+
+// Fields the caller may change on the target user
+const getEditableFields = (caller, isSelf) => {
+  if (!hasPermission(caller.role, "user:update")) return SELF_EDITABLE_FIELDS;
+  if (isSelf) return [...SELF_EDITABLE_FIELDS, ...MANAGED_FIELDS];
+  return [...SELF_EDITABLE_FIELDS, ...MANAGED_FIELDS, ...ASSIGNMENT_FIELDS];
+};
+
+// @desc    List and search users in the caller's scope
+// @route   GET /api/users
+// @access  Private - Requires user:read
+export const getUsers = asyncHandler(async (req, res, next) => {
+  try {
+    const { page, limit, search, role, department } = req.validated.query;
+
+    const filter = { ...getManagedScope(req.user), isDeleted: false };
+    if (role) filter.role = role;
+    // Department filter narrows organization-wide (SuperAdmin) listings
+    if (department && !filter.department) filter.department = department;
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), "i");
+      filter.$or = [
+        { firstName: pattern },
+        { lastName: pattern },
+        { email: pattern },
+        { position: pattern },
+      ];
+    }
+
+    const result = await User.paginate(filter, {
+      page,
+      limit,
+      sort: { firstName: 1, lastName: 1 },
+      populate: USER_POPULATE,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Users retrieved successfully",
+      data: result.docs,
+      pagination: getPaginationMeta(result),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a single user
+// @route   GET /api/users/:userId
+// @access  Private - Requires user:read
+export const getUser = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId } = req.validated.params;
+
+    const user = await User.findOne(
+      getManagedUserFilter(userId, req.user)
+    ).populate(USER_POPULATE);
+
+    if (!user) {
+      return next(
+        new CustomError("User not found", 404, "USER_NOT_FOUND_ERROR")
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "User retrieved successfully",
+      data: user,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update a user's profile; role, department and HR fields need user:update
+// @route   PATCH /api/users/:userId
+// @access  Private - Own profile, or user:update on users the caller outranks
+export const updateUser = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId } = req.validated.params;
+    const updates = req.validated.body;
+    const isSelf = String(userId) === String(req.user._id);
+
+    const user = await User.findOne(getManagedUserFilter(userId, req.user));
+
+    if (!user) {
+      return next(
+        new CustomError("User not found", 404, "USER_NOT_FOUND_ERROR")
+      );
+    }
+
+    if (
+      !isSelf &&
+      !(
+        hasPermission(req.user.role, "user:update") &&
+        outranks(req.user.role, user.role)
+      )
+    ) {
+      return next(
+        new CustomError(
+          "You do not have permission to edit this user",
+          403,
+          "FORBIDDEN_ERROR"
+        )
+      );
+    }
+
+    const editableFields = getEditableFields(req.user, isSelf);
+    const denied = Object.keys(updates).filter(
+      (field) => !editableFields.includes(field)
+    );
+    if (denied.length) {
+      return next(
+        new CustomError(
+          `You do not have permission to change: ${denied.join(", ")}`,
+          403,
+          "FORBIDDEN_ERROR",
+          { denied }
+        )
+      );
+    }
+
+    if (updates.role) assertRoleAssignable(req.user.role, updates.role);
+
+    if (updates.department) {
+      const department = await Department.exists({
+        _id: updates.department,
+        ...getManagedScope(req.user),
+        isDeleted: false,
+      });
+      if (!department) {
+        return next(
+          new CustomError(
+            "Department not found",
+            404,
+            "DEPARTMENT_NOT_FOUND_ERROR"
+          )
+        );
+      }
+    }
+
+    // Save so schema validators and the skills normalization hook run
+    user.set(updates);
+    await user.save();
+    await user.populate(USER_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      message: "User updated successfully",
+      data: user,
+    });
+  } catch (error) {
+    next(toUserConflictError(error));
+  }
+});
+
+// @desc    Deactivate (soft delete) a user and cascade to their content
+// @route   DELETE /api/users/:userId
+// @access  Private - Requires user:delete
+export const deleteUser = asyncHandler(async (req, res, next) => {
+  const { userId } = req.validated.params;
+
+  if (String(userId) === String(req.user._id)) {
+    return next(
+      new CustomError(
+        "You can not delete your own account",
+        403,
+        "FORBIDDEN_ERROR"
+      )
+    );
+  }
+
+  // Start a new session for transaction
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const user = await User.findOne(
+      getManagedUserFilter(userId, req.user)
+    ).session(session);
+
+    if (!user) {
+      throw new CustomError("User not found", 404, "USER_NOT_FOUND_ERROR");
+    }
+
+    if (!outranks(req.user.role, user.role)) {
+      throw new CustomError(
+        "You do not have permission to delete this user",
+        403,
+        "FORBIDDEN_ERROR"
+      );
+    }
+
+    // Saving triggers the User cascade soft-delete hook
+    user.isDeleted = true;
+    user.deletedBy = req.user._id;
+    await user.save({ session });
+
+    // Commit transaction
+    await session.commitTransaction();
+
+    // Sign the deactivated user out everywhere
+    await revokeUserRefreshTokens(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: "User deleted successfully",
+      data: { deleteBatchId: user.deleteBatchId },
+    });
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
+// @desc    Lift a login lockout on a user's account
+// @route   POST /api/users/:userId/unlock
+// @access  Private - Requires user:update
+export const unlockUser = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId } = req.validated.params;
+
+    const user = await User.findOne(getManagedUserFilter(userId, req.user))
+      .select("email organization")
+      .lean();
+
+    if (!user) {
+      return next(
+        new CustomError("User not found", 404, "USER_NOT_FOUND_ERROR")
+      );
+    }
+
+    await unlockAccount(user, req.user, getSessionContext(req));
+
+    res.status(200).json({
+      success: true,
+      message: "User account unlocked successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+});
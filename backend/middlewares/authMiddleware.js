@@ -1,8 +1,11 @@
 // backend/middlewares/authMiddleware.js
 import jwt from "jsonwebtoken";
-import { User } from "../models/index.js";
+import { User, RefreshToken, Session } from "../models/index.js";
 import checkUserStatus from "../utils/userStatus.js";
+import { hashToken } from "../utils/generateTokens.js";
+import { revokeTokenFamily } from "../utils/refreshTokens.js";
 import CustomError from "../errorHandler/CustomError.js";
+import permissions, { hasPermission } from "../config/permissions.js";
 
 /**
  * Extract JWT from either the httpOnly cookie or the Authorization header.
@@ -51,7 +54,34 @@ export const verifyRefreshToken = async (req, res, next) => {
       }
     }
 
-    // 3) Load user
+    // 3) Match against the stored token; a revoked token being replayed means
+    // the family was leaked, so revoke every token descended from that login
+    const storedToken = await RefreshToken.findOne({
+      tokenHash: hashToken(refreshToken),
+    });
+
+    if (!storedToken || String(storedToken.user) !== String(decoded.userId)) {
+      return next(
+        new CustomError(
+          "Invalid refresh token",
+          401,
+          "INVALID_REFRESH_TOKEN_ERROR"
+        )
+      );
+    }
+
+    if (storedToken.revokedAt) {
+      await revokeTokenFamily(storedToken.family);
+      return next(
+        new CustomError(
+          "Refresh token has been revoked. Please log in again",
+          401,
+          "REFRESH_TOKEN_REUSE_ERROR"
+        )
+      );
+    }
+
+    // 4) Load user
     const user = await User.findById(decoded.userId)
       .populate({ path: "organization", select: "name isDeleted" })
       .populate({
@@ -65,7 +95,18 @@ export const verifyRefreshToken = async (req, res, next) => {
       );
     }
 
-    // 4) Status checks for user
+    // 5) Reject refresh tokens issued before the last password change
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return next(
+        new CustomError(
+          "Password was changed. Please log in again",
+          401,
+          "REFRESH_TOKEN_REVOKED_ERROR"
+        )
+      );
+    }
+
+    // 6) Status checks for user
     const userStatus = checkUserStatus(user);
     if (userStatus.status) {
       return next(
@@ -73,8 +114,9 @@ export const verifyRefreshToken = async (req, res, next) => {
       );
     }
 
-    // Attach user to request
+    // Attach user and the stored token (rotated by the controller) to request
     req.user = user;
+    req.refreshToken = storedToken;
 
     return next();
   } catch (error) {
@@ -154,9 +196,25 @@ export const verifyJWT = async (req, res, next) => {
       }
     }
 
-    // 3) Load user with tenant context (organization & department)
+    // 3) Session must still be active (not logged out or revoked)
+    const activeSession = await Session.exists({
+      family: decoded.family,
+      user: decoded.userId,
+      revokedAt: null,
+    });
+    if (!decoded.family || !activeSession) {
+      return next(
+        new CustomError(
+          "Session has been revoked. Please log in again",
+          401,
+          "SESSION_REVOKED_ERROR"
+        )
+      );
+    }
+
+    // 4) Load user with tenant context (organization & department)
     const user = await User.findById(decoded.userId)
-      .populate({ path: "organization", select: "name isDeleted" })
+      .populate({ path: "organization", select: "name isDeleted settings" })
       .populate({
         path: "department",
         select: "name organization isDeleted",
@@ -168,7 +226,7 @@ export const verifyJWT = async (req, res, next) => {
       );
     }
 
-    // 4) Status checks for user, department and organization
+    // 5) Status checks for user, department and organization
     const userStatus = checkUserStatus(user);
     if (userStatus.status) {
       return next(
@@ -178,6 +236,7 @@ export const verifyJWT = async (req, res, next) => {
 
     // Attach context to request
     req.user = user;
+    req.sessionFamily = decoded.family;
 
     return next();
   } catch (error) {
@@ -190,3 +249,40 @@ export const verifyJWT = async (req, res, next) => {
     );
   }
 };
+
+// Middleware factory to authorize the authenticated user against the permission matrix.
+// Must run after verifyJWT. All listed permissions are required.
+export const authorize = (...requiredPermissions) => {
+  const unknown = requiredPermissions.filter((p) => !(p in permissions));
+  if (unknown.length) {
+    throw new Error(`Unknown permission(s): ${unknown.join(", ")}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(
+        new CustomError(
+          "Authentication is required",
+          401,
+          "AUTHENTICATION_TOKEN_ERROR"
+        )
+      );
+    }
+
+    const denied = requiredPermissions.filter(
+      (permission) => !hasPermission(req.user.role, permission)
+    );
+    if (denied.length) {
+      return next(
+        new CustomError(
+          "You do not have permission to perform this action",
+          403,
+          "FORBIDDEN_ERROR",
+          { role: req.user.role, denied }
+        )
+      );
+    }
+
+    return next();
+  };
+};
@@ -0,0 +1,277 @@
+// backend/middlewares/queryParser.js
+import mongoose from "mongoose";
+import validator from "validator";
+import CustomError from "../errorHandler/CustomError.js";
+import { getTenantFilter } from "../utils/helpers.js";
+
+// Query keys that control paging, ordering and projection rather than filtering
+const RESERVED_KEYS = ["page", "limit", "sort", "fields"];
+
+// Query operator -> MongoDB operator
+const OPERATORS = {
+  eq: "$eq",
+  ne: "$ne",
+  in: "$in",
+  nin: "$nin",
+  gt: "$gt",
+  gte: "$gte",
+  lt: "$lt",
+  lte: "$lte",
+};
+
+// Operators that compare against a single value
+const RANGE_OPERATORS = ["gt", "gte", "lt", "lte"];
+
+const EQUALITY = ["eq", "ne", "in", "nin"];
+const COMPARISON = ["eq", "ne", "in", "nin", ...RANGE_OPERATORS];
+
+/**
+ * Filter field types: the operators each accepts and how a raw query string
+ * is cast. Casts throw an Error with a client-facing message.
+ */
+const FIELD_TYPES = {
+  string: {
+    operators: EQUALITY,
+    cast: (value) => value,
+  },
+  enum: {
+    operators: EQUALITY,
+    cast: (value, { values }, name) => {
+      if (!values.includes(value)) {
+        throw new Error(`'${name}' must be one of: ${values.join(", ")}`);
+      }
+      return value;
+    },
+  },
+  objectId: {
+    operators: EQUALITY,
+    cast: (value, _, name) => {
+      if (!mongoose.isValidObjectId(value)) {
+        throw new Error(`'${name}' must be a valid ID`);
+      }
+      return value;
+    },
+  },
+  date: {
+    operators: COMPARISON,
+    cast: (value, _, name) => {
+      if (!validator.isISO8601(value)) {
+        throw new Error(`'${name}' must be a valid date`);
+      }
+      return new Date(value);
+    },
+  },
+  number: {
+    operators: COMPARISON,
+    cast: (value, _, name) => {
+      if (!validator.isFloat(value)) {
+        throw new Error(`'${name}' must be a number`);
+      }
+      return Number(value);
+    },
+  },
+  boolean: {
+    operators: ["eq", "ne"],
+    cast: (value, _, name) => {
+      if (!validator.isBoolean(value, { loose: false })) {
+        throw new Error(`'${name}' must be true or false`);
+      }
+      return value === "true" || value === "1";
+    },
+  },
+};
+
+// Split a raw query value (repeated keys and/or comma lists) into trimmed strings
+const toValues = (raw, name) => {
+  const values = [].concat(raw).flatMap((value) => {
+    if (typeof value !== "string") {
+      throw new Error(`'${name}' has an invalid value`);
+    }
+    return value.split(",");
+  });
+  return values.map((value) => value.trim()).filter(Boolean);
+};
+
+// Build the MongoDB condition for one whitelisted filter field
+const parseFilterField = (name, raw, spec) => {
+  const type = FIELD_TYPES[spec.type];
+
+  // `field=value` is shorthand for `field[eq]=value`
+  const entries =
+    raw && typeof raw === "object" && !Array.isArray(raw)
+      ? Object.entries(raw)
+      : [["eq", raw]];
+
+  const condition = {};
+  for (const [operator, rawValue] of entries) {
+    if (!type.operators.includes(operator)) {
+      throw new Error(
+        `Unsupported operator '${operator}' for '${name}'. Allowed: ${type.operators.join(
+          ", "
+        )}`
+      );
+    }
+
+    const values = toValues(rawValue, name).map((value) =>
+      type.cast(value, spec, name)
+    );
+    if (!values.length) throw new Error(`'${name}' requires a value`);
+
+    if (RANGE_OPERATORS.includes(operator) && values.length > 1) {
+      throw new Error(`'${name}[${operator}]' accepts a single value`);
+    }
+
+    // A list with eq/ne means any/none of the values
+    let mongoOperator = OPERATORS[operator];
+    if (values.length > 1 && operator === "eq") mongoOperator = "$in";
+    if (values.length > 1 && operator === "ne") mongoOperator = "$nin";
+
+    condition[mongoOperator] = mongoOperator.endsWith("in")
+      ? values
+      : values[0];
+  }
+
+  return condition;
+};
+
+// Turn `sort=-dueDate,title` into { dueDate: -1, title: 1 }
+const parseSort = (raw, sortable = null) => {
+  const sort = {};
+  for (const key of toValues(raw, "sort")) {
+    const field = key.replace(/^[-+]/, "");
+    if (sortable && !sortable.includes(field)) {
+      throw new Error(
+        `Cannot sort by '${field}'. Allowed: ${sortable.join(", ")}`
+      );
+    }
+    sort[field] = key.startsWith("-") ? -1 : 1;
+  }
+  return sort;
+};
+
+// Turn `fields=title,status` into a mongoose projection string
+const parseFields = (raw, selectable) => {
+  const fields = toValues(raw, "fields");
+  for (const field of fields) {
+    if (!selectable.includes(field)) {
+      throw new Error(
+        `Cannot select field '${field}'. Allowed: ${selectable.join(", ")}`
+      );
+    }
+  }
+  return fields.join(" ");
+};
+
+// Positive integer query value, or the fallback when absent
+const parsePositiveInt = (raw, name, { max, fallback }) => {
+  if (raw === undefined) return fallback;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`${name} must be a positive integer`);
+  }
+  if (max && value > max) {
+    throw new Error(`${name} must be between 1 and ${max}`);
+  }
+  return value;
+};
+
+/**
+ * Build a list query middleware for one model.
+ *
+ * Only whitelisted fields can be filtered, sorted or selected. Filters take
+ * `field=value`, comma lists (`status=In Progress,Pending`) and bracketed
+ * operators (`dueDate[lte]=2025-01-31`); unknown fields and operators are
+ * rejected. The caller's tenant scope and `isDeleted: false` are always
+ * applied on top of the client's filters.
+ *
+ * Sets `req.validated.query` to `{ page, limit, filter, sort, select }`,
+ * ready to pass to `Model.paginate(filter, { page, limit, sort, select })`.
+ *
+ * @param {Object} options
+ * @param {Object} options.filters - Query name -> { type, path?, values? }.
+ *   `type` is one of string, enum, objectId, date, number, boolean; `path`
+ *   maps the query name to a different document path (e.g. assignee ->
+ *   assignees); `values` lists the allowed values of an enum.
+ * @param {string[]} [options.sortable] - Fields that may be sorted on
+ * @param {string[]} [options.selectable] - Fields that may be selected
+ * @param {string} [options.defaultSort] - Sort applied when none is given
+ * @param {Function} [options.scope] - Builds the tenant filter from req.user
+ */
+export const parseListQuery = ({
+  filters = {},
+  sortable = [],
+  selectable = [],
+  defaultSort = "-createdAt",
+  scope = getTenantFilter,
+}) => {
+  // The default sort is trusted configuration, not client input
+  const defaultSortSpec = parseSort(defaultSort);
+
+  return (req, res, next) => {
+    const errors = [];
+    const attempt = (fn) => {
+      try {
+        return fn();
+      } catch (error) {
+        errors.push(error.message);
+        return undefined;
+      }
+    };
+
+    const query = req.query || {};
+    const filter = {};
+
+    for (const [name, raw] of Object.entries(query)) {
+      if (RESERVED_KEYS.includes(name)) continue;
+
+      const spec = Object.hasOwn(filters, name) ? filters[name] : null;
+      if (!spec) {
+        errors.push(`Unknown filter field '${name}'`);
+        continue;
+      }
+
+      const condition = attempt(() => parseFilterField(name, raw, spec));
+      if (condition) {
+        // Store plain equality as a bare value rather than { $eq: value }
+        const keys = Object.keys(condition);
+        filter[spec.path || name] =
+          keys.length === 1 && keys[0] === "$eq" ? condition.$eq : condition;
+      }
+    }
+
+    const page = attempt(() =>
+      parsePositiveInt(query.page, "Page", { fallback: 1 })
+    );
+    const limit = attempt(() =>
+      parsePositiveInt(query.limit, "Limit", { max: 100, fallback: 10 })
+    );
+    const sort =
+      query.sort === undefined
+        ? defaultSortSpec
+        : attempt(() => parseSort(query.sort, sortable));
+    const select =
+      query.fields === undefined
+        ? undefined
+        : attempt(() => parseFields(query.fields, selectable));
+
+    if (errors.length) {
+      return next(
+        new CustomError(
+          `Validation failed: ${errors.join(". ")}`,
+          400,
+          "VALIDATION_ERROR"
+        )
+      );
+    }
+
+    req.validated = req.validated || {};
+    req.validated.query = {
+      page,
+      limit,
+      sort,
+      select,
+      filter: { ...filter, ...scope(req.user), isDeleted: false },
+    };
+    next();
+  };
+};
@@ -17,4 +17,19 @@ const authLimiter = rateLimit({
   },
 });
 
+// Stricter limiter for endpoints that send email, keyed by the target address
+// so one inbox can't be flooded from many IPs. Runs after validation.
+export const emailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 3,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.validated?.body?.email || "unknown",
+  message: {
+    success: false,
+    message: "Too many email requests, please try again later",
+    errorCode: "TOO_MANY_REQUESTS_ERROR",
+  },
+});
+
 export default authLimiter;
@@ -267,3 +267,110 @@ export const validateOrgRegistration = [
 
   handleValidationErrors,
 ];
+
+/**
+ * Validate email verification
+ * Checks that the verification token is present.
+ */
+export const validateVerifyEmail = [
+  body("token")
+    .exists({ checkFalsy: true })
+    .withMessage("Verification token is required")
+    .bail()
+    .isString()
+    .withMessage("Verification token must be a string")
+    .bail()
+    .trim(),
+
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.body = { token: req.body.token };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate resend verification email
+ * Checks that the email field is present and valid.
+ */
+export const validateResendVerification = [
+  body("email")
+    .exists({ checkFalsy: true })
+    .withMessage("Email is required")
+    .bail()
+    .trim()
+    .isEmail()
+    .withMessage("Invalid email format")
+    .bail()
+    .normalizeEmail({ gmail_remove_dots: false }),
+
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.body = { email: req.body.email.toLowerCase() };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate forgot password
+ * Checks that the email field is present and valid.
+ */
+export const validateForgotPassword = [
+  body("email")
+    .exists({ checkFalsy: true })
+    .withMessage("Email is required")
+    .bail()
+    .trim()
+    .isEmail()
+    .withMessage("Invalid email format")
+    .bail()
+    .normalizeEmail({ gmail_remove_dots: false }),
+
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.body = { email: req.body.email.toLowerCase() };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate reset password
+ * Checks the reset token and the new password.
+ */
+export const validateResetPassword = [
+  body("token")
+    .exists({ checkFalsy: true })
+    .withMessage("Reset token is required")
+    .bail()
+    .isString()
+    .withMessage("Reset token must be a string")
+    .bail()
+    .trim(),
+
+  body("password")
+    .exists({ checkFalsy: true })
+    .withMessage("Password is required")
+    .bail()
+    .isString()
+    .withMessage("Password must be a string")
+    .bail()
+    .isLength({ min: 8 })
+    .withMessage("Password must be at least 8 characters"),
+
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.body = {
+      token: req.body.token,
+      password: req.body.password,
+    };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
@@ -0,0 +1,135 @@
+import { body, param, query } from "express-validator";
+import { handleValidationErrors } from "./validation.js";
+
+/**
+ * Validate the :departmentId route parameter
+ */
+export const validateDepartmentId = [
+  param("departmentId").isMongoId().withMessage("Invalid department ID"),
+
+  param("departmentId").custom((departmentId, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.params = { departmentId };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate department creation
+ */
+export const validateCreateDepartment = [
+  body("name")
+    .exists({ checkFalsy: true })
+    .withMessage("Department name is required")
+    .bail()
+    .isString()
+    .withMessage("Department name must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Department name must be 2-50 characters"),
+
+  body("description")
+    .exists({ checkFalsy: true })
+    .withMessage("Description is required")
+    .bail()
+    .isString()
+    .withMessage("Description must be a string")
+    .bail()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Description cannot exceed 200 characters"),
+
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.body = {
+      name: req.body.name,
+      description: req.body.description,
+    };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate department update
+ * All fields are optional, but at least one updatable field must be present.
+ */
+export const validateUpdateDepartment = [
+  body("name")
+    .optional()
+    .isString()
+    .withMessage("Department name must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Department name must be 2-50 characters"),
+
+  body("description")
+    .optional()
+    .isString()
+    .withMessage("Description must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Description must be 1-200 characters"),
+
+  body().custom((_, { req }) => {
+    const updates = {};
+    if (req.body.name !== undefined) updates.name = req.body.name;
+    if (req.body.description !== undefined) {
+      updates.description = req.body.description;
+    }
+    if (Object.keys(updates).length === 0) {
+      throw new Error(
+        "At least one field is required to update the department"
+      );
+    }
+    req.validated = req.validated || {};
+    req.validated.body = updates;
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate department list query parameters
+ */
+export const validateListDepartments = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+
+  query("search")
+    .optional()
+    .isString()
+    .withMessage("Search must be a string")
+    .bail()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage("Search cannot exceed 50 characters"),
+
+  query().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.query = {
+      page: req.query.page || 1,
+      limit: req.query.limit || 10,
+      search: req.query.search,
+    };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
@@ -0,0 +1,173 @@
+import { body, param, query } from "express-validator";
+import { InvitationStatus, UserRole } from "../../utils/constants.js";
+import { handleValidationErrors } from "./validation.js";
+
+/**
+ * Validate the :invitationId route parameter
+ */
+export const validateInvitationId = [
+  param("invitationId").isMongoId().withMessage("Invalid invitation ID"),
+
+  param("invitationId").custom((invitationId, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.params = { invitationId };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate invitation creation
+ * Department defaults to the caller's own department when omitted.
+ */
+export const validateCreateInvitation = [
+  body("email")
+    .exists({ checkFalsy: true })
+    .withMessage("Email is required")
+    .bail()
+    .trim()
+    .isEmail()
+    .withMessage("Invalid email format")
+    .bail()
+    .normalizeEmail({ gmail_remove_dots: false }),
+
+  body("role")
+    .exists({ checkFalsy: true })
+    .withMessage("Role is required")
+    .bail()
+    .isIn(UserRole)
+    .withMessage(`Role must be one of: ${UserRole.join(", ")}`),
+
+  body("department")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid department ID"),
+
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.body = {
+      email: req.body.email.toLowerCase(),
+      role: req.body.role,
+      department: req.body.department,
+    };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate invitation list query parameters
+ */
+export const validateListInvitations = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+
+  query("status")
+    .optional()
+    .isIn(InvitationStatus)
+    .withMessage(`Status must be one of: ${InvitationStatus.join(", ")}`),
+
+  query().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.query = {
+      page: req.query.page || 1,
+      limit: req.query.limit || 10,
+      status: req.query.status,
+    };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate invitation acceptance
+ * Checks the invitation token and the invitee's profile and password.
+ */
+export const validateAcceptInvitation = [
+  body("token")
+    .exists({ checkFalsy: true })
+    .withMessage("Invitation token is required")
+    .bail()
+    .isString()
+    .withMessage("Invitation token must be a string")
+    .bail()
+    .trim(),
+
+  body("firstName")
+    .exists({ checkFalsy: true })
+    .withMessage("First name is required")
+    .bail()
+    .isString()
+    .withMessage("First name must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("First name must be 2-50 characters")
+    .bail()
+    .matches(/^[a-zA-Z\s'-]+$/)
+    .withMessage("First name contains invalid characters"),
+
+  body("lastName")
+    .exists({ checkFalsy: true })
+    .withMessage("Last name is required")
+    .bail()
+    .isString()
+    .withMessage("Last name must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Last name must be 2-50 characters")
+    .bail()
+    .matches(/^[a-zA-Z\s'-]+$/)
+    .withMessage("Last name contains invalid characters"),
+
+  body("position")
+    .exists({ checkFalsy: true })
+    .withMessage("Position is required")
+    .bail()
+    .isString()
+    .withMessage("Position must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Position must be 2-50 characters")
+    .bail()
+    .matches(/^[a-zA-Z\s'-]+$/)
+    .withMessage("Position contains invalid characters"),
+
+  body("password")
+    .exists({ checkFalsy: true })
+    .withMessage("Password is required")
+    .bail()
+    .isString()
+    .withMessage("Password must be a string")
+    .bail()
+    .isLength({ min: 8 })
+    .withMessage("Password must be at least 8 characters"),
+
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.body = {
+      token: req.body.token,
+      firstName: req.body.firstName,
+      lastName: req.body.lastName,
+      position: req.body.position,
+      password: req.body.password,
+    };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
@@ -0,0 +1,101 @@
+import { body } from "express-validator";
+import { handleValidationErrors } from "./validation.js";
+
+// TOTP codes are 6 digits; recovery codes are 10 hex characters with a dash
+const mfaCode = () =>
+  body("code")
+    .exists({ checkFalsy: true })
+    .withMessage("MFA code is required")
+    .bail()
+    .isString()
+    .withMessage("MFA code must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 6, max: 20 })
+    .withMessage("MFA code must be 6-20 characters");
+
+const challengeToken = () =>
+  body("challengeToken")
+    .exists({ checkFalsy: true })
+    .withMessage("MFA challenge token is required")
+    .bail()
+    .isString()
+    .withMessage("MFA challenge token must be a string");
+
+/**
+ * Validate MFA setup during login
+ * Checks that the challenge token is present.
+ */
+export const validateMfaChallenge = [
+  challengeToken(),
+
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.body = { challengeToken: req.body.challengeToken };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate the second login step
+ * Checks the challenge token and the TOTP or recovery code.
+ */
+export const validateMfaVerify = [
+  challengeToken(),
+
+  mfaCode(),
+
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.body = {
+      challengeToken: req.body.challengeToken,
+      code: req.body.code,
+    };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate an MFA code for enrollment and recovery code regeneration
+ */
+export const validateMfaCode = [
+  mfaCode(),
+
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.body = { code: req.body.code };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate disabling MFA
+ * Checks the current password and an MFA code.
+ */
+export const validateDisableMfa = [
+  body("password")
+    .exists({ checkFalsy: true })
+    .withMessage("Password is required")
+    .bail()
+    .isString()
+    .withMessage("Password must be a string"),
+
+  mfaCode(),
+
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.body = {
+      password: req.body.password,
+      code: req.body.code,
+    };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
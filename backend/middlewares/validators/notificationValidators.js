@@ -0,0 +1,43 @@
+import { query } from "express-validator";
+import { decodeCursor } from "../../utils/cursorPagination.js";
+import { handleValidationErrors } from "./validation.js";
+
+/**
+ * Validate notification feed query parameters
+ * The feed is cursor-paginated; `cursor` is a nextCursor/prevCursor from a previous page.
+ */
+export const validateListNotifications = [
+  query("cursor")
+    .optional()
+    .isString()
+    .withMessage("Cursor must be a string")
+    .bail()
+    .custom((value) => {
+      decodeCursor(value);
+      return true;
+    }),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+
+  query("unread")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("Unread must be true or false")
+    .toBoolean(),
+
+  query().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.query = {
+      cursor: req.query.cursor,
+      limit: req.query.limit || 20,
+      unread: req.query.unread || false,
+    };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
@@ -0,0 +1,298 @@
+import { body } from "express-validator";
+import {
+  IndustrySize,
+  IndustryType,
+  TaskStatusCategory,
+  WeekDay,
+} from "../../utils/constants.js";
+import {
+  isValidTimeZone,
+  TIME_OF_DAY_REGEX,
+  HEX_COLOR_REGEX,
+} from "../../utils/helpers.js";
+import { handleValidationErrors } from "./validation.js";
+
+// Profile fields a SuperAdmin may edit after registration
+const ORGANIZATION_PROFILE_FIELDS = [
+  "name",
+  "email",
+  "phone",
+  "address",
+  "size",
+  "industry",
+  "logoUrl",
+];
+
+// Settings editable through the profile endpoint; the MFA policy has its own
+const ORGANIZATION_SETTINGS_FIELDS = [
+  "timezone",
+  "weekStart",
+  "workingHours",
+  "defaultTaskPriority",
+  "retentionDays",
+  "taskStatuses",
+  "taskPriorities",
+];
+
+// Fields accepted for each custom task status and priority
+const TASK_STATUS_FIELDS = ["name", "color", "order", "category"];
+const TASK_PRIORITY_FIELDS = ["name", "color", "order"];
+
+/**
+ * Copy the whitelisted fields that are present on the source object
+ */
+const pickFields = (source, fields) =>
+  fields.reduce((acc, field) => {
+    if (source[field] !== undefined) acc[field] = source[field];
+    return acc;
+  }, {});
+
+/**
+ * Validate the organization MFA policy update
+ */
+export const validateMfaPolicy = [
+  body("requireMfaForAdmins")
+    .exists()
+    .withMessage("requireMfaForAdmins is required")
+    .bail()
+    .isBoolean({ strict: true })
+    .withMessage("requireMfaForAdmins must be a boolean"),
+
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.body = { requireMfaForAdmins: req.body.requireMfaForAdmins };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate the organization profile and settings update
+ * All fields are optional, but at least one updatable field must be present.
+ */
+export const validateUpdateOrganization = [
+  body("name")
+    .optional()
+    .isString()
+    .withMessage("Organization name must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Organization name must be 2-100 characters")
+    .bail()
+    .matches(/^[a-zA-Z\s'-]+$/)
+    .withMessage("Organization name contains invalid characters"),
+
+  body("email")
+    .optional()
+    .isEmail()
+    .withMessage("Invalid email format")
+    .bail()
+    .normalizeEmail({ gmail_remove_dots: false }),
+
+  body("phone")
+    .optional()
+    .isString()
+    .withMessage("Phone must be a string")
+    .bail()
+    .trim()
+    .matches(/^\+?[1-9]\d{1,14}$/)
+    .withMessage("Phone number must be in E.164 format"),
+
+  body("address")
+    .optional()
+    .isString()
+    .withMessage("Address must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage("Address must be 2-200 characters"),
+
+  body("size")
+    .optional()
+    .isIn(IndustrySize)
+    .withMessage("Invalid organization size"),
+
+  body("industry")
+    .optional()
+    .isIn(IndustryType)
+    .withMessage("Invalid industry"),
+
+  body("logoUrl")
+    .optional({ values: "null" })
+    .isURL({ protocols: ["http", "https"], require_protocol: true })
+    .withMessage("Logo URL must be a valid HTTP or HTTPS URL"),
+
+  body("settings")
+    .optional()
+    .isObject()
+    .withMessage("Settings must be an object"),
+
+  body("settings.timezone")
+    .optional()
+    .custom((value) => {
+      if (!isValidTimeZone(value)) {
+        throw new Error("Timezone must be a valid IANA time zone");
+      }
+      return true;
+    }),
+
+  body("settings.weekStart")
+    .optional()
+    .isIn(WeekDay)
+    .withMessage(`Week start must be one of: ${WeekDay.join(", ")}`),
+
+  body("settings.workingHours")
+    .optional()
+    .isObject()
+    .withMessage("Working hours must be an object"),
+
+  body("settings.workingHours.start")
+    .if(body("settings.workingHours").exists())
+    .exists({ checkFalsy: true })
+    .withMessage("Working hours start is required")
+    .bail()
+    .matches(TIME_OF_DAY_REGEX)
+    .withMessage("Working hours start must be in HH:mm format"),
+
+  body("settings.workingHours.end")
+    .if(body("settings.workingHours").exists())
+    .exists({ checkFalsy: true })
+    .withMessage("Working hours end is required")
+    .bail()
+    .matches(TIME_OF_DAY_REGEX)
+    .withMessage("Working hours end must be in HH:mm format")
+    .bail()
+    .custom((value, { req }) => {
+      if (value <= req.body.settings.workingHours.start) {
+        throw new Error("Working hours end must be after start");
+      }
+      return true;
+    }),
+
+  // Checked against the organization's task priorities by the model
+  body("settings.defaultTaskPriority")
+    .optional()
+    .isString()
+    .withMessage("Default task priority must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Default task priority must be 1-50 characters"),
+
+  // null restores the default set
+  body("settings.taskStatuses")
+    .optional({ values: "null" })
+    .isArray({ min: 1, max: 20 })
+    .withMessage("Task statuses must be a list of 1-20 statuses")
+    .bail()
+    .custom((statuses) => {
+      const names = statuses.map((s) => String(s?.name).trim().toLowerCase());
+      if (new Set(names).size !== names.length) {
+        throw new Error("Task status names must be unique");
+      }
+      for (const category of ["open", "done"]) {
+        if (!statuses.some((s) => s?.category === category)) {
+          throw new Error(`Task statuses need at least one ${category} status`);
+        }
+      }
+      return true;
+    }),
+
+  body("settings.taskStatuses.*.name")
+    .isString()
+    .withMessage("Status name must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Status name must be 1-50 characters"),
+
+  body("settings.taskStatuses.*.color")
+    .matches(HEX_COLOR_REGEX)
+    .withMessage("Status color must be a hex color such as #3B82F6"),
+
+  body("settings.taskStatuses.*.order")
+    .isInt({ min: 0 })
+    .withMessage("Status order must be a non-negative integer")
+    .toInt(),
+
+  body("settings.taskStatuses.*.category")
+    .isIn(TaskStatusCategory)
+    .withMessage(
+      `Status category must be one of: ${TaskStatusCategory.join(", ")}`
+    ),
+
+  // null restores the default set
+  body("settings.taskPriorities")
+    .optional({ values: "null" })
+    .isArray({ min: 1, max: 20 })
+    .withMessage("Task priorities must be a list of 1-20 priorities")
+    .bail()
+    .custom((priorities) => {
+      const names = priorities.map((p) => String(p?.name).trim().toLowerCase());
+      if (new Set(names).size !== names.length) {
+        throw new Error("Task priority names must be unique");
+      }
+      return true;
+    }),
+
+  body("settings.taskPriorities.*.name")
+    .isString()
+    .withMessage("Priority name must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Priority name must be 1-50 characters"),
+
+  body("settings.taskPriorities.*.color")
+    .matches(HEX_COLOR_REGEX)
+    .withMessage("Priority color must be a hex color such as #3B82F6"),
+
+  body("settings.taskPriorities.*.order")
+    .isInt({ min: 0 })
+    .withMessage("Priority order must be a non-negative integer")
+    .toInt(),
+
+  body("settings.retentionDays")
+    .optional({ values: "null" })
+    .isInt({ min: 1, max: 3650 })
+    .withMessage("Retention days must be between 1 and 3650, or null")
+    .toInt(),
+
+  body().custom((_, { req }) => {
+    const updates = pickFields(req.body, ORGANIZATION_PROFILE_FIELDS);
+    const settings = pickFields(
+      req.body.settings || {},
+      ORGANIZATION_SETTINGS_FIELDS
+    );
+    if (settings.workingHours) {
+      settings.workingHours = pickFields(settings.workingHours, [
+        "start",
+        "end",
+      ]);
+    }
+    if (settings.taskStatuses) {
+      settings.taskStatuses = settings.taskStatuses.map((status) =>
+        pickFields(status, TASK_STATUS_FIELDS)
+      );
+    }
+    if (settings.taskPriorities) {
+      settings.taskPriorities = settings.taskPriorities.map((priority) =>
+        pickFields(priority, TASK_PRIORITY_FIELDS)
+      );
+    }
+    if (Object.keys(settings).length > 0) updates.settings = settings;
+
+    if (Object.keys(updates).length === 0) {
+      throw new Error(
+        "At least one field is required to update the organization"
+      );
+    }
+    req.validated = req.validated || {};
+    req.validated.body = updates;
+    return true;
+  }),
+
+  handleValidationErrors,
+];
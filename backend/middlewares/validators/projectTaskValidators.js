@@ -0,0 +1,362 @@
+import { body, param } from "express-validator";
+import { handleValidationErrors } from "./validation.js";
+import { parseListQuery } from "../queryParser.js";
+
+// Fields shared by create and update payloads
+const PROJECT_TASK_FIELDS = [
+  "title",
+  "description",
+  "status",
+  "priority",
+  "startDate",
+  "dueDate",
+  "vendor",
+  "estimatedCost",
+  "actualCost",
+  "watchers",
+  "tags",
+];
+
+// Fields accepted on create only; a subtask cannot move to another parent
+const CREATE_ONLY_FIELDS = ["parentTask", "checklist"];
+
+/**
+ * Copy the whitelisted fields that are present on the request body
+ */
+const pickTaskFields = (source, fields = PROJECT_TASK_FIELDS) =>
+  fields.reduce((acc, field) => {
+    if (source[field] !== undefined) acc[field] = source[field];
+    return acc;
+  }, {});
+
+/**
+ * Validate the :taskId route parameter
+ */
+export const validateProjectTaskId = [
+  param("taskId").isMongoId().withMessage("Invalid task ID"),
+
+  param("taskId").custom((taskId, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.params = { taskId };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate project task creation
+ * Checks required fields, enum values, date ordering, costs and vendor ID.
+ */
+export const validateCreateProjectTask = [
+  body("title")
+    .exists({ checkFalsy: true })
+    .withMessage("Title is required")
+    .bail()
+    .isString()
+    .withMessage("Title must be a string")
+    .bail()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Title cannot exceed 200 characters"),
+
+  body("description")
+    .exists({ checkFalsy: true })
+    .withMessage("Description is required")
+    .bail()
+    .isString()
+    .withMessage("Description must be a string")
+    .bail()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage("Description cannot exceed 5000 characters"),
+
+  // Checked against the organization's task statuses by the model
+  body("status")
+    .optional()
+    .isString()
+    .withMessage("Status must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Status must be 1-50 characters"),
+
+  // Checked against the organization's task priorities by the model
+  body("priority")
+    .optional()
+    .isString()
+    .withMessage("Priority must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Priority must be 1-50 characters"),
+
+  body("startDate")
+    .exists({ checkFalsy: true })
+    .withMessage("Start date is required")
+    .bail()
+    .isISO8601()
+    .withMessage("Start date must be a valid date")
+    .bail()
+    .custom((value) => {
+      if (new Date(value) < new Date()) {
+        throw new Error("Start date cannot be in the past");
+      }
+      return true;
+    }),
+
+  body("dueDate")
+    .exists({ checkFalsy: true })
+    .withMessage("Due date is required")
+    .bail()
+    .isISO8601()
+    .withMessage("Due date must be a valid date")
+    .bail()
+    .custom((value, { req }) => {
+      if (
+        req.body.startDate &&
+        new Date(value) < new Date(req.body.startDate)
+      ) {
+        throw new Error("Due date must be greater than or equal to start date");
+      }
+      return true;
+    }),
+
+  body("vendor")
+    .exists({ checkFalsy: true })
+    .withMessage("Vendor is required")
+    .bail()
+    .isMongoId()
+    .withMessage("Invalid vendor ID"),
+
+  body("estimatedCost")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Estimated cost must be a non-negative number")
+    .toFloat(),
+
+  body("actualCost")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Actual cost must be a non-negative number")
+    .toFloat(),
+
+  body("watchers")
+    .optional()
+    .isArray()
+    .withMessage("Watchers must be an array"),
+
+  body("watchers.*").isMongoId().withMessage("Invalid watcher ID"),
+
+  body("tags").optional().isArray().withMessage("Tags must be an array"),
+
+  body("tags.*")
+    .isString()
+    .withMessage("Tag must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Tag must be 1-50 characters"),
+
+  body("parentTask")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid parent task ID"),
+
+  body("checklist")
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage("Checklist must be an array of at most 100 items"),
+
+  body("checklist.*.text")
+    .isString()
+    .withMessage("Checklist item text must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Checklist item text must be 1-200 characters"),
+
+  body().custom((_, { req }) => {
+    const task = pickTaskFields(req.body, [
+      ...PROJECT_TASK_FIELDS,
+      ...CREATE_ONLY_FIELDS,
+    ]);
+    // New checklist items start open
+    if (task.checklist) {
+      task.checklist = task.checklist.map(({ text }) => ({ text }));
+    }
+    req.validated = req.validated || {};
+    req.validated.body = task;
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate project task update
+ * All fields are optional, but at least one updatable field must be present.
+ */
+export const validateUpdateProjectTask = [
+  body("title")
+    .optional()
+    .isString()
+    .withMessage("Title must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Title must be 1-200 characters"),
+
+  body("description")
+    .optional()
+    .isString()
+    .withMessage("Description must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage("Description must be 1-5000 characters"),
+
+  // Checked against the organization's task statuses by the model
+  body("status")
+    .optional()
+    .isString()
+    .withMessage("Status must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Status must be 1-50 characters"),
+
+  // Checked against the organization's task priorities by the model
+  body("priority")
+    .optional()
+    .isString()
+    .withMessage("Priority must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Priority must be 1-50 characters"),
+
+  body("startDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Start date must be a valid date")
+    .bail()
+    .custom((value) => {
+      if (new Date(value) < new Date()) {
+        throw new Error("Start date cannot be in the past");
+      }
+      return true;
+    }),
+
+  body("dueDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Due date must be a valid date")
+    .bail()
+    .custom((value, { req }) => {
+      if (
+        req.body.startDate &&
+        new Date(value) < new Date(req.body.startDate)
+      ) {
+        throw new Error("Due date must be greater than or equal to start date");
+      }
+      return true;
+    }),
+
+  body("vendor").optional().isMongoId().withMessage("Invalid vendor ID"),
+
+  body("estimatedCost")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Estimated cost must be a non-negative number")
+    .toFloat(),
+
+  body("actualCost")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Actual cost must be a non-negative number")
+    .toFloat(),
+
+  body("watchers")
+    .optional()
+    .isArray()
+    .withMessage("Watchers must be an array"),
+
+  body("watchers.*").isMongoId().withMessage("Invalid watcher ID"),
+
+  body("tags").optional().isArray().withMessage("Tags must be an array"),
+
+  body("tags.*")
+    .isString()
+    .withMessage("Tag must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Tag must be 1-50 characters"),
+
+  body().custom((_, { req }) => {
+    const updates = pickTaskFields(req.body);
+    if (Object.keys(updates).length === 0) {
+      throw new Error("At least one field is required to update the task");
+    }
+    req.validated = req.validated || {};
+    req.validated.body = updates;
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate project task list query parameters
+ * Filters, sorting and field selection are whitelisted by the query parser.
+ */
+export const validateListProjectTasks = parseListQuery({
+  filters: {
+    status: { type: "string" },
+    priority: { type: "string" },
+    vendor: { type: "objectId" },
+    createdBy: { type: "objectId" },
+    parentTask: { type: "objectId" },
+    blockedBy: { type: "objectId" },
+    watcher: { type: "objectId", path: "watchers" },
+    tags: { type: "string" },
+    progress: { type: "number" },
+    startDate: { type: "date" },
+    dueDate: { type: "date" },
+    estimatedCost: { type: "number" },
+    actualCost: { type: "number" },
+    createdAt: { type: "date" },
+  },
+  sortable: [
+    "title",
+    "status",
+    "priority",
+    "startDate",
+    "dueDate",
+    "estimatedCost",
+    "actualCost",
+    "progress",
+    "createdAt",
+  ],
+  selectable: [
+    "title",
+    "description",
+    "status",
+    "priority",
+    "startDate",
+    "dueDate",
+    "vendor",
+    "estimatedCost",
+    "actualCost",
+    "watchers",
+    "tags",
+    "checklist",
+    "parentTask",
+    "progress",
+    "blockedBy",
+    "createdBy",
+    "createdAt",
+    "updatedAt",
+  ],
+});
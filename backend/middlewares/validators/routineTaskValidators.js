@@ -0,0 +1,279 @@
+import { body, param } from "express-validator";
+import {
+  RoutineTaskStatus,
+  RoutineTaskPriority,
+} from "../../utils/constants.js";
+import { handleValidationErrors } from "./validation.js";
+import { parseListQuery } from "../queryParser.js";
+import { getTenantFilter } from "../../utils/helpers.js";
+
+// Fields shared by create and update payloads
+const ROUTINE_TASK_FIELDS = [
+  "title",
+  "description",
+  "status",
+  "priority",
+  "date",
+  "watchers",
+  "tags",
+];
+
+// Fields accepted for each inline material
+const MATERIAL_FIELDS = ["name", "quantity", "unit", "cost"];
+
+/**
+ * Copy the whitelisted fields that are present on the source object
+ */
+const pickFields = (source, fields) =>
+  fields.reduce((acc, field) => {
+    if (source[field] !== undefined) acc[field] = source[field];
+    return acc;
+  }, {});
+
+/**
+ * Ensure a log date is not in the future
+ */
+const notInFuture = (value) => {
+  if (new Date(value) > new Date()) {
+    throw new Error("Routine task log date can not be in future");
+  }
+  return true;
+};
+
+/**
+ * Validate the :taskId route parameter
+ */
+export const validateRoutineTaskId = [
+  param("taskId").isMongoId().withMessage("Invalid task ID"),
+
+  param("taskId").custom((taskId, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.params = { taskId };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate routine task log creation
+ * Checks the log fields and every inline material entry.
+ */
+export const validateCreateRoutineTask = [
+  body("title")
+    .exists({ checkFalsy: true })
+    .withMessage("Title is required")
+    .bail()
+    .isString()
+    .withMessage("Title must be a string")
+    .bail()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Title cannot exceed 200 characters"),
+
+  body("description")
+    .exists({ checkFalsy: true })
+    .withMessage("Description is required")
+    .bail()
+    .isString()
+    .withMessage("Description must be a string")
+    .bail()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage("Description cannot exceed 5000 characters"),
+
+  body("status")
+    .optional()
+    .isIn(RoutineTaskStatus)
+    .withMessage(`Status must be one of: ${RoutineTaskStatus.join(", ")}`),
+
+  body("priority")
+    .optional()
+    .isIn(RoutineTaskPriority)
+    .withMessage(`Priority must be one of: ${RoutineTaskPriority.join(", ")}`),
+
+  body("date")
+    .exists({ checkFalsy: true })
+    .withMessage("Routine task log date is required")
+    .bail()
+    .isISO8601()
+    .withMessage("Date must be a valid date")
+    .bail()
+    .custom(notInFuture),
+
+  body("watchers")
+    .optional()
+    .isArray()
+    .withMessage("Watchers must be an array"),
+
+  body("watchers.*").isMongoId().withMessage("Invalid watcher ID"),
+
+  body("tags").optional().isArray().withMessage("Tags must be an array"),
+
+  body("tags.*")
+    .isString()
+    .withMessage("Tag must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Tag must be 1-50 characters"),
+
+  body("materials")
+    .optional()
+    .isArray()
+    .withMessage("Materials must be an array"),
+
+  body("materials.*.name")
+    .exists({ checkFalsy: true })
+    .withMessage("Material name is required")
+    .bail()
+    .isString()
+    .withMessage("Material name must be a string")
+    .bail()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage("Material name cannot exceed 255 characters"),
+
+  body("materials.*.quantity")
+    .exists()
+    .withMessage("Material quantity is required")
+    .bail()
+    .isFloat({ min: 0 })
+    .withMessage("Material quantity must be a non-negative number")
+    .toFloat(),
+
+  body("materials.*.unit")
+    .optional()
+    .isString()
+    .withMessage("Material unit must be a string")
+    .bail()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage("Material unit cannot exceed 50 characters"),
+
+  body("materials.*.cost")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Material cost must be a non-negative number")
+    .toFloat(),
+
+  body().custom((_, { req }) => {
+    const materials = Array.isArray(req.body.materials)
+      ? req.body.materials
+      : [];
+    req.validated = req.validated || {};
+    req.validated.body = {
+      ...pickFields(req.body, ROUTINE_TASK_FIELDS),
+      materials: materials.map((m) => pickFields(m || {}, MATERIAL_FIELDS)),
+    };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate routine task log update
+ * Materials are managed through their own documents and are not editable here.
+ */
+export const validateUpdateRoutineTask = [
+  body("title")
+    .optional()
+    .isString()
+    .withMessage("Title must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Title must be 1-200 characters"),
+
+  body("description")
+    .optional()
+    .isString()
+    .withMessage("Description must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage("Description must be 1-5000 characters"),
+
+  body("status")
+    .optional()
+    .isIn(RoutineTaskStatus)
+    .withMessage(`Status must be one of: ${RoutineTaskStatus.join(", ")}`),
+
+  body("priority")
+    .optional()
+    .isIn(RoutineTaskPriority)
+    .withMessage(`Priority must be one of: ${RoutineTaskPriority.join(", ")}`),
+
+  body("date")
+    .optional()
+    .isISO8601()
+    .withMessage("Date must be a valid date")
+    .bail()
+    .custom(notInFuture),
+
+  body("watchers")
+    .optional()
+    .isArray()
+    .withMessage("Watchers must be an array"),
+
+  body("watchers.*").isMongoId().withMessage("Invalid watcher ID"),
+
+  body("tags").optional().isArray().withMessage("Tags must be an array"),
+
+  body("tags.*")
+    .isString()
+    .withMessage("Tag must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Tag must be 1-50 characters"),
+
+  body().custom((_, { req }) => {
+    const updates = pickFields(req.body, ROUTINE_TASK_FIELDS);
+    if (Object.keys(updates).length === 0) {
+      throw new Error("At least one field is required to update the task");
+    }
+    req.validated = req.validated || {};
+    req.validated.body = updates;
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate routine task list query parameters
+ * Filters, sorting and field selection are whitelisted by the query parser.
+ * Routine logs are listed across the organization, so the department is a
+ * filter rather than part of the scope.
+ */
+export const validateListRoutineTasks = parseListQuery({
+  filters: {
+    department: { type: "objectId" },
+    createdBy: { type: "objectId" },
+    status: { type: "enum", values: RoutineTaskStatus },
+    priority: { type: "enum", values: RoutineTaskPriority },
+    watcher: { type: "objectId", path: "watchers" },
+    tags: { type: "string" },
+    date: { type: "date" },
+    createdAt: { type: "date" },
+  },
+  sortable: ["title", "status", "priority", "date", "createdAt"],
+  selectable: [
+    "title",
+    "description",
+    "status",
+    "priority",
+    "date",
+    "materials",
+    "watchers",
+    "tags",
+    "department",
+    "createdBy",
+    "createdAt",
+    "updatedAt",
+  ],
+  defaultSort: "-date",
+  scope: (user) => ({ organization: getTenantFilter(user).organization }),
+});
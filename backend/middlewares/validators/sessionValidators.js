@@ -0,0 +1,49 @@
+import { param } from "express-validator";
+import { handleValidationErrors } from "./validation.js";
+
+/**
+ * Validate the :sessionId route parameter
+ */
+export const validateSessionId = [
+  param("sessionId").isMongoId().withMessage("Invalid session ID"),
+
+  param("sessionId").custom((sessionId, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.params = { sessionId };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate the :userId route parameter
+ */
+export const validateSessionUserId = [
+  param("userId").isMongoId().withMessage("Invalid user ID"),
+
+  param("userId").custom((userId, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.params = { userId };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate the :userId and :sessionId route parameters
+ */
+export const validateUserSessionId = [
+  param("userId").isMongoId().withMessage("Invalid user ID"),
+
+  param("sessionId").isMongoId().withMessage("Invalid session ID"),
+
+  param("sessionId").custom((sessionId, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.params = { userId: req.params.userId, sessionId };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
@@ -0,0 +1,87 @@
+import { body, param } from "express-validator";
+import { handleValidationErrors } from "./validation.js";
+
+/**
+ * Validate adding a checklist item to a task
+ */
+export const validateAddChecklistItem = [
+  param("taskId").isMongoId().withMessage("Invalid task ID"),
+
+  body("text")
+    .exists({ checkFalsy: true })
+    .withMessage("Checklist item text is required")
+    .bail()
+    .isString()
+    .withMessage("Checklist item text must be a string")
+    .bail()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Checklist item text cannot exceed 200 characters"),
+
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.params = { taskId: req.params.taskId };
+    req.validated.body = { text: req.body.text };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate a checklist item update
+ * Text and done are optional, but at least one must be present.
+ */
+export const validateUpdateChecklistItem = [
+  param("taskId").isMongoId().withMessage("Invalid task ID"),
+  param("itemId").isMongoId().withMessage("Invalid checklist item ID"),
+
+  body("text")
+    .optional()
+    .isString()
+    .withMessage("Checklist item text must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Checklist item text must be 1-200 characters"),
+
+  body("done")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("Done must be true or false")
+    .toBoolean(),
+
+  body().custom((_, { req }) => {
+    const updates = {};
+    if (req.body.text !== undefined) updates.text = req.body.text;
+    if (req.body.done !== undefined) updates.done = req.body.done;
+    if (Object.keys(updates).length === 0) {
+      throw new Error("At least one field is required to update the item");
+    }
+    req.validated = req.validated || {};
+    req.validated.params = {
+      taskId: req.params.taskId,
+      itemId: req.params.itemId,
+    };
+    req.validated.body = updates;
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate the :taskId and :itemId route parameters
+ */
+export const validateChecklistItemId = [
+  param("taskId").isMongoId().withMessage("Invalid task ID"),
+  param("itemId").isMongoId().withMessage("Invalid checklist item ID"),
+
+  param("itemId").custom((itemId, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.params = { taskId: req.params.taskId, itemId };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
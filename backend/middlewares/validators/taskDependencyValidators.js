@@ -0,0 +1,56 @@
+import { body, param } from "express-validator";
+import { handleValidationErrors } from "./validation.js";
+
+/**
+ * Validate the :taskId route parameter of a dependency request
+ */
+export const validateDependencyTaskId = [
+  param("taskId").isMongoId().withMessage("Invalid task ID"),
+
+  param("taskId").custom((taskId, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.params = { taskId };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate linking a task to a task that blocks it
+ */
+export const validateAddTaskDependency = [
+  param("taskId").isMongoId().withMessage("Invalid task ID"),
+
+  body("blockedBy")
+    .exists({ checkFalsy: true })
+    .withMessage("blockedBy is required")
+    .bail()
+    .isMongoId()
+    .withMessage("Invalid blocking task ID"),
+
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.params = { taskId: req.params.taskId };
+    req.validated.body = { blockedBy: req.body.blockedBy };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate the :taskId and :blockedById route parameters
+ */
+export const validateRemoveTaskDependency = [
+  param("taskId").isMongoId().withMessage("Invalid task ID"),
+  param("blockedById").isMongoId().withMessage("Invalid blocking task ID"),
+
+  param("blockedById").custom((blockedById, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.params = { taskId: req.params.taskId, blockedById };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
@@ -0,0 +1,39 @@
+import { param, query } from "express-validator";
+import { decodeCursor } from "../../utils/cursorPagination.js";
+import { handleValidationErrors } from "./validation.js";
+
+/**
+ * Validate a task activity, comment or subtask feed request
+ * The feed is cursor-paginated; `cursor` is a nextCursor/prevCursor from a previous page.
+ */
+export const validateTaskFeed = [
+  param("taskId").isMongoId().withMessage("Invalid task ID"),
+
+  query("cursor")
+    .optional()
+    .isString()
+    .withMessage("Cursor must be a string")
+    .bail()
+    .custom((value) => {
+      decodeCursor(value);
+      return true;
+    }),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+
+  query().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.params = { taskId: req.params.taskId };
+    req.validated.query = {
+      cursor: req.query.cursor,
+      limit: req.query.limit || 20,
+    };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
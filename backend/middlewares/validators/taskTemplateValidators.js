@@ -0,0 +1,315 @@
+import { body, param } from "express-validator";
+import { handleValidationErrors } from "./validation.js";
+import { parseListQuery } from "../queryParser.js";
+import { isValidTimeZone } from "../../utils/helpers.js";
+import { parseRecurrence } from "../../utils/recurrence.js";
+
+// Fields shared by create and update payloads
+const TASK_TEMPLATE_FIELDS = [
+  "title",
+  "description",
+  "priority",
+  "assignees",
+  "watchers",
+  "tags",
+  "checklist",
+  "recurrence",
+  "startsAt",
+  "timezone",
+  "durationMinutes",
+  "isActive",
+];
+
+/**
+ * Copy the whitelisted fields that are present on the request body
+ */
+const pickTemplateFields = (source) =>
+  TASK_TEMPLATE_FIELDS.reduce((acc, field) => {
+    if (source[field] !== undefined) acc[field] = source[field];
+    return acc;
+  }, {});
+
+// Throws the parser's own message, e.g. "FREQ must be one of: ..."
+const isRecurrence = (value) => {
+  parseRecurrence(value);
+  return true;
+};
+
+const isTimeZone = (value) => {
+  if (!isValidTimeZone(value)) {
+    throw new Error("Timezone must be a valid IANA time zone");
+  }
+  return true;
+};
+
+/**
+ * Validate the :templateId route parameter
+ */
+export const validateTaskTemplateId = [
+  param("templateId").isMongoId().withMessage("Invalid template ID"),
+
+  param("templateId").custom((templateId, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.params = { templateId };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate task template creation
+ * Checks required fields, the recurrence rule, time zone and reference IDs.
+ */
+export const validateCreateTaskTemplate = [
+  body("title")
+    .exists({ checkFalsy: true })
+    .withMessage("Title is required")
+    .bail()
+    .isString()
+    .withMessage("Title must be a string")
+    .bail()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Title cannot exceed 200 characters"),
+
+  body("description")
+    .exists({ checkFalsy: true })
+    .withMessage("Description is required")
+    .bail()
+    .isString()
+    .withMessage("Description must be a string")
+    .bail()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage("Description cannot exceed 5000 characters"),
+
+  // Checked against the organization's task priorities by the controller
+  body("priority")
+    .optional()
+    .isString()
+    .withMessage("Priority must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Priority must be 1-50 characters"),
+
+  body("recurrence")
+    .exists({ checkFalsy: true })
+    .withMessage("Recurrence is required")
+    .bail()
+    .isString()
+    .withMessage("Recurrence must be a string")
+    .bail()
+    .trim()
+    .custom(isRecurrence),
+
+  body("startsAt")
+    .exists({ checkFalsy: true })
+    .withMessage("Start (startsAt) is required")
+    .bail()
+    .isISO8601()
+    .withMessage("Start (startsAt) must be a valid date"),
+
+  // Defaults to the organization's time zone
+  body("timezone").optional().custom(isTimeZone),
+
+  body("durationMinutes")
+    .optional()
+    .isInt({ min: 1, max: 525600 })
+    .withMessage("Duration must be between 1 and 525600 minutes")
+    .toInt(),
+
+  body("isActive")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("isActive must be a boolean"),
+
+  body("assignees")
+    .isArray({ min: 1 })
+    .withMessage("At least one assignee is required"),
+
+  body("assignees.*").isMongoId().withMessage("Invalid assignee ID"),
+
+  body("watchers")
+    .optional()
+    .isArray()
+    .withMessage("Watchers must be an array"),
+
+  body("watchers.*").isMongoId().withMessage("Invalid watcher ID"),
+
+  body("tags").optional().isArray().withMessage("Tags must be an array"),
+
+  body("tags.*")
+    .isString()
+    .withMessage("Tag must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Tag must be 1-50 characters"),
+
+  body("checklist")
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage("Checklist must be an array of at most 100 items"),
+
+  body("checklist.*")
+    .isString()
+    .withMessage("Checklist item must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Checklist item must be 1-200 characters"),
+
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.body = pickTemplateFields(req.body);
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate task template update
+ * All fields are optional, but at least one updatable field must be present.
+ */
+export const validateUpdateTaskTemplate = [
+  body("title")
+    .optional()
+    .isString()
+    .withMessage("Title must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Title must be 1-200 characters"),
+
+  body("description")
+    .optional()
+    .isString()
+    .withMessage("Description must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage("Description must be 1-5000 characters"),
+
+  // Checked against the organization's task priorities by the controller
+  body("priority")
+    .optional()
+    .isString()
+    .withMessage("Priority must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Priority must be 1-50 characters"),
+
+  body("recurrence")
+    .optional()
+    .isString()
+    .withMessage("Recurrence must be a string")
+    .bail()
+    .trim()
+    .custom(isRecurrence),
+
+  body("startsAt")
+    .optional()
+    .isISO8601()
+    .withMessage("Start (startsAt) must be a valid date"),
+
+  body("timezone").optional().custom(isTimeZone),
+
+  body("durationMinutes")
+    .optional()
+    .isInt({ min: 1, max: 525600 })
+    .withMessage("Duration must be between 1 and 525600 minutes")
+    .toInt(),
+
+  body("isActive")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("isActive must be a boolean"),
+
+  body("assignees")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("At least one assignee is required"),
+
+  body("assignees.*").isMongoId().withMessage("Invalid assignee ID"),
+
+  body("watchers")
+    .optional()
+    .isArray()
+    .withMessage("Watchers must be an array"),
+
+  body("watchers.*").isMongoId().withMessage("Invalid watcher ID"),
+
+  body("tags").optional().isArray().withMessage("Tags must be an array"),
+
+  body("tags.*")
+    .isString()
+    .withMessage("Tag must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Tag must be 1-50 characters"),
+
+  body("checklist")
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage("Checklist must be an array of at most 100 items"),
+
+  body("checklist.*")
+    .isString()
+    .withMessage("Checklist item must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Checklist item must be 1-200 characters"),
+
+  body().custom((_, { req }) => {
+    const updates = pickTemplateFields(req.body);
+    if (Object.keys(updates).length === 0) {
+      throw new Error("At least one field is required to update the template");
+    }
+    req.validated = req.validated || {};
+    req.validated.body = updates;
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate task template list query parameters
+ * Filters, sorting and field selection are whitelisted by the query parser.
+ */
+export const validateListTaskTemplates = parseListQuery({
+  filters: {
+    isActive: { type: "boolean" },
+    priority: { type: "string" },
+    assignee: { type: "objectId", path: "assignees" },
+    createdBy: { type: "objectId" },
+    tags: { type: "string" },
+    createdAt: { type: "date" },
+  },
+  sortable: ["title", "startsAt", "createdAt"],
+  selectable: [
+    "title",
+    "description",
+    "priority",
+    "assignees",
+    "watchers",
+    "tags",
+    "checklist",
+    "recurrence",
+    "startsAt",
+    "timezone",
+    "durationMinutes",
+    "isActive",
+    "pausedReason",
+    "generatedThrough",
+    "createdBy",
+    "createdAt",
+    "updatedAt",
+  ],
+});
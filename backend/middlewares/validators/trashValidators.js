@@ -0,0 +1,52 @@
+import { param, query } from "express-validator";
+import { TrashItemType } from "../../utils/constants.js";
+import { handleValidationErrors } from "./validation.js";
+
+/**
+ * Validate the :batchId route parameter
+ */
+export const validateDeleteBatchId = [
+  param("batchId").isUUID(4).withMessage("Invalid delete batch ID"),
+
+  param("batchId").custom((batchId, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.params = { batchId };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate trash list query parameters
+ */
+export const validateListTrash = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+
+  query("type")
+    .optional()
+    .isIn(TrashItemType)
+    .withMessage(`Type must be one of: ${TrashItemType.join(", ")}`),
+
+  query().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.query = {
+      page: req.query.page || 1,
+      limit: req.query.limit || 10,
+      type: req.query.type,
+    };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
@@ -0,0 +1,217 @@
+import { body, param, query } from "express-validator";
+import { UserRole } from "../../utils/constants.js";
+import { handleValidationErrors } from "./validation.js";
+
+/**
+ * Validate the :userId route parameter
+ */
+export const validateUserId = [
+  param("userId").isMongoId().withMessage("Invalid user ID"),
+
+  param("userId").custom((userId, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.params = { userId };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+// Fields accepted on user updates; the controller decides which ones the
+// caller may change
+const USER_UPDATE_FIELDS = [
+  "firstName",
+  "lastName",
+  "position",
+  "skills",
+  "profilePicture",
+  "dateOfBirth",
+  "employeeId",
+  "joinedAt",
+  "role",
+  "department",
+];
+
+/**
+ * Ensure a date is not in the future
+ */
+const notInFuture = (label) => (value) => {
+  if (new Date(value) > new Date()) {
+    throw new Error(`${label} cannot be in the future`);
+  }
+  return true;
+};
+
+/**
+ * Validate user list query parameters
+ * Supports free-text search plus role and department filters.
+ */
+export const validateListUsers = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+
+  query("search")
+    .optional()
+    .isString()
+    .withMessage("Search must be a string")
+    .bail()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Search cannot exceed 100 characters"),
+
+  query("role")
+    .optional()
+    .isIn(UserRole)
+    .withMessage(`Role must be one of: ${UserRole.join(", ")}`),
+
+  query("department")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid department ID"),
+
+  query().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.query = {
+      page: req.query.page || 1,
+      limit: req.query.limit || 10,
+      search: req.query.search,
+      role: req.query.role,
+      department: req.query.department,
+    };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validate user update
+ * All fields are optional, but at least one updatable field must be present.
+ */
+export const validateUpdateUser = [
+  body("firstName")
+    .optional()
+    .isString()
+    .withMessage("First name must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("First name must be 2-50 characters")
+    .bail()
+    .matches(/^[a-zA-Z\s'-]+$/)
+    .withMessage("First name contains invalid characters"),
+
+  body("lastName")
+    .optional()
+    .isString()
+    .withMessage("Last name must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Last name must be 2-50 characters")
+    .bail()
+    .matches(/^[a-zA-Z\s'-]+$/)
+    .withMessage("Last name contains invalid characters"),
+
+  body("position")
+    .optional()
+    .isString()
+    .withMessage("Position must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Position must be 2-50 characters")
+    .bail()
+    .matches(/^[a-zA-Z\s'-]+$/)
+    .withMessage("Position contains invalid characters"),
+
+  body("skills").optional().isArray().withMessage("Skills must be an array"),
+
+  body("skills.*.skill")
+    .exists({ checkFalsy: true })
+    .withMessage("Skill name is required")
+    .bail()
+    .isString()
+    .withMessage("Skill name must be a string")
+    .bail()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage("Skill cannot exceed 50 characters"),
+
+  body("skills.*.percentage")
+    .exists()
+    .withMessage("Skill percentage is required")
+    .bail()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Skill percentage must be between 0 and 100")
+    .toFloat(),
+
+  body("profilePicture")
+    .optional({ values: "null" })
+    .isObject()
+    .withMessage("Profile picture must be an object"),
+
+  body("profilePicture.url")
+    .optional()
+    .isURL({ protocols: ["http", "https"], require_protocol: true })
+    .withMessage("Profile picture URL must be a valid HTTP or HTTPS URL"),
+
+  body("profilePicture.publicId")
+    .optional()
+    .isString()
+    .withMessage("Profile picture public ID must be a string"),
+
+  body("dateOfBirth")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Date of birth must be a valid date")
+    .bail()
+    .custom(notInFuture("Date of birth")),
+
+  body("joinedAt")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Joined date must be a valid date")
+    .bail()
+    .custom(notInFuture("Joined date")),
+
+  body("employeeId")
+    .optional({ values: "null" })
+    .isInt({ min: 1 })
+    .withMessage("Employee ID must be a positive integer")
+    .toInt(),
+
+  body("role")
+    .optional()
+    .isIn(UserRole)
+    .withMessage(`Role must be one of: ${UserRole.join(", ")}`),
+
+  body("department")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid department ID"),
+
+  body().custom((_, { req }) => {
+    const updates = USER_UPDATE_FIELDS.reduce((acc, field) => {
+      if (req.body[field] !== undefined) acc[field] = req.body[field];
+      return acc;
+    }, {});
+    if (Object.keys(updates).length === 0) {
+      throw new Error("At least one field is required to update the user");
+    }
+    req.validated = req.validated || {};
+    req.validated.body = updates;
+    return true;
+  }),
+
+  handleValidationErrors,
+];
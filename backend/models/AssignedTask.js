@@ -1,5 +1,6 @@
 // AssignedTask.js
 import mongoose from "mongoose";
+import CustomError from "../errorHandler/CustomError.js";
 import { BaseTask } from "./BaseTask.js";
 
 /**
@@ -7,6 +8,8 @@ import { BaseTask } from "./BaseTask.js";
  * @property {Date} startDate - When the task should start
  * @property {Date} dueDate - When the task is due
  * @property {mongoose.Types.ObjectId[]} assignees - Array of User references
+ * @property {mongoose.Types.ObjectId} template - Reference to the TaskTemplate that generated the task
+ * @property {Date} occurrence - Template occurrence the task was generated for
  */
 const AssignedTaskSchema = new mongoose.Schema(
   {
@@ -16,6 +19,8 @@ const AssignedTaskSchema = new mongoose.Schema(
       validate: {
         validator: function (v) {
           if (!v) return false;
+          // Only enforce on create or when the start date itself changes
+          if (!this.isNew && !this.isModified("startDate")) return true;
           return new Date(v) >= new Date();
         },
         message: "Start date cannot be in the past",
@@ -39,6 +44,13 @@ const AssignedTaskSchema = new mongoose.Schema(
         required: false, //validated in hook
       },
     ],
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TaskTemplate",
+      default: null,
+      immutable: true,
+    },
+    occurrence: { type: Date, default: null, immutable: true },
   },
   {
     toJSON: BaseTask.schema.options.toJSON,
@@ -46,6 +58,9 @@ const AssignedTaskSchema = new mongoose.Schema(
   }
 );
 
+const validationError = (message) =>
+  new CustomError(message, 400, "VALIDATION_ERROR");
+
 // Tenant consistency and role checks:
 // - assignees must belong to same organization AND same department as the task
 // - watchers must belong to same organization (department may differ)
@@ -59,7 +74,7 @@ AssignedTaskSchema.pre("validate", async function (next) {
     // assignees validation
     const assignees = Array.isArray(this.assignees) ? this.assignees : [];
     if (assignees.length === 0) {
-      return next(new Error("At least one assignee is required"));
+      return next(validationError("At least one assignee is required"));
     }
     const assigneeMismatch = await User.countDocuments({
       _id: { $in: assignees },
@@ -70,7 +85,7 @@ AssignedTaskSchema.pre("validate", async function (next) {
     });
     if (assigneeMismatch > 0) {
       return next(
-        new Error(
+        validationError(
           "All assignees must belong to the same organization and department as the task"
         )
       );
@@ -85,7 +100,7 @@ AssignedTaskSchema.pre("save", function (next) {
   if (this.isModified("assignees") && Array.isArray(this.assignees)) {
     this.assignees = [
       ...new Set(this.assignees.map((id) => id.toString())),
-    ].map((s) => mongoose.Types.ObjectId(s));
+    ].map((s) => new mongoose.Types.ObjectId(s));
   }
   // watcher normalization moved to BaseTask
   next();
@@ -107,13 +122,13 @@ function normalizeArrayUpdates(update, fields) {
         const val = update.$push[f];
         if (val && typeof val === "object" && Array.isArray(val.$each)) {
           const uniq = [...new Set(val.$each.map((v) => v.toString()))].map(
-            (s) => mongoose.Types.ObjectId(s)
+            (s) => new mongoose.Types.ObjectId(s)
           );
           if (!update.$addToSet[f]) update.$addToSet[f] = {};
           update.$addToSet[f].$each = uniq;
         } else {
           if (!update.$addToSet[f]) update.$addToSet[f] = {};
-          const id = mongoose.Types.ObjectId(
+          const id = new mongoose.Types.ObjectId(
             typeof val === "string" ? val : val.toString()
           );
           if (!update.$addToSet[f].$each) update.$addToSet[f].$each = [];
@@ -129,7 +144,7 @@ function normalizeArrayUpdates(update, fields) {
       if (Array.isArray(update.$set[f])) {
         const uniq = [
           ...new Set(update.$set[f].map((id) => id.toString())),
-        ].map((s) => mongoose.Types.ObjectId(s));
+        ].map((s) => new mongoose.Types.ObjectId(s));
         update.$set[f] = uniq;
       }
     }
@@ -167,7 +182,7 @@ AssignedTaskSchema.pre("findOneAndUpdate", async function (next) {
     // If startDate provided, ensure not in past
     if (candidateStart) {
       if (new Date(candidateStart) < new Date()) {
-        return next(new Error("Start date cannot be in the past"));
+        return next(validationError("Start date cannot be in the past"));
       }
     }
 
@@ -175,7 +190,8 @@ AssignedTaskSchema.pre("findOneAndUpdate", async function (next) {
     if (candidateDue && (candidateStart || update.$set?.startDate)) {
       const s = candidateStart ? new Date(candidateStart) : null;
       const d = new Date(candidateDue);
-      if (s && d < s) return next(new Error("Due date must be >= start date"));
+      if (s && d < s)
+        return next(validationError("Due date must be >= start date"));
     }
 
     // If assignees are set, ensure not empty
@@ -191,10 +207,14 @@ AssignedTaskSchema.pre("findOneAndUpdate", async function (next) {
         update.$addToSet.assignees.$each);
     if (assigneesSet) {
       if (assigneesSet.length === 0)
-        return next(new Error("At least one assignee is required"));
+        return next(validationError("At least one assignee is required"));
       // verify org+department for provided assignees against the task's organization/department
       const task = await this.model.findOne(this.getQuery()).lean();
-      if (!task) return next(new Error("Task not found for validation"));
+      if (!task) {
+        return next(
+          new CustomError("Task not found", 404, "TASK_NOT_FOUND_ERROR")
+        );
+      }
       const mism = await User.countDocuments({
         _id: { $in: assigneesSet },
         $or: [
@@ -204,7 +224,7 @@ AssignedTaskSchema.pre("findOneAndUpdate", async function (next) {
       });
       if (mism > 0)
         return next(
-          new Error(
+          validationError(
             "All assignees must belong to the same organization and department as the task"
           )
         );
@@ -228,6 +248,16 @@ AssignedTaskSchema.index(
   { partialFilterExpression: { isDeleted: false } }
 );
 
+// One task per template occurrence, so a scheduler re-run never duplicates
+// one. Deleted tasks keep their slot: a task removed on purpose stays removed
+AssignedTaskSchema.index(
+  { template: 1, occurrence: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { template: { $type: "objectId" } },
+  }
+);
+
 export const AssignedTask = BaseTask.discriminator(
   "AssignedTask",
   AssignedTaskSchema
@@ -3,6 +3,7 @@ import mongoose from "mongoose";
 import paginate from "mongoose-paginate-v2";
 import validator from "validator";
 import { AttachmentType } from "../utils/constants.js";
+import { softDeleteCascade } from "../utils/cascade.js";
 
 /**
  * @typedef {Object} Attachment
@@ -18,6 +19,9 @@ import { AttachmentType } from "../utils/constants.js";
  * @property {mongoose.Types.ObjectId} department - Reference to Department
  * @property {mongoose.Types.ObjectId} uploadedBy - Reference to User who uploaded the file
  * @property {boolean} isDeleted - Soft delete flag
+ * @property {string} deleteBatchId - Cascade batch that soft-deleted the record, cleared on restore
+ * @property {Date} deletedAt - When the record was soft-deleted
+ * @property {mongoose.Types.ObjectId} deletedBy - Reference to User who deleted the record (or its cascade root)
  * @property {Date} createdAt - Timestamp when the attachment was created
  * @property {Date} updatedAt - Timestamp when the attachment was last updated
  */
@@ -99,6 +103,9 @@ const AttachmentSchema = new mongoose.Schema(
       required: [true, "Uploader (uploadedBy) is required"],
     },
     isDeleted: { type: Boolean, default: false },
+    deleteBatchId: { type: String },
+    deletedAt: { type: Date },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   },
   {
     timestamps: true,
@@ -169,7 +176,7 @@ AttachmentSchema.index(
 );
 
 /**
- * Keep parent attachments array in sync on create and delete
+ * Add new attachments to their parent's attachments array
  */
 AttachmentSchema.pre("save", async function (next) {
   const session = this.$session?.();
@@ -184,32 +191,24 @@ AttachmentSchema.pre("save", async function (next) {
           { session }
         );
     }
-    // On soft-delete: remove from parent.attachments and delete related notifications
-    if (this.isModified("isDeleted") && this.isDeleted && !this.$wasDeleted) {
-      await mongoose
-        .model("Notification")
-        .updateMany(
-          { entity: this._id, entityModel: "Attachment", isDeleted: false },
-          { $set: { isDeleted: true } },
-          { session }
-        );
-
-      await mongoose
-        .model(this.parentModel)
-        .updateOne(
-          { _id: this.parent },
-          { $pull: { attachments: this._id } },
-          { session }
-        );
-
-      this.$wasDeleted = true;
-    }
     next();
   } catch (err) {
     next(err);
   }
 });
 
+// Cascade soft-delete to notifications and unlink from parent.attachments
+AttachmentSchema.plugin(softDeleteCascade, {
+  modelName: "Attachment",
+  children: [
+    { model: "Notification", foreignField: "entity", typeField: "entityModel" },
+  ],
+  parentArray: { field: "attachments", ref: "parent", refModel: "parentModel" },
+});
+
+// Records soft-deleted by the same cascade share a batch, looked up on restore
+AttachmentSchema.index({ deleteBatchId: 1 }, { sparse: true });
+
 AttachmentSchema.plugin(paginate);
 
 export const Attachment = mongoose.model("Attachment", AttachmentSchema);
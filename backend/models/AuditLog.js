@@ -0,0 +1,76 @@
+// AuditLog.js
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import { AuditAction } from "../utils/constants.js";
+
+/**
+ * @typedef {Object} AuditLog
+ * @property {string} action - Audited event (AccountLocked, AccountUnlocked, RetentionPurge)
+ * @property {mongoose.Types.ObjectId} organization - Organization of the affected user or purged data, if known
+ * @property {mongoose.Types.ObjectId} user - Affected user, if the email belongs to an account
+ * @property {string} email - Affected email address
+ * @property {mongoose.Types.ObjectId} actor - User who performed the action; null for system events
+ * @property {string} ip - IP address of the request that caused the event
+ * @property {string} userAgent - User agent of the request that caused the event
+ * @property {Object} metadata - Event specific details
+ * @property {Date} createdAt - Timestamp when the event was recorded
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: {
+        values: AuditAction,
+        message: "Invalid audit action",
+      },
+      required: [true, "Audit action is required"],
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    email: { type: String, lowercase: true, trim: true },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null },
+    metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes
+auditLogSchema.index({ organization: 1, createdAt: -1 });
+auditLogSchema.index({ user: 1, createdAt: -1 });
+auditLogSchema.index({ email: 1, createdAt: -1 });
+
+auditLogSchema.plugin(mongoosePaginate);
+
+export const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+export default AuditLog;
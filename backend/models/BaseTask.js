@@ -1,25 +1,65 @@
 // BaseTask.js
 import mongoose from "mongoose";
 import paginate from "mongoose-paginate-v2";
-import { TaskStatus, TaskPriority } from "../utils/constants.js";
+import CustomError from "../errorHandler/CustomError.js";
+import { softDeleteCascade } from "../utils/cascade.js";
+import { getTaskOptions } from "../utils/organizationSettings.js";
+import {
+  assertTaskOptions,
+  assertInitialStatus,
+  assertStatusTransition,
+  recordStatusChange,
+  assertNoOpenSubtasks,
+  assertNotBlocked,
+} from "../utils/taskWorkflow.js";
+import { refreshTaskProgress } from "../utils/taskProgress.js";
+import {
+  DEPENDENCY_TASK_TYPES,
+  assertNoDependencyCycle,
+} from "../utils/taskDependencies.js";
 
 /**
  * @typedef {Object} BaseTask
  * @property {string} title - The title of the task
  * @property {string} description - Detailed description of the task
- * @property {string} status - Current status of the task (To Do, In Progress, Completed, Pending)
- * @property {string} priority - Priority level of the task (Low, Medium, High, Urgent)
+ * @property {string} status - Current status, one of the organization's task statuses
+ * @property {string} priority - Priority level, one of the organization's task priorities
  * @property {mongoose.Types.ObjectId} organization - Reference to Organization
  * @property {mongoose.Types.ObjectId} department - Reference to Department
  * @property {mongoose.Types.ObjectId} createdBy - Reference to User who created the task
  * @property {mongoose.Types.ObjectId[]} attachments - Array of Attachment references
  * @property {mongoose.Types.ObjectId[]} watchers - Array of User references who watch the task
  * @property {string[]} tags - Array of tags for categorization
+ * @property {Object[]} checklist - Steps of the task: { text, done, doneBy, doneAt }
+ * @property {mongoose.Types.ObjectId} parentTask - Reference to the parent task of a subtask, set on creation only
+ * @property {number} progress - Completion percentage rolled up from the checklist and subtasks
+ * @property {mongoose.Types.ObjectId[]} blockedBy - Tasks that must be done before this one can start or complete
+ * @property {number} dependencyRevision - Write marker for concurrent dependency checks (never selected by default)
  * @property {boolean} isDeleted - Soft delete flag
+ * @property {string} deleteBatchId - Cascade batch that soft-deleted the record, cleared on restore
+ * @property {Date} deletedAt - When the record was soft-deleted
+ * @property {mongoose.Types.ObjectId} deletedBy - Reference to User who deleted the record (or its cascade root)
  * @property {Date} createdAt - Timestamp when the task was created
  * @property {Date} updatedAt - Timestamp when the task was last updated
  */
 
+const MAX_CHECKLIST_ITEMS = 100;
+
+const checklistItemSchema = new mongoose.Schema(
+  {
+    text: {
+      type: String,
+      required: [true, "Checklist item text is required"],
+      trim: true,
+      maxlength: [200, "Checklist item cannot exceed 200 characters"],
+    },
+    done: { type: Boolean, default: false },
+    doneBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    doneAt: { type: Date },
+  },
+  { versionKey: false }
+);
+
 const BaseTaskSchema = new mongoose.Schema(
   {
     title: {
@@ -34,16 +74,9 @@ const BaseTaskSchema = new mongoose.Schema(
       trim: true,
       maxlength: [5000, "Description cannot exceed 5000 characters"],
     },
-    status: {
-      type: String,
-      enum: { values: TaskStatus, message: "Invalid task status" },
-      default: "To Do",
-    },
-    priority: {
-      type: String,
-      enum: { values: TaskPriority, message: "Invalid task priority" },
-      default: "Medium",
-    },
+    // Checked against the organization's configured sets on validation
+    status: { type: String, trim: true },
+    priority: { type: String, trim: true },
     organization: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Organization",
@@ -68,7 +101,29 @@ const BaseTaskSchema = new mongoose.Schema(
         maxlength: [50, "Tag cannot exceed 50 characters"],
       },
     ],
+    checklist: {
+      type: [checklistItemSchema],
+      validate: {
+        validator: (items) => items.length <= MAX_CHECKLIST_ITEMS,
+        message: `A checklist cannot exceed ${MAX_CHECKLIST_ITEMS} items`,
+      },
+    },
+    // Fixed at creation, so subtask trees can never form a cycle
+    parentTask: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BaseTask",
+      default: null,
+      immutable: true,
+    },
+    progress: { type: Number, min: 0, max: 100, default: 0 },
+    blockedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: "BaseTask" }],
+    // Bumped on tasks a dependency cycle check walked, so concurrent links
+    // through them conflict instead of both passing the check
+    dependencyRevision: { type: Number, select: false },
     isDeleted: { type: Boolean, default: false },
+    deleteBatchId: { type: String },
+    deletedAt: { type: Date },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   },
   {
     timestamps: true,
@@ -91,6 +146,9 @@ const BaseTaskSchema = new mongoose.Schema(
   }
 );
 
+const validationError = (message) =>
+  new CustomError(message, 400, "VALIDATION_ERROR");
+
 // Tenant consistency: createdBy must belong to the same organization and department
 BaseTaskSchema.pre("validate", async function (next) {
   if (!this.isModified("createdBy") && !this.isNew) return next();
@@ -100,13 +158,13 @@ BaseTaskSchema.pre("validate", async function (next) {
       .findById(this.createdBy)
       .select("organization department")
       .lean();
-    if (!user) return next(new Error("createdBy user not found"));
+    if (!user) return next(validationError("createdBy user not found"));
     if (
       String(user.organization) !== String(this.organization) ||
       String(user.department) !== String(this.department)
     ) {
       return next(
-        new Error(
+        validationError(
           "createdBy user organization/department mismatch with task organization/department"
         )
       );
@@ -117,35 +175,137 @@ BaseTaskSchema.pre("validate", async function (next) {
   }
 });
 
-// Watcher tenant and role checks: watchers must belong to same organization and have allowed roles
+// Watchers must belong to the task's organization and have a management role
+const WATCHER_ROLES = ["SuperAdmin", "Admin", "Manager"];
+
+const assertWatchersAllowed = async (watchers, organization, session) => {
+  const User = mongoose.model("User");
+  const orgMismatch = await User.countDocuments({
+    _id: { $in: watchers },
+    organization: { $ne: organization },
+  }).session(session);
+  if (orgMismatch > 0) {
+    throw validationError(
+      "All watchers must belong to the same organization as the task"
+    );
+  }
+  const roleMismatch = await User.countDocuments({
+    _id: { $in: watchers },
+    role: { $nin: WATCHER_ROLES },
+  }).session(session);
+  if (roleMismatch > 0) {
+    throw validationError(
+      "Watchers must have role SuperAdmin, Admin, or Manager"
+    );
+  }
+};
+
+// Watcher tenant and role checks on save
 BaseTaskSchema.pre("validate", async function (next) {
   try {
     // Skip validation if watchers not modified (except for new docs)
     if (!this.isNew && !this.isModified("watchers")) return next();
     if (!Array.isArray(this.watchers) || this.watchers.length === 0)
       return next();
-    const User = mongoose.model("User");
-    const orgMismatch = await User.countDocuments({
-      _id: { $in: this.watchers },
-      organization: { $ne: this.organization },
-    });
-    if (orgMismatch > 0) {
+    await assertWatchersAllowed(
+      this.watchers,
+      this.organization,
+      this.$session()
+    );
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+const isDoneStatus = (statuses, name) =>
+  statuses?.find((s) => s.name === name)?.category === "done";
+
+const dependencyError = (message) =>
+  new CustomError(message, 400, "INVALID_DEPENDENCY_ERROR");
+
+const subtaskError = (message) =>
+  new CustomError(message, 400, "INVALID_SUBTASK_ERROR");
+
+// Subtasks belong to an active parent in the same organization and
+// department. Routine logs neither have nor are subtasks
+BaseTaskSchema.pre("validate", async function (next) {
+  if (!this.isNew || !this.parentTask) return next();
+  try {
+    if (this.taskType === "RoutineTask") {
+      return next(subtaskError("Routine tasks cannot be subtasks"));
+    }
+    const parent = await mongoose
+      .model("BaseTask")
+      .findOne({ _id: this.parentTask, isDeleted: false })
+      .select("organization department taskType status")
+      .session(this.$session())
+      .lean();
+    if (!parent) {
+      return next(
+        new CustomError("Parent task not found", 404, "TASK_NOT_FOUND_ERROR")
+      );
+    }
+    if (parent.taskType === "RoutineTask") {
+      return next(subtaskError("Routine tasks cannot have subtasks"));
+    }
+    if (
+      String(parent.organization) !== String(this.organization) ||
+      String(parent.department) !== String(this.department)
+    ) {
       return next(
-        new Error(
-          "All watchers must belong to the same organization as the task"
+        subtaskError(
+          "Parent task organization/department mismatch with task organization/department"
         )
       );
     }
-    const allowedRoles = ["SuperAdmin", "Admin", "Manager"];
-    const roleMismatch = await User.countDocuments({
-      _id: { $in: this.watchers },
-      role: { $nin: allowedRoles },
-    });
-    if (roleMismatch > 0) {
+    const { statuses } = await getTaskOptions(
+      parent.organization,
+      this.$session()
+    );
+    if (isDoneStatus(statuses, parent.status)) {
+      return next(subtaskError("Cannot add a subtask to a completed task"));
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Dependency tenant and cycle checks: predecessors must be active assigned or
+// project tasks in the same organization, and links must not form a cycle
+BaseTaskSchema.pre("validate", async function (next) {
+  try {
+    if (!this.isNew && !this.isModified("blockedBy")) return next();
+    if (!Array.isArray(this.blockedBy) || this.blockedBy.length === 0)
+      return next();
+    if (!DEPENDENCY_TASK_TYPES.includes(this.taskType)) {
+      return next(dependencyError("Routine tasks cannot have dependencies"));
+    }
+    if (this.blockedBy.some((id) => String(id) === String(this._id))) {
+      return next(dependencyError("A task cannot depend on itself"));
+    }
+    const ids = [...new Set(this.blockedBy.map(String))];
+    const matching = await mongoose
+      .model("BaseTask")
+      .countDocuments({
+        _id: { $in: ids },
+        organization: this.organization,
+        taskType: { $in: DEPENDENCY_TASK_TYPES },
+        isDeleted: false,
+      })
+      .session(this.$session());
+    if (matching < ids.length) {
       return next(
-        new Error("Watchers must have role SuperAdmin, Admin, or Manager")
+        dependencyError(
+          "Dependencies must be active assigned or project tasks in the same organization as the task"
+        )
       );
     }
+    // A new task blocks nothing yet, so it cannot close a cycle
+    if (!this.isNew) {
+      await assertNoDependencyCycle(this._id, ids, this.$session());
+    }
     next();
   } catch (err) {
     next(err);
@@ -157,6 +317,19 @@ BaseTaskSchema.index(
   { partialFilterExpression: { isDeleted: false } }
 );
 
+// Looks up the tasks a task blocks
+BaseTaskSchema.index({ blockedBy: 1 });
+
+BaseTaskSchema.index(
+  { parentTask: 1, createdAt: -1 },
+  {
+    partialFilterExpression: {
+      isDeleted: false,
+      parentTask: { $type: "objectId" },
+    },
+  }
+);
+
 BaseTaskSchema.index(
   { organization: 1, createdBy: 1, createdAt: -1 },
   { partialFilterExpression: { isDeleted: false } }
@@ -170,11 +343,13 @@ BaseTaskSchema.pre("save", function (next) {
   if (this.isModified("description") && this.description) {
     this.description = this.description.trim();
   }
-  // normalize watchers and tags
-  if (this.isModified("watchers") && Array.isArray(this.watchers)) {
-    this.watchers = [...new Set(this.watchers.map((id) => id.toString()))].map(
-      (s) => mongoose.Types.ObjectId(s)
-    );
+  // normalize watchers, dependencies and tags
+  for (const field of ["watchers", "blockedBy"]) {
+    if (this.isModified(field) && Array.isArray(this[field])) {
+      this[field] = [...new Set(this[field].map((id) => id.toString()))].map(
+        (s) => new mongoose.Types.ObjectId(s)
+      );
+    }
   }
   if (this.isModified("tags") && Array.isArray(this.tags)) {
     this.tags = [...new Set(this.tags.map((t) => String(t).trim()))];
@@ -183,7 +358,11 @@ BaseTaskSchema.pre("save", function (next) {
 });
 
 // Normalize update operations to deduplicate arrays for watchers and tags
-function normalizeBaseArrayUpdates(update, fields) {
+const toObjectId = (v) =>
+  new mongoose.Types.ObjectId(typeof v === "string" ? v : v.toString());
+const toTag = (v) => String(v).trim();
+
+function normalizeBaseArrayUpdates(update, fields, cast = toObjectId) {
   if (!update || typeof update !== "object") return;
   update.$addToSet = update.$addToSet || {};
   if (update.$push) {
@@ -191,18 +370,16 @@ function normalizeBaseArrayUpdates(update, fields) {
       if (update.$push[f] !== undefined) {
         const val = update.$push[f];
         if (val && typeof val === "object" && Array.isArray(val.$each)) {
-          const uniq = [...new Set(val.$each.map((v) => v.toString()))].map(
-            (s) => mongoose.Types.ObjectId(s)
-          );
+          const uniq = [
+            ...new Set(val.$each.map((v) => cast(v).toString())),
+          ].map((s) => cast(s));
           if (!update.$addToSet[f]) update.$addToSet[f] = {};
           update.$addToSet[f].$each = uniq;
         } else {
           if (!update.$addToSet[f]) update.$addToSet[f] = {};
-          const id = mongoose.Types.ObjectId(
-            typeof val === "string" ? val : val.toString()
-          );
+          const item = cast(val);
           if (!update.$addToSet[f].$each) update.$addToSet[f].$each = [];
-          update.$addToSet[f].$each.push(id);
+          update.$addToSet[f].$each.push(item);
         }
         delete update.$push[f];
       }
@@ -213,8 +390,8 @@ function normalizeBaseArrayUpdates(update, fields) {
     for (const f of fields) {
       if (Array.isArray(update.$set[f])) {
         const uniq = [
-          ...new Set(update.$set[f].map((id) => id.toString())),
-        ].map((s) => mongoose.Types.ObjectId(s));
+          ...new Set(update.$set[f].map((v) => cast(v).toString())),
+        ].map((s) => cast(s));
         update.$set[f] = uniq;
       }
     }
@@ -225,295 +402,206 @@ BaseTaskSchema.pre(
   ["findOneAndUpdate", "updateMany", "updateOne"],
   function (next) {
     const update = this.getUpdate();
-    normalizeBaseArrayUpdates(update, ["watchers", "tags"]);
+    normalizeBaseArrayUpdates(update, ["watchers", "blockedBy"]);
+    normalizeBaseArrayUpdates(update, ["tags"], toTag);
     // persist normalized update back to the query
     this.setUpdate(update);
     next();
   }
 );
 
-// Helper for cascading deletes to grandchildren without relying on their document middleware
-async function cascadeDeleteFromTask(taskDoc, session) {
-  const modelName = taskDoc.constructor.modelName;
-
-  // 1) Task-level attachments
-  const taskAttachmentIds = await mongoose
-    .model("Attachment")
-    .find(
-      { parent: taskDoc._id, parentModel: modelName, isDeleted: false },
-      { _id: 1 },
-      { session }
-    )
-    .lean()
-    .then((rows) => rows.map((r) => r._id));
-
-  if (taskAttachmentIds.length) {
-    await mongoose
-      .model("Attachment")
-      .updateMany(
-        { _id: { $in: taskAttachmentIds } },
-        { $set: { isDeleted: true } },
-        { session }
-      );
-  }
-
-  // Remove those attachments from this task's attachments array in memory
-  if (Array.isArray(taskDoc.attachments) && taskDoc.attachments.length) {
-    const rm = new Set(taskAttachmentIds.map((id) => String(id)));
-    taskDoc.attachments = taskDoc.attachments.filter(
-      (id) => !rm.has(String(id))
-    );
+// Watcher tenant and role checks on single-task updates, which skip the
+// validate hooks. Runs after normalization, so added watchers are in $addToSet
+BaseTaskSchema.pre(["findOneAndUpdate", "updateOne"], async function (next) {
+  try {
+    const update = this.getUpdate() || {};
+    const added = update.$addToSet?.watchers;
+    const watchers = [
+      ...[].concat(update.$set?.watchers ?? update.watchers ?? []),
+      ...(added?.$each || (added ? [added] : [])),
+    ];
+    if (watchers.length === 0) return next();
+
+    const { session } = this.getOptions();
+    const task = await this.model
+      .findOne(this.getQuery())
+      .select("organization")
+      .session(session || null)
+      .lean();
+    if (!task) return next();
+    await assertWatchersAllowed(watchers, task.organization, session || null);
+    next();
+  } catch (err) {
+    next(err);
   }
+});
 
-  // Materials attached directly to task (e.g., RoutineTask) - soft-delete and remove from array
-  const taskMaterialIds = await mongoose
-    .model("Material")
-    .find(
-      { parent: taskDoc._id, parentModel: modelName, isDeleted: false },
-      { _id: 1 },
-      { session }
-    )
-    .lean()
-    .then((rows) => rows.map((r) => r._id));
-
-  if (taskMaterialIds.length) {
-    await mongoose
-      .model("Material")
-      .updateMany(
-        { _id: { $in: taskMaterialIds } },
-        { $set: { isDeleted: true } },
-        { session }
-      );
-  }
+// Status and priority must come from the organization's configured sets.
+// New tasks default to the first open status and the default priority.
+// Routine logs keep their fixed RoutineTaskStatus/RoutineTaskPriority enums
+BaseTaskSchema.pre("validate", async function (next) {
+  if (this.taskType === "RoutineTask") return next();
+  if (!this.isNew && !this.isModified("status") && !this.isModified("priority"))
+    return next();
+  try {
+    const options = await getTaskOptions(this.organization, this.$session());
+    if (!this.status) {
+      this.status = options.statuses.find((s) => s.category === "open")?.name;
+    }
+    if (!this.priority) this.priority = options.defaultPriority;
+    assertTaskOptions(this, options);
 
-  if (Array.isArray(taskDoc.materials) && taskDoc.materials.length) {
-    const rmM = new Set(taskMaterialIds.map((id) => String(id)));
-    taskDoc.materials = taskDoc.materials.filter((id) => !rmM.has(String(id)));
+    // Lets the workflow place custom statuses by category
+    this.$locals.taskStatuses = options.statuses;
+    next();
+  } catch (err) {
+    next(err);
   }
+});
 
-  // 2) Task-level notifications
-  await mongoose
-    .model("Notification")
-    .updateMany(
-      { entity: taskDoc._id, entityModel: modelName, isDeleted: false },
-      { $set: { isDeleted: true } },
-      { session }
-    );
+// Remember the stored status so save() can tell which transition it makes
+BaseTaskSchema.post("init", function () {
+  this.$locals.storedStatus = this.status;
+});
 
-  // 3) TaskComments under this task
-  const commentIds = await mongoose
-    .model("TaskComment")
-    .find(
-      { parent: taskDoc._id, parentModel: modelName, isDeleted: false },
-      { _id: 1 },
-      { session }
-    )
-    .lean()
-    .then((rows) => rows.map((r) => r._id));
-
-  if (commentIds.length) {
-    await mongoose
-      .model("TaskComment")
-      .updateMany(
-        { _id: { $in: commentIds }, isDeleted: false },
-        { $set: { isDeleted: true } },
-        { session }
+// Status workflow on save: new tasks start in an initial status, later
+// changes must follow the task type's transition graph. Pass the acting
+// user as save({ actor }). A task cannot be completed while subtasks are
+// open, nor started or completed while a task it depends on is open
+BaseTaskSchema.pre("save", async function (next, options) {
+  try {
+    const statuses = this.$locals.taskStatuses;
+    if (this.isNew) {
+      assertInitialStatus(this.taskType, this.status, statuses);
+    } else if (this.isModified("status")) {
+      const from = this.$locals.storedStatus;
+      const actor = options?.actor;
+      assertStatusTransition(this.taskType, from, this.status, actor, statuses);
+      if (isDoneStatus(statuses, this.status)) {
+        await assertNoOpenSubtasks(this._id, statuses, this.$session());
+      }
+      await assertNotBlocked(
+        { blockedBy: this.blockedBy, from, to: this.status },
+        statuses,
+        this.$session()
       );
-
-    // 3a) Attachments under those comments
-    const commentAttachmentIds = await mongoose
-      .model("Attachment")
-      .find(
-        {
-          parentModel: "TaskComment",
-          parent: { $in: commentIds },
-          isDeleted: false,
-        },
-        { _id: 1 },
-        { session }
-      )
-      .lean()
-      .then((rows) => rows.map((r) => r._id));
-
-    if (commentAttachmentIds.length) {
-      await mongoose
-        .model("Attachment")
-        .updateMany(
-          { _id: { $in: commentAttachmentIds } },
-          { $set: { isDeleted: true } },
-          { session }
-        );
-
-      // Pull from each comment's attachments array
-      await mongoose
-        .model("TaskComment")
-        .updateMany(
-          { _id: { $in: commentIds } },
-          { $pull: { attachments: { $in: commentAttachmentIds } } },
-          { session }
-        );
+      this.$locals.statusChange = { from, to: this.status, actor };
     }
 
-    // 3b) Notifications referencing those comments
-    await mongoose.model("Notification").updateMany(
-      {
-        entityModel: "TaskComment",
-        entity: { $in: commentIds },
-        isDeleted: false,
-      },
-      { $set: { isDeleted: true } },
-      { session }
-    );
+    // Progress depends on the checklist, the status and active subtasks
+    this.$locals.progressChanged =
+      this.taskType !== "RoutineTask" &&
+      (this.isNew ||
+        this.isModified("checklist") ||
+        this.isModified("status") ||
+        this.isModified("isDeleted"));
+    next();
+  } catch (err) {
+    next(err);
   }
+});
 
-  // 4) TaskActivity under this task (only for AssignedTask and ProjectTask)
-  if (modelName === "AssignedTask" || modelName === "ProjectTask") {
-    const activityIds = await mongoose
-      .model("TaskActivity")
-      .find(
-        { task: taskDoc._id, taskModel: modelName, isDeleted: false },
-        { _id: 1 },
-        { session }
-      )
-      .lean()
-      .then((rows) => rows.map((r) => r._id));
-
-    if (activityIds.length) {
-      await mongoose
-        .model("TaskActivity")
-        .updateMany(
-          { _id: { $in: activityIds }, isDeleted: false },
-          { $set: { isDeleted: true } },
-          { session }
-        );
-
-      // 4a) Attachments under activities
-      const activityAttachmentIds = await mongoose
-        .model("Attachment")
-        .find(
-          {
-            parentModel: "TaskActivity",
-            parent: { $in: activityIds },
-            isDeleted: false,
-          },
-          { _id: 1 },
-          { session }
-        )
-        .lean()
-        .then((rows) => rows.map((r) => r._id));
-
-      if (activityAttachmentIds.length) {
-        await mongoose
-          .model("Attachment")
-          .updateMany(
-            { _id: { $in: activityAttachmentIds } },
-            { $set: { isDeleted: true } },
-            { session }
-          );
-
-        await mongoose
-          .model("TaskActivity")
-          .updateMany(
-            { _id: { $in: activityIds } },
-            { $pull: { attachments: { $in: activityAttachmentIds } } },
-            { session }
-          );
-      }
+BaseTaskSchema.post("save", async function () {
+  const change = this.$locals.statusChange;
+  if (change) {
+    delete this.$locals.statusChange;
+    this.$locals.storedStatus = change.to;
+    await recordStatusChange(this, change, this.$session());
+  }
 
-      // 4b) Notifications referencing activities
-      await mongoose.model("Notification").updateMany(
-        {
-          entityModel: "TaskActivity",
-          entity: { $in: activityIds },
-          isDeleted: false,
-        },
-        { $set: { isDeleted: true } },
-        { session }
-      );
+  if (this.$locals.progressChanged) {
+    delete this.$locals.progressChanged;
+    // Also rolls up to the parents; deleted subtasks no longer count there
+    const progress = await refreshTaskProgress(this._id, this.$session());
+    if (progress !== undefined) {
+      this.progress = progress;
+      this.unmarkModified("progress");
+    }
+  }
+});
 
-      // 4c) Comments under activities and their sub-cascades
-      const activityCommentIds = await mongoose
-        .model("TaskComment")
-        .find(
-          {
-            parentModel: "TaskActivity",
-            parent: { $in: activityIds },
-            isDeleted: false,
-          },
-          { _id: 1 },
-          { session }
-        )
-        .lean()
-        .then((rows) => rows.map((r) => r._id));
-
-      if (activityCommentIds.length) {
-        await mongoose
-          .model("TaskComment")
-          .updateMany(
-            { _id: { $in: activityCommentIds }, isDeleted: false },
-            { $set: { isDeleted: true } },
-            { session }
-          );
-
-        const activityCommentAttachmentIds = await mongoose
-          .model("Attachment")
-          .find(
-            {
-              parentModel: "TaskComment",
-              parent: { $in: activityCommentIds },
-              isDeleted: false,
-            },
-            { _id: 1 },
-            { session }
-          )
-          .lean()
-          .then((rows) => rows.map((r) => r._id));
-
-        if (activityCommentAttachmentIds.length) {
-          await mongoose
-            .model("Attachment")
-            .updateMany(
-              { _id: { $in: activityCommentAttachmentIds } },
-              { $set: { isDeleted: true } },
-              { session }
-            );
-
-          await mongoose
-            .model("TaskComment")
-            .updateMany(
-              { _id: { $in: activityCommentIds } },
-              { $pull: { attachments: { $in: activityCommentAttachmentIds } } },
-              { session }
-            );
-        }
+// Organization status/priority sets and the status workflow on
+// findOneAndUpdate. Pass the acting user as the `actor` query option
+BaseTaskSchema.pre("findOneAndUpdate", async function (next) {
+  try {
+    const update = this.getUpdate() || {};
+    const to = update.$set?.status ?? update.status;
+    const priority = update.$set?.priority ?? update.priority;
+    if (to === undefined && priority === undefined) return next();
+
+    const { session, actor } = this.getOptions();
+    const task = await this.model
+      .findOne(this.getQuery())
+      .select("status taskType organization blockedBy")
+      .session(session || null)
+      .lean();
+    if (!task) return next();
 
-        await mongoose.model("Notification").updateMany(
-          {
-            entityModel: "TaskComment",
-            entity: { $in: activityCommentIds },
-            isDeleted: false,
-          },
-          { $set: { isDeleted: true } },
-          { session }
-        );
-      }
+    let statuses = null;
+    if (task.taskType !== "RoutineTask") {
+      const options = await getTaskOptions(task.organization, session);
+      assertTaskOptions({ status: to, priority }, options);
+      statuses = options.statuses;
     }
-  }
-}
+    if (to === undefined || task.status === to) return next();
 
-BaseTaskSchema.pre("save", async function (next) {
-  if (this.isModified("isDeleted") && this.isDeleted && !this.$wasDeleted) {
-    const session = this.$session?.();
-    try {
-      await cascadeDeleteFromTask(this, session);
-      this.$wasDeleted = true;
-    } catch (err) {
-      return next(err);
+    assertStatusTransition(task.taskType, task.status, to, actor, statuses);
+    if (isDoneStatus(statuses, to)) {
+      await assertNoOpenSubtasks(task._id, statuses, session);
     }
+    await assertNotBlocked(
+      { blockedBy: task.blockedBy, from: task.status, to },
+      statuses,
+      session
+    );
+
+    // Only apply if nobody changed the status since it was checked
+    this.where({ status: task.status });
+    this._statusChange = { from: task.status, to, actor };
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+BaseTaskSchema.post("findOneAndUpdate", async function (doc) {
+  if (!doc || !this._statusChange) return;
+  const { session } = this.getOptions();
+  await recordStatusChange(doc, this._statusChange, session);
+  const progress = await refreshTaskProgress(doc._id, session);
+  if (progress !== undefined) doc.progress = progress;
+});
+
+// Bulk updates cannot attribute a transition to each task
+BaseTaskSchema.pre(["updateOne", "updateMany"], function (next) {
+  const update = this.getUpdate() || {};
+  if ((update.$set?.status ?? update.status) !== undefined) {
+    return next(
+      new Error(
+        "Task status must be changed with save() or findOneAndUpdate() so the workflow is enforced"
+      )
+    );
   }
   next();
 });
 
+// Cascade soft-delete to the task's subtasks, attachments, materials,
+// notifications, comments and activities
+BaseTaskSchema.plugin(softDeleteCascade, {
+  modelName: "BaseTask",
+  children: [
+    { model: "BaseTask", foreignField: "parentTask" },
+    { model: "Attachment", foreignField: "parent", typeField: "parentModel" },
+    { model: "Material", foreignField: "parent", typeField: "parentModel" },
+    { model: "Notification", foreignField: "entity", typeField: "entityModel" },
+    { model: "TaskComment", foreignField: "parent", typeField: "parentModel" },
+    { model: "TaskActivity", foreignField: "task", typeField: "taskModel" },
+  ],
+});
+
+// Records soft-deleted by the same cascade share a batch, looked up on restore
+BaseTaskSchema.index({ deleteBatchId: 1 }, { sparse: true });
+
 BaseTaskSchema.plugin(paginate);
 
 export const BaseTask = mongoose.model("BaseTask", BaseTaskSchema);
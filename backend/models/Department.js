@@ -2,6 +2,7 @@
 import mongoose from "mongoose";
 import mongoosePaginate from "mongoose-paginate-v2";
 import { capitalize } from "../utils/helpers.js";
+import { softDeleteCascade } from "../utils/cascade.js";
 
 /**
  * @typedef {Object} Department
@@ -9,6 +10,9 @@ import { capitalize } from "../utils/helpers.js";
  * @property {string} description - Department description
  * @property {mongoose.Types.ObjectId} organization - Reference to Organization
  * @property {boolean} isDeleted - Soft delete flag
+ * @property {string} deleteBatchId - Cascade batch that soft-deleted the record, cleared on restore
+ * @property {Date} deletedAt - When the record was soft-deleted
+ * @property {mongoose.Types.ObjectId} deletedBy - Reference to User who deleted the record (or its cascade root)
  * @property {mongoose.Types.ObjectId} createdBy - Reference to User who created the department
  * @property {Date} createdAt - Timestamp when the department was created
  * @property {Date} updatedAt - Timestamp when the department was last updated
@@ -32,6 +36,9 @@ const departmentSchema = new mongoose.Schema(
       required: [true, "Organization reference is required"],
     },
     isDeleted: { type: Boolean, default: false },
+    deleteBatchId: { type: String },
+    deletedAt: { type: Date },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -102,73 +109,23 @@ departmentSchema.pre("save", function (next) {
   next();
 });
 
-// Cascade soft-delete for department
-departmentSchema.pre("save", async function (next) {
-  if (this.isModified("isDeleted") && this.isDeleted && !this.$wasDeleted) {
-    const session = this.$session?.();
-    try {
-      // Soft delete all users in the department
-      await mongoose
-        .model("User")
-        .updateMany(
-          { department: this._id, isDeleted: false },
-          { $set: { isDeleted: true } },
-          { session }
-        );
-
-      // Soft delete all tasks in the department
-      await mongoose
-        .model("BaseTask")
-        .updateMany(
-          { department: this._id, isDeleted: false },
-          { $set: { isDeleted: true } },
-          { session }
-        );
-
-      // Soft delete all task activities in the department
-      await mongoose
-        .model("TaskActivity")
-        .updateMany(
-          { department: this._id, isDeleted: false },
-          { $set: { isDeleted: true } },
-          { session }
-        );
-
-      // Soft delete all task comments in the department
-      await mongoose
-        .model("TaskComment")
-        .updateMany(
-          { department: this._id, isDeleted: false },
-          { $set: { isDeleted: true } },
-          { session }
-        );
-
-      // Soft delete all attachments in the department
-      await mongoose
-        .model("Attachment")
-        .updateMany(
-          { department: this._id, isDeleted: false },
-          { $set: { isDeleted: true } },
-          { session }
-        );
-
-      // Soft delete all notifications in the department
-      await mongoose
-        .model("Notification")
-        .updateMany(
-          { department: this._id, isDeleted: false },
-          { $set: { isDeleted: true } },
-          { session }
-        );
-
-      this.$wasDeleted = true;
-    } catch (err) {
-      return next(err);
-    }
-  }
-  next();
+// Cascade soft-delete to everything in the department
+departmentSchema.plugin(softDeleteCascade, {
+  modelName: "Department",
+  children: [
+    { model: "User", foreignField: "department" },
+    { model: "BaseTask", foreignField: "department" },
+    { model: "TaskActivity", foreignField: "department" },
+    { model: "TaskComment", foreignField: "department" },
+    { model: "Attachment", foreignField: "department" },
+    { model: "Notification", foreignField: "department" },
+    { model: "TaskTemplate", foreignField: "department" },
+  ],
 });
 
+// Records soft-deleted by the same cascade share a batch, looked up on restore
+departmentSchema.index({ deleteBatchId: 1 }, { sparse: true });
+
 departmentSchema.plugin(mongoosePaginate);
 
 export const Department = mongoose.model("Department", departmentSchema);
@@ -0,0 +1,115 @@
+// Invitation.js
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import validator from "validator";
+import { UserRole, InvitationStatus } from "../utils/constants.js";
+
+/**
+ * @typedef {Object} Invitation
+ * @property {string} email - Email address the invitation was sent to
+ * @property {string} role - Role the invitee receives on acceptance
+ * @property {mongoose.Types.ObjectId} organization - Reference to Organization
+ * @property {mongoose.Types.ObjectId} department - Department the invitee joins
+ * @property {mongoose.Types.ObjectId} invitedBy - User who sent the invitation
+ * @property {string} tokenHash - SHA-256 hash of the invitation token
+ * @property {Date} expiresAt - Invitation can't be accepted after this time
+ * @property {string} status - Pending, Accepted or Revoked
+ * @property {Date} acceptedAt - When the invitation was accepted
+ * @property {mongoose.Types.ObjectId} acceptedUser - User created on acceptance
+ * @property {Date} revokedAt - When the invitation was revoked
+ * @property {mongoose.Types.ObjectId} revokedBy - User who revoked the invitation
+ * @property {boolean} isExpired - Virtual: pending and past its expiry
+ */
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      lowercase: true,
+      trim: true,
+      validate: {
+        validator: (v) => validator.isEmail(v),
+        message: "Please provide a valid email address",
+      },
+    },
+    role: {
+      type: String,
+      enum: {
+        values: UserRole,
+        message: "Role must be SuperAdmin, Admin, Manager, or User",
+      },
+      required: [true, "Role is required"],
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization reference is required"],
+    },
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      required: [true, "Department reference is required"],
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Inviter reference is required"],
+    },
+    tokenHash: {
+      type: String,
+      required: [true, "Token hash is required"],
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry date is required"],
+    },
+    status: {
+      type: String,
+      enum: {
+        values: InvitationStatus,
+        message: "Invalid invitation status",
+      },
+      default: "Pending",
+    },
+    acceptedAt: { type: Date },
+    acceptedUser: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    revokedAt: { type: Date },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.id;
+        delete ret.tokenHash;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.id;
+        delete ret.tokenHash;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes
+invitationSchema.index({ tokenHash: 1 }, { unique: true });
+invitationSchema.index({ organization: 1, email: 1, status: 1 });
+invitationSchema.index({ department: 1, role: 1, status: 1 });
+
+// Virtuals
+invitationSchema.virtual("isExpired").get(function () {
+  return this.status === "Pending" && this.expiresAt <= new Date();
+});
+
+invitationSchema.plugin(mongoosePaginate);
+
+export const Invitation = mongoose.model("Invitation", invitationSchema);
+export default Invitation;
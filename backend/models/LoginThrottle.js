@@ -0,0 +1,64 @@
+// LoginThrottle.js
+import mongoose from "mongoose";
+
+/**
+ * @typedef {Object} LoginThrottle
+ * @property {string} email - Login email the failures were recorded against
+ * @property {mongoose.Types.ObjectId} user - Matching user, when the email belongs to an account
+ * @property {number} failedAttempts - Consecutive failed attempts since the last lockout
+ * @property {number} lockoutCount - Lockouts so far; each doubles the next lockout window
+ * @property {Date} lockedUntil - Login is refused until this time
+ * @property {Date} lastFailedAt - Last failed attempt; idle records are removed by TTL
+ */
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      lowercase: true,
+      trim: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    failedAttempts: { type: Number, default: 0 },
+    lockoutCount: { type: Number, default: 0 },
+    lockedUntil: { type: Date, default: null },
+    lastFailedAt: { type: Date, default: Date.now },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes
+loginThrottleSchema.index({ email: 1 }, { unique: true });
+loginThrottleSchema.index({ user: 1 });
+// Forget failures after a week without new ones (longer than the largest lockout)
+loginThrottleSchema.index(
+  { lastFailedAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60 }
+);
+
+export const LoginThrottle = mongoose.model(
+  "LoginThrottle",
+  loginThrottleSchema
+);
+export default LoginThrottle;
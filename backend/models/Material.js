@@ -1,6 +1,7 @@
 // Material.js
 import mongoose from "mongoose";
 import paginate from "mongoose-paginate-v2";
+import { softDeleteCascade } from "../utils/cascade.js";
 
 /**
  * @typedef {Object} Material
@@ -14,6 +15,9 @@ import paginate from "mongoose-paginate-v2";
  * @property {mongoose.Types.ObjectId} department - Reference to Department
  * @property {mongoose.Types.ObjectId} addedBy - Reference to User who added the material
  * @property {boolean} isDeleted - Soft delete flag
+ * @property {string} deleteBatchId - Cascade batch that soft-deleted the record, cleared on restore
+ * @property {Date} deletedAt - When the record was soft-deleted
+ * @property {mongoose.Types.ObjectId} deletedBy - Reference to User who deleted the record (or its cascade root)
  */
 const MaterialSchema = new mongoose.Schema(
   {
@@ -66,6 +70,9 @@ const MaterialSchema = new mongoose.Schema(
       required: [true, "addedBy is required"],
     },
     isDeleted: { type: Boolean, default: false },
+    deleteBatchId: { type: String },
+    deletedAt: { type: Date },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   },
   {
     timestamps: true,
@@ -91,8 +98,10 @@ const MaterialSchema = new mongoose.Schema(
 MaterialSchema.pre("validate", async function (next) {
   try {
     const Parent = mongoose.model(this.parentModel);
+    // Read within the caller's session so parents created in the same transaction are visible
     const parent = await Parent.findById(this.parent)
       .select("organization department")
+      .session(this.$session?.() || null)
       .lean();
     if (!parent) return next(new Error("Parent entity not found"));
     if (
@@ -122,7 +131,7 @@ MaterialSchema.index(
   { partialFilterExpression: { isDeleted: false } }
 );
 
-// Keep parent.materials array in sync on create and delete
+// Add new materials to their parent's materials array
 MaterialSchema.pre("save", async function (next) {
   const session = this.$session?.();
   try {
@@ -136,33 +145,24 @@ MaterialSchema.pre("save", async function (next) {
           { session }
         );
     }
-
-    // On soft-delete: remove from parent.materials and soft-delete related notifications
-    if (this.isModified("isDeleted") && this.isDeleted && !this.$wasDeleted) {
-      await mongoose
-        .model("Notification")
-        .updateMany(
-          { entity: this._id, entityModel: "Material", isDeleted: false },
-          { $set: { isDeleted: true } },
-          { session }
-        );
-
-      await mongoose
-        .model(this.parentModel)
-        .updateOne(
-          { _id: this.parent },
-          { $pull: { materials: this._id } },
-          { session }
-        );
-
-      this.$wasDeleted = true;
-    }
     next();
   } catch (err) {
     next(err);
   }
 });
 
+// Cascade soft-delete to notifications and unlink from parent.materials
+MaterialSchema.plugin(softDeleteCascade, {
+  modelName: "Material",
+  children: [
+    { model: "Notification", foreignField: "entity", typeField: "entityModel" },
+  ],
+  parentArray: { field: "materials", ref: "parent", refModel: "parentModel" },
+});
+
+// Records soft-deleted by the same cascade share a batch, looked up on restore
+MaterialSchema.index({ deleteBatchId: 1 }, { sparse: true });
+
 MaterialSchema.plugin(paginate);
 
 export const Material = mongoose.model("Material", MaterialSchema);
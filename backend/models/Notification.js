@@ -1,6 +1,7 @@
 // Notification.js
 import mongoose from "mongoose";
 import paginate from "mongoose-paginate-v2";
+import { softDeleteCascade } from "../utils/cascade.js";
 import {
   NotificationType,
   NotificationEntityModel,
@@ -20,6 +21,9 @@ import {
  * @property {mongoose.Types.ObjectId} createdBy - Reference to User who created the notification
  * @property {Date} sentAt - When the notification was sent
  * @property {boolean} isDeleted - Soft delete flag
+ * @property {string} deleteBatchId - Cascade batch that soft-deleted the record, cleared on restore
+ * @property {Date} deletedAt - When the record was soft-deleted
+ * @property {mongoose.Types.ObjectId} deletedBy - Reference to User who deleted the record (or its cascade root)
  * @property {Date} createdAt - Timestamp when the notification was created
  * @property {Date} updatedAt - Timestamp when the notification was last updated
  */
@@ -93,6 +97,9 @@ const NotificationSchema = new mongoose.Schema(
     },
     sentAt: { type: Date, default: Date.now },
     isDeleted: { type: Boolean, default: false },
+    deleteBatchId: { type: String },
+    deletedAt: { type: Date },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   },
   {
     timestamps: true,
@@ -301,6 +308,14 @@ NotificationSchema.pre(
   }
 );
 
+// Stamp soft deletes with their batch so they can be restored
+NotificationSchema.plugin(softDeleteCascade, {
+  modelName: "Notification",
+});
+
+// Records soft-deleted by the same cascade share a batch, looked up on restore
+NotificationSchema.index({ deleteBatchId: 1 }, { sparse: true });
+
 NotificationSchema.plugin(paginate);
 
 export const Notification = mongoose.model("Notification", NotificationSchema);
@@ -2,8 +2,72 @@
 import mongoose from "mongoose";
 import mongoosePaginate from "mongoose-paginate-v2";
 import validator from "validator";
-import { capitalize } from "../utils/helpers.js";
-import { IndustryType, IndustrySize } from "../utils/constants.js";
+import {
+  capitalize,
+  isValidTimeZone,
+  TIME_OF_DAY_REGEX,
+  HEX_COLOR_REGEX,
+} from "../utils/helpers.js";
+import {
+  IndustryType,
+  IndustrySize,
+  TaskStatusCategory,
+  WeekDay,
+  DefaultOrganizationSettings,
+} from "../utils/constants.js";
+import { softDeleteCascade } from "../utils/cascade.js";
+
+// Fields shared by custom task statuses and priorities
+const taskOptionFields = {
+  name: {
+    type: String,
+    required: [true, "Name is required"],
+    trim: true,
+    maxlength: [50, "Name cannot exceed 50 characters"],
+  },
+  color: {
+    type: String,
+    required: [true, "Color is required"],
+    match: [HEX_COLOR_REGEX, "Color must be a hex color such as #3B82F6"],
+  },
+  order: {
+    type: Number,
+    required: [true, "Order is required"],
+    min: [0, "Order cannot be negative"],
+  },
+};
+
+const taskStatusSchema = new mongoose.Schema(
+  {
+    ...taskOptionFields,
+    category: {
+      type: String,
+      required: [true, "Status category is required"],
+      enum: {
+        values: TaskStatusCategory,
+        message: "Invalid status category",
+      },
+    },
+  },
+  { _id: false }
+);
+
+const taskPrioritySchema = new mongoose.Schema(taskOptionFields, {
+  _id: false,
+});
+
+// Names must be unique within a set, ignoring case
+const hasUniqueNames = (options) => {
+  const names = (options || []).map((o) => o.name.toLowerCase());
+  return new Set(names).size === names.length;
+};
+
+// The priorities an organization's tasks may use
+const priorityNamesOf = (settings) =>
+  (settings?.taskPriorities?.length
+    ? settings.taskPriorities
+    : DefaultOrganizationSettings.taskPriorities
+  ).map((p) => p.name);
 
 /**
  * @typedef {Object} Organization
@@ -14,7 +78,21 @@ import { IndustryType, IndustrySize } from "../utils/constants.js";
  * @property {string} size - Organiz ation size (Small, Medium, Large)
  * @property {string} industry - Organization industry
  * @property {string} logoUrl - Organization logo URL
+ * @property {Object} settings - Organization-wide settings
+ * @property {boolean} settings.requireMfaForAdmins - Require MFA for SuperAdmin and Admin users
+ * @property {string} settings.timezone - IANA time zone used for dates and schedules
+ * @property {string} settings.weekStart - First day of the working week
+ * @property {Object} settings.workingHours - Working day bounds ("HH:mm", 24-hour clock)
+ * @property {string} settings.workingHours.start - Start of the working day
+ * @property {string} settings.workingHours.end - End of the working day
+ * @property {string} settings.defaultTaskPriority - Priority applied to new tasks that do not set one
+ * @property {Object[]} settings.taskStatuses - Custom task statuses (name, color, order, category); unset uses the defaults
+ * @property {Object[]} settings.taskPriorities - Custom task priorities (name, color, order); unset uses the defaults
+ * @property {number} settings.retentionDays - Days soft-deleted records are kept before being purged (null keeps them)
  * @property {boolean} isDeleted - Soft delete flag
+ * @property {string} deleteBatchId - Cascade batch that soft-deleted the record, cleared on restore
+ * @property {Date} deletedAt - When the record was soft-deleted
+ * @property {mongoose.Types.ObjectId} deletedBy - Reference to User who deleted the record (or its cascade root)
  * @property {mongoose.Types.ObjectId} createdBy - Reference to User who created the organization
  * @property {Date} createdAt - Timestamp when the organization was created
  * @property {Date} updatedAt - Timestamp when the organization was last updated
@@ -80,7 +158,94 @@ const organizationSchema = new mongoose.Schema(
         message: "Logo URL must be a valid HTTP or HTTPS URL",
       },
     },
+    settings: {
+      requireMfaForAdmins: { type: Boolean, default: false },
+      timezone: {
+        type: String,
+        default: DefaultOrganizationSettings.timezone,
+        validate: {
+          validator: isValidTimeZone,
+          message: "Timezone must be a valid IANA time zone",
+        },
+      },
+      weekStart: {
+        type: String,
+        enum: { values: WeekDay, message: "Invalid week start day" },
+        default: DefaultOrganizationSettings.weekStart,
+      },
+      workingHours: {
+        start: {
+          type: String,
+          default: DefaultOrganizationSettings.workingHours.start,
+          match: [TIME_OF_DAY_REGEX, "Working hours must be in HH:mm format"],
+        },
+        end: {
+          type: String,
+          default: DefaultOrganizationSettings.workingHours.end,
+          match: [TIME_OF_DAY_REGEX, "Working hours must be in HH:mm format"],
+          validate: {
+            validator: function (v) {
+              // "HH:mm" strings sort chronologically
+              const start = this.settings?.workingHours?.start;
+              return !start || v > start;
+            },
+            message: "Working hours end must be after start",
+          },
+        },
+      },
+      defaultTaskPriority: {
+        type: String,
+        default: DefaultOrganizationSettings.defaultTaskPriority,
+        validate: {
+          validator: function (v) {
+            return priorityNamesOf(this.settings).includes(v);
+          },
+          message: "Default task priority must be one of the task priorities",
+        },
+      },
+      // Left unset until an organization customizes them
+      taskStatuses: {
+        type: [taskStatusSchema],
+        default: undefined,
+        validate: [
+          {
+            validator: hasUniqueNames,
+            message: "Task status names must be unique",
+          },
+          {
+            // New tasks start in an open status and must be able to finish
+            validator: (v) =>
+              !v?.length ||
+              ["open", "done"].every((category) =>
+                v.some((status) => status.category === category)
+              ),
+            message: "Task statuses need at least one open and one done status",
+          },
+        ],
+      },
+      taskPriorities: {
+        type: [taskPrioritySchema],
+        default: undefined,
+        validate: {
+          validator: hasUniqueNames,
+          message: "Task priority names must be unique",
+        },
+      },
+      retentionDays: {
+        type: Number,
+        default: DefaultOrganizationSettings.retentionDays,
+        min: [1, "Retention must be at least 1 day"],
+        max: [3650, "Retention cannot exceed 3650 days"],
+        validate: {
+          validator: (v) => v === null || Number.isInteger(v),
+          message: "Retention days must be a whole number",
+        },
+      },
+    },
     isDeleted: { type: Boolean, default: false },
+    deleteBatchId: { type: String },
+    deletedAt: { type: Date },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -129,82 +294,24 @@ organizationSchema.pre("save", function (next) {
   next();
 });
 
-// Cascade soft-delete for organization
-organizationSchema.pre("save", async function (next) {
-  if (this.isModified("isDeleted") && this.isDeleted && !this.$wasDeleted) {
-    const session = this.$session?.();
-    try {
-      // Soft delete all departments in the organization
-      await mongoose
-        .model("Department")
-        .updateMany(
-          { organization: this._id, isDeleted: false },
-          { $set: { isDeleted: true } },
-          { session }
-        );
-
-      // Soft delete all users in the organization
-      await mongoose
-        .model("User")
-        .updateMany(
-          { organization: this._id, isDeleted: false },
-          { $set: { isDeleted: true } },
-          { session }
-        );
-
-      // Soft delete all tasks in the organization
-      await mongoose
-        .model("BaseTask")
-        .updateMany(
-          { organization: this._id, isDeleted: false },
-          { $set: { isDeleted: true } },
-          { session }
-        );
-
-      // Soft delete all task activities in the organization
-      await mongoose
-        .model("TaskActivity")
-        .updateMany(
-          { organization: this._id, isDeleted: false },
-          { $set: { isDeleted: true } },
-          { session }
-        );
-
-      // Soft delete all task comments in the organization
-      await mongoose
-        .model("TaskComment")
-        .updateMany(
-          { organization: this._id, isDeleted: false },
-          { $set: { isDeleted: true } },
-          { session }
-        );
-
-      // Soft delete all attachments in the organization
-      await mongoose
-        .model("Attachment")
-        .updateMany(
-          { organization: this._id, isDeleted: false },
-          { $set: { isDeleted: true } },
-          { session }
-        );
-
-      // Soft delete all notifications in the organization
-      await mongoose
-        .model("Notification")
-        .updateMany(
-          { organization: this._id, isDeleted: false },
-          { $set: { isDeleted: true } },
-          { session }
-        );
-
-      this.$wasDeleted = true;
-    } catch (err) {
-      return next(err);
-    }
-  }
-  next();
+// Cascade soft-delete to everything in the organization
+organizationSchema.plugin(softDeleteCascade, {
+  modelName: "Organization",
+  children: [
+    { model: "Department", foreignField: "organization" },
+    { model: "User", foreignField: "organization" },
+    { model: "BaseTask", foreignField: "organization" },
+    { model: "TaskActivity", foreignField: "organization" },
+    { model: "TaskComment", foreignField: "organization" },
+    { model: "Attachment", foreignField: "organization" },
+    { model: "Notification", foreignField: "organization" },
+    { model: "TaskTemplate", foreignField: "organization" },
+  ],
 });
 
+// Records soft-deleted by the same cascade share a batch, looked up on restore
+organizationSchema.index({ deleteBatchId: 1 }, { sparse: true });
+
 organizationSchema.plugin(mongoosePaginate);
 
 export const Organization = mongoose.model("Organization", organizationSchema);
@@ -7,10 +7,10 @@ import { BaseTask } from "./BaseTask.js";
  * @typedef {Object} ProjectTask
  * @property {Date} startDate - When the project should start
  * @property {Date} dueDate - When the project is due
- * @property {string} vendorName - Name of the external vendor
- * @property {string} vendorContact - Contact information for the vendor
+ * @property {mongoose.Types.ObjectId} vendor - Reference to Vendor
  * @property {number} estimatedCost - Estimated cost of the project
  * @property {number} actualCost - Actual cost of the project
+ * @property {number|null} costVariance - Virtual: actualCost - estimatedCost (null until both are set)
  */
 const ProjectTaskSchema = new mongoose.Schema(
   {
@@ -20,6 +20,8 @@ const ProjectTaskSchema = new mongoose.Schema(
       validate: {
         validator: function (v) {
           if (!v) return false;
+          // Only enforce on create or when the start date itself changes
+          if (!this.isNew && !this.isModified("startDate")) return true;
           return new Date(v) >= new Date();
         },
         message: "Start date cannot be in the past",
@@ -56,6 +58,12 @@ const ProjectTaskSchema = new mongoose.Schema(
   }
 );
 
+// Virtuals
+ProjectTaskSchema.virtual("costVariance").get(function () {
+  if (this.estimatedCost == null || this.actualCost == null) return null;
+  return this.actualCost - this.estimatedCost;
+});
+
 // watcher validations moved to BaseTask
 
 ProjectTaskSchema.pre("save", function (next) {
@@ -106,13 +114,13 @@ function normalizeArrayUpdates(update, fields) {
         const val = update.$push[f];
         if (val && typeof val === "object" && Array.isArray(val.$each)) {
           const uniq = [...new Set(val.$each.map((v) => v.toString()))].map(
-            (s) => mongoose.Types.ObjectId(s)
+            (s) => new mongoose.Types.ObjectId(s)
           );
           if (!update.$addToSet[f]) update.$addToSet[f] = {};
           update.$addToSet[f].$each = uniq;
         } else {
           if (!update.$addToSet[f]) update.$addToSet[f] = {};
-          const id = mongoose.Types.ObjectId(
+          const id = new mongoose.Types.ObjectId(
             typeof val === "string" ? val : val.toString()
           );
           if (!update.$addToSet[f].$each) update.$addToSet[f].$each = [];
@@ -128,7 +136,7 @@ function normalizeArrayUpdates(update, fields) {
       if (Array.isArray(update.$set[f])) {
         const uniq = [
           ...new Set(update.$set[f].map((id) => id.toString())),
-        ].map((s) => mongoose.Types.ObjectId(s));
+        ].map((s) => new mongoose.Types.ObjectId(s));
         update.$set[f] = uniq;
       }
     }
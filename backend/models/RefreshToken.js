@@ -0,0 +1,68 @@
+// RefreshToken.js
+import mongoose from "mongoose";
+
+/**
+ * @typedef {Object} RefreshToken
+ * @property {mongoose.Types.ObjectId} user - User the token was issued to
+ * @property {string} tokenHash - SHA-256 hash of the refresh JWT
+ * @property {string} family - Identifier shared by every token rotated from the same login
+ * @property {Date} expiresAt - When the refresh JWT expires; expired records are removed by TTL
+ * @property {Date} revokedAt - When the token was rotated or revoked
+ * @property {string} replacedByHash - Hash of the token issued when this one was rotated
+ * @property {Date} createdAt - Timestamp when the token was issued
+ * @property {Date} updatedAt - Timestamp when the token was last updated
+ */
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    tokenHash: {
+      type: String,
+      required: [true, "Token hash is required"],
+    },
+    family: {
+      type: String,
+      required: [true, "Token family is required"],
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry date is required"],
+    },
+    revokedAt: { type: Date, default: null },
+    replacedByHash: { type: String, default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.id;
+        delete ret.tokenHash;
+        delete ret.replacedByHash;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.id;
+        delete ret.tokenHash;
+        delete ret.replacedByHash;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes
+refreshTokenSchema.index({ tokenHash: 1 }, { unique: true });
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+export default RefreshToken;
@@ -1,11 +1,14 @@
 // RoutineTask.js
 import mongoose from "mongoose";
 import { BaseTask } from "./BaseTask.js";
+import { RoutineTaskStatus, RoutineTaskPriority } from "../utils/constants.js";
 
 /**
  * @typedef {Object} RoutineTask
  * @property {Date} date - The date when the routine task was performed
- * @p
+ * @property {string} status - Routine task status (Completed, Pending)
+ * @property {string} priority - Routine task priority (Medium, High, Urgent)
+ * @property {mongoose.Types.ObjectId[]} materials - Array of Material references
  */
 const RoutineTaskSchema = new mongoose.Schema(
   {
@@ -25,7 +28,7 @@ const RoutineTaskSchema = new mongoose.Schema(
     status: {
       type: String,
       enum: {
-        values: ["Completed", "Pending"],
+        values: RoutineTaskStatus,
         message:
           'Status for RoutineTask must be either "Completed" or "Pending".',
       },
@@ -35,7 +38,7 @@ const RoutineTaskSchema = new mongoose.Schema(
     priority: {
       type: String,
       enum: {
-        values: ["Medium", "High", "Urgent"],
+        values: RoutineTaskPriority,
         message:
           'Priority for RoutineTask must be "Medium", "High", or "Urgent".',
       },
@@ -85,7 +88,7 @@ RoutineTaskSchema.pre("save", function (next) {
   if (this.isModified("materials") && Array.isArray(this.materials)) {
     this.materials = [
       ...new Set(this.materials.map((id) => id.toString())),
-    ].map((s) => mongoose.Types.ObjectId(s));
+    ].map((s) => new mongoose.Types.ObjectId(s));
   }
   next();
 });
@@ -0,0 +1,69 @@
+// Session.js
+import mongoose from "mongoose";
+
+/**
+ * @typedef {Object} Session
+ * @property {mongoose.Types.ObjectId} user - User the session belongs to
+ * @property {string} family - Refresh token family issued for this session
+ * @property {string} userAgent - User agent of the client that logged in
+ * @property {string} ip - IP address the session was last used from
+ * @property {Date} lastUsedAt - When the session last refreshed its tokens
+ * @property {Date} expiresAt - Expiry of the latest refresh token; expired sessions are removed by TTL
+ * @property {Date} revokedAt - When the session was logged out or revoked
+ * @property {Date} createdAt - Timestamp when the session was created (login)
+ * @property {Date} updatedAt - Timestamp when the session was last updated
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    family: {
+      type: String,
+      required: [true, "Token family is required"],
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+      maxlength: [512, "User agent cannot exceed 512 characters"],
+      default: null,
+    },
+    ip: { type: String, default: null },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry date is required"],
+    },
+    revokedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.id;
+        delete ret.family;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.id;
+        delete ret.family;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes
+sessionSchema.index({ family: 1 }, { unique: true });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Session = mongoose.model("Session", sessionSchema);
+export default Session;
@@ -1,12 +1,16 @@
 // TaskActivity.js
 import mongoose from "mongoose";
 import paginate from "mongoose-paginate-v2";
+import { softDeleteCascade } from "../utils/cascade.js";
+import { TaskActivityKind } from "../utils/constants.js";
 
 /**
  * @typedef {Object} TaskActivity
  * @property {mongoose.Types.ObjectId} task - Reference to the parent task (polymorphic)
  * @property {string} taskModel - Model name of the parent task
+ * @property {string} kind - Log for user-logged activity, StatusChange for workflow history
  * @property {string} activity - Activity description
+ * @property {Object} statusChange - Previous and new status of a StatusChange entry
  * @property {mongoose.Types.ObjectId[]} attachments - Array of Attachment references
  * @property {mongoose.Types.ObjectId[]} materials - Array of Material references
  * @property {Date} loggedAt - When the activity was logged
@@ -14,6 +18,9 @@ import paginate from "mongoose-paginate-v2";
  * @property {mongoose.Types.ObjectId} department - Reference to Department
  * @property {mongoose.Types.ObjectId} createdBy - Reference to User who created the activity
  * @property {boolean} isDeleted - Soft delete flag
+ * @property {string} deleteBatchId - Cascade batch that soft-deleted the record, cleared on restore
+ * @property {Date} deletedAt - When the record was soft-deleted
+ * @property {mongoose.Types.ObjectId} deletedBy - Reference to User who deleted the record (or its cascade root)
  * @property {Date} createdAt - Timestamp when the activity was created
  * @property {Date} updatedAt - Timestamp when the activity was last updated
  */
@@ -28,16 +35,25 @@ const TaskActivitySchema = new mongoose.Schema(
       type: String,
       required: [true, "Task model is required"],
       enum: {
-        values: ["AssignedTask", "ProjectTask"],
+        values: ["RoutineTask", "AssignedTask", "ProjectTask"],
         message: "Invalid task model",
       },
     },
+    kind: {
+      type: String,
+      enum: { values: TaskActivityKind, message: "Invalid activity kind" },
+      default: "Log",
+    },
     activity: {
       type: String,
       required: [true, "Activity is required"],
       trim: true,
       maxlength: [3000, "Activity cannot exceed 3000 characters"],
     },
+    statusChange: {
+      from: { type: String },
+      to: { type: String },
+    },
     attachments: [{ type: mongoose.Schema.Types.ObjectId, ref: "Attachment" }],
     materials: [{ type: mongoose.Schema.Types.ObjectId, ref: "Material" }],
     loggedAt: { type: Date, default: Date.now },
@@ -57,6 +73,9 @@ const TaskActivitySchema = new mongoose.Schema(
       required: [true, "Creator (createdBy) is required"],
     },
     isDeleted: { type: Boolean, default: false },
+    deleteBatchId: { type: String },
+    deletedAt: { type: Date },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   },
   {
     timestamps: true,
@@ -127,147 +146,21 @@ TaskActivitySchema.pre("save", function (next) {
   next();
 });
 
-/**
- * Cascade soft-delete to related entities and keep arrays in sync
- */
-TaskActivitySchema.pre("save", async function (next) {
-  if (this.isModified("isDeleted") && this.isDeleted && !this.$wasDeleted) {
-    const session = this.$session?.();
-    try {
-      const attachIds = await mongoose
-        .model("Attachment")
-        .find(
-          { parent: this._id, parentModel: "TaskActivity", isDeleted: false },
-          { _id: 1 },
-          { session }
-        )
-        .lean()
-        .then((rows) => rows.map((r) => r._id));
-
-      if (attachIds.length) {
-        await mongoose
-          .model("Attachment")
-          .updateMany(
-            { _id: { $in: attachIds } },
-            { $set: { isDeleted: true } },
-            { session }
-          );
-
-        // Pull them from self.attachments (in-memory) for this save
-        if (Array.isArray(this.attachments) && this.attachments.length) {
-          const rm = new Set(attachIds.map((id) => String(id)));
-          this.attachments = this.attachments.filter(
-            (id) => !rm.has(String(id))
-          );
-        }
-      }
-
-      // Materials under this activity
-      const materialIds = await mongoose
-        .model("Material")
-        .find(
-          { parent: this._id, parentModel: "TaskActivity", isDeleted: false },
-          { _id: 1 },
-          { session }
-        )
-        .lean()
-        .then((rows) => rows.map((r) => r._id));
-
-      if (materialIds.length) {
-        await mongoose
-          .model("Material")
-          .updateMany(
-            { _id: { $in: materialIds } },
-            { $set: { isDeleted: true } },
-            { session }
-          );
-
-        if (Array.isArray(this.materials) && this.materials.length) {
-          const rm = new Set(materialIds.map((id) => String(id)));
-          this.materials = this.materials.filter((id) => !rm.has(String(id)));
-        }
-      }
-
-      await mongoose
-        .model("Notification")
-        .updateMany(
-          { entity: this._id, entityModel: "TaskActivity", isDeleted: false },
-          { $set: { isDeleted: true } },
-          { session }
-        );
-
-      // Comments under this activity
-      const commentIds = await mongoose
-        .model("TaskComment")
-        .find(
-          { parentModel: "TaskActivity", parent: this._id, isDeleted: false },
-          { _id: 1 },
-          { session }
-        )
-        .lean()
-        .then((rows) => rows.map((r) => r._id));
-
-      if (commentIds.length) {
-        await mongoose
-          .model("TaskComment")
-          .updateMany(
-            { _id: { $in: commentIds }, isDeleted: false },
-            { $set: { isDeleted: true } },
-            { session }
-          );
-
-        // Attachments under those comments
-        const commentAttachIds = await mongoose
-          .model("Attachment")
-          .find(
-            {
-              parentModel: "TaskComment",
-              parent: { $in: commentIds },
-              isDeleted: false,
-            },
-            { _id: 1 },
-            { session }
-          )
-          .lean()
-          .then((rows) => rows.map((r) => r._id));
-
-        if (commentAttachIds.length) {
-          await mongoose
-            .model("Attachment")
-            .updateMany(
-              { _id: { $in: commentAttachIds } },
-              { $set: { isDeleted: true } },
-              { session }
-            );
-
-          await mongoose
-            .model("TaskComment")
-            .updateMany(
-              { _id: { $in: commentIds } },
-              { $pull: { attachments: { $in: commentAttachIds } } },
-              { session }
-            );
-        }
-
-        await mongoose.model("Notification").updateMany(
-          {
-            entityModel: "TaskComment",
-            entity: { $in: commentIds },
-            isDeleted: false,
-          },
-          { $set: { isDeleted: true } },
-          { session }
-        );
-      }
-
-      this.$wasDeleted = true;
-    } catch (err) {
-      return next(err);
-    }
-  }
-  next();
+// Cascade soft-delete to the activity's attachments, materials, notifications
+// and comments
+TaskActivitySchema.plugin(softDeleteCascade, {
+  modelName: "TaskActivity",
+  children: [
+    { model: "Attachment", foreignField: "parent", typeField: "parentModel" },
+    { model: "Material", foreignField: "parent", typeField: "parentModel" },
+    { model: "Notification", foreignField: "entity", typeField: "entityModel" },
+    { model: "TaskComment", foreignField: "parent", typeField: "parentModel" },
+  ],
 });
 
+// Records soft-deleted by the same cascade share a batch, looked up on restore
+TaskActivitySchema.index({ deleteBatchId: 1 }, { sparse: true });
+
 TaskActivitySchema.plugin(paginate);
 
 export const TaskActivity = mongoose.model("TaskActivity", TaskActivitySchema);
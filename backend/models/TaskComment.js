@@ -1,6 +1,7 @@
 // TaskComment.js
 import mongoose from "mongoose";
 import paginate from "mongoose-paginate-v2";
+import { softDeleteCascade } from "../utils/cascade.js";
 
 /**
  * @typedef {Object} TaskComment
@@ -13,6 +14,9 @@ import paginate from "mongoose-paginate-v2";
  * @property {mongoose.Types.ObjectId} department - Reference to Department
  * @property {mongoose.Types.ObjectId} createdBy - Reference to User who created the comment
  * @property {boolean} isDeleted - Soft delete flag
+ * @property {string} deleteBatchId - Cascade batch that soft-deleted the record, cleared on restore
+ * @property {Date} deletedAt - When the record was soft-deleted
+ * @property {mongoose.Types.ObjectId} deletedBy - Reference to User who deleted the record (or its cascade root)
  * @property {Date} createdAt - Timestamp when the comment was created
  * @property {Date} updatedAt - Timestamp when the comment was last updated
  */
@@ -55,6 +59,9 @@ const TaskCommentSchema = new mongoose.Schema(
       required: [true, "Creator (createdBy) is required"],
     },
     isDeleted: { type: Boolean, default: false },
+    deleteBatchId: { type: String },
+    deletedAt: { type: Date },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   },
   {
     timestamps: true,
@@ -192,57 +199,18 @@ TaskCommentSchema.pre(
   }
 );
 
-/**
- * Cascade soft-delete to related entities and keep attachments array in sync
- */
-TaskCommentSchema.pre("save", async function (next) {
-  if (this.isModified("isDeleted") && this.isDeleted && !this.$wasDeleted) {
-    const session = this.$session?.();
-    try {
-      const attachIds = await mongoose
-        .model("Attachment")
-        .find(
-          { parent: this._id, parentModel: "TaskComment", isDeleted: false },
-          { _id: 1 },
-          { session }
-        )
-        .lean()
-        .then((rows) => rows.map((r) => r._id));
-
-      if (attachIds.length) {
-        await mongoose
-          .model("Attachment")
-          .updateMany(
-            { _id: { $in: attachIds } },
-            { $set: { isDeleted: true } },
-            { session }
-          );
-
-        // Remove them from in-memory attachments for this save
-        if (Array.isArray(this.attachments) && this.attachments.length) {
-          const rm = new Set(attachIds.map((id) => String(id)));
-          this.attachments = this.attachments.filter(
-            (id) => !rm.has(String(id))
-          );
-        }
-      }
-
-      await mongoose
-        .model("Notification")
-        .updateMany(
-          { entity: this._id, entityModel: "TaskComment", isDeleted: false },
-          { $set: { isDeleted: true } },
-          { session }
-        );
-
-      this.$wasDeleted = true;
-    } catch (err) {
-      return next(err);
-    }
-  }
-  next();
+// Cascade soft-delete to the comment's attachments and notifications
+TaskCommentSchema.plugin(softDeleteCascade, {
+  modelName: "TaskComment",
+  children: [
+    { model: "Attachment", foreignField: "parent", typeField: "parentModel" },
+    { model: "Notification", foreignField: "entity", typeField: "entityModel" },
+  ],
 });
 
+// Records soft-deleted by the same cascade share a batch, looked up on restore
+TaskCommentSchema.index({ deleteBatchId: 1 }, { sparse: true });
+
 TaskCommentSchema.plugin(paginate);
 
 export const TaskComment = mongoose.model("TaskComment", TaskCommentSchema);
@@ -0,0 +1,257 @@
+// TaskTemplate.js
+import mongoose from "mongoose";
+import paginate from "mongoose-paginate-v2";
+import { softDeleteCascade } from "../utils/cascade.js";
+import { isValidTimeZone } from "../utils/helpers.js";
+import { parseRecurrence } from "../utils/recurrence.js";
+
+/**
+ * @typedef {Object} TaskTemplate
+ * @property {string} title - Title given to each generated task
+ * @property {string} description - Description given to each generated task
+ * @property {string} priority - Priority of generated tasks; the organization default when unset
+ * @property {mongoose.Types.ObjectId[]} assignees - Users assigned to each generated task
+ * @property {mongoose.Types.ObjectId[]} watchers - Users watching each generated task
+ * @property {string[]} tags - Tags copied to each generated task
+ * @property {string[]} checklist - Checklist item texts copied to each generated task
+ * @property {string} recurrence - RRULE-style recurrence, e.g. FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;BYHOUR=8;BYMINUTE=0
+ * @property {Date} startsAt - First possible occurrence (the RRULE DTSTART)
+ * @property {string} timezone - IANA time zone the recurrence's days and times are in
+ * @property {number} durationMinutes - Time from an occurrence's start date to its due date
+ * @property {boolean} isActive - Paused templates generate no tasks
+ * @property {string} pausedReason - Why the scheduler paused the template, cleared when it is reactivated
+ * @property {Date} generatedThrough - End of the window tasks have been generated for
+ * @property {mongoose.Types.ObjectId} organization - Reference to Organization
+ * @property {mongoose.Types.ObjectId} department - Reference to Department
+ * @property {mongoose.Types.ObjectId} createdBy - Reference to User who created the template
+ * @property {boolean} isDeleted - Soft delete flag
+ * @property {string} deleteBatchId - Cascade batch that soft-deleted the record, cleared on restore
+ * @property {Date} deletedAt - When the record was soft-deleted
+ * @property {mongoose.Types.ObjectId} deletedBy - Reference to User who deleted the record (or its cascade root)
+ */
+const TaskTemplateSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, "Title is required"],
+      trim: true,
+      maxlength: [200, "Title cannot exceed 200 characters"],
+    },
+    description: {
+      type: String,
+      required: [true, "Description is required"],
+      trim: true,
+      maxlength: [5000, "Description cannot exceed 5000 characters"],
+    },
+    // Checked against the organization's priorities when a task is generated
+    priority: { type: String, trim: true },
+    assignees: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    watchers: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    tags: [
+      {
+        type: String,
+        trim: true,
+        maxlength: [50, "Tag cannot exceed 50 characters"],
+      },
+    ],
+    checklist: [
+      {
+        type: String,
+        trim: true,
+        maxlength: [200, "Checklist item cannot exceed 200 characters"],
+      },
+    ],
+    recurrence: {
+      type: String,
+      required: [true, "Recurrence is required"],
+      trim: true,
+      validate: {
+        validator: (value) => {
+          parseRecurrence(value);
+          return true;
+        },
+        message: (props) => props.reason?.message || "Invalid recurrence",
+      },
+    },
+    startsAt: {
+      type: Date,
+      required: [true, "Start (startsAt) is required"],
+    },
+    timezone: {
+      type: String,
+      required: [true, "Timezone is required"],
+      validate: {
+        validator: isValidTimeZone,
+        message: "Timezone must be a valid IANA time zone",
+      },
+    },
+    durationMinutes: {
+      type: Number,
+      default: 60,
+      min: [1, "Duration must be at least 1 minute"],
+      max: [525600, "Duration cannot exceed one year"],
+    },
+    isActive: { type: Boolean, default: true },
+    pausedReason: { type: String },
+    generatedThrough: { type: Date, default: null },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization reference is required"],
+    },
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      required: [true, "Department reference is required"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Creator (createdBy) is required"],
+    },
+    isDeleted: { type: Boolean, default: false },
+    deleteBatchId: { type: String },
+    deletedAt: { type: Date },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+  }
+);
+
+// Tenant consistency: generated tasks need a creator in their department, so
+// the template's creator must be an active user of the same organization
+// and department
+TaskTemplateSchema.pre("validate", async function (next) {
+  if (!this.isNew && !this.isModified("createdBy")) return next();
+  try {
+    const creator = await mongoose.model("User").exists({
+      _id: this.createdBy,
+      organization: this.organization,
+      department: this.department,
+      isDeleted: false,
+    });
+    if (!creator) {
+      return next(
+        new Error(
+          "createdBy user must be an active member of the template's organization and department"
+        )
+      );
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Tenant consistency: generated tasks are checked again, but a template
+// should not be saved with people its tasks could never be given to
+// - assignees must belong to the same organization AND department
+// - watchers must belong to the same organization and be management
+TaskTemplateSchema.pre("validate", async function (next) {
+  try {
+    if (
+      !this.isNew &&
+      !this.isModified("assignees") &&
+      !this.isModified("watchers")
+    )
+      return next();
+    const User = mongoose.model("User");
+
+    if (!Array.isArray(this.assignees) || this.assignees.length === 0) {
+      return next(new Error("At least one assignee is required"));
+    }
+    const assigneeMismatch = await User.countDocuments({
+      _id: { $in: this.assignees },
+      $or: [
+        { organization: { $ne: this.organization } },
+        { department: { $ne: this.department } },
+      ],
+    });
+    if (assigneeMismatch > 0) {
+      return next(
+        new Error(
+          "All assignees must belong to the same organization and department as the template"
+        )
+      );
+    }
+
+    if (Array.isArray(this.watchers) && this.watchers.length > 0) {
+      const watcherMismatch = await User.countDocuments({
+        _id: { $in: this.watchers },
+        $or: [
+          { organization: { $ne: this.organization } },
+          { role: { $nin: ["SuperAdmin", "Admin", "Manager"] } },
+        ],
+      });
+      if (watcherMismatch > 0) {
+        return next(
+          new Error(
+            "Watchers must belong to the template's organization and have role SuperAdmin, Admin, or Manager"
+          )
+        );
+      }
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Normalize arrays like tasks do
+TaskTemplateSchema.pre("save", function (next) {
+  for (const field of ["assignees", "watchers"]) {
+    if (this.isModified(field) && Array.isArray(this[field])) {
+      this[field] = [...new Set(this[field].map((id) => id.toString()))].map(
+        (s) => new mongoose.Types.ObjectId(s)
+      );
+    }
+  }
+  if (this.isModified("tags") && Array.isArray(this.tags)) {
+    this.tags = [...new Set(this.tags.map((t) => String(t).trim()))];
+  }
+  // Reactivating a paused template clears why it was paused
+  if (this.isModified("isActive") && this.isActive) {
+    this.pausedReason = undefined;
+  }
+  next();
+});
+
+TaskTemplateSchema.index(
+  { organization: 1, department: 1, createdAt: -1 },
+  { partialFilterExpression: { isDeleted: false } }
+);
+
+// Templates the scheduler picks up on each run
+TaskTemplateSchema.index(
+  { isActive: 1, generatedThrough: 1 },
+  { partialFilterExpression: { isDeleted: false } }
+);
+
+// Stamp soft deletes with their batch so they can be restored
+TaskTemplateSchema.plugin(softDeleteCascade, {
+  modelName: "TaskTemplate",
+});
+
+// Records soft-deleted by the same cascade share a batch, looked up on restore
+TaskTemplateSchema.index({ deleteBatchId: 1 }, { sparse: true });
+
+TaskTemplateSchema.plugin(paginate);
+
+export const TaskTemplate = mongoose.model("TaskTemplate", TaskTemplateSchema);
+export default TaskTemplate;
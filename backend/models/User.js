@@ -4,6 +4,7 @@ import mongoosePaginate from "mongoose-paginate-v2";
 import bcrypt from "bcrypt";
 import validator from "validator";
 import { UserRole } from "../utils/constants.js";
+import { softDeleteCascade } from "../utils/cascade.js";
 
 const profilePictureSchema = new mongoose.Schema(
   {
@@ -35,6 +36,15 @@ const profilePictureSchema = new mongoose.Schema(
  * @property {mongoose.Types.ObjectId} organization - Reference to Organization
  * @property {mongoose.Types.ObjectId} department - Reference to Department
  * @property {boolean} isDeleted - Soft delete flag
+ * @property {string} deleteBatchId - Cascade batch that soft-deleted the record, cleared on restore
+ * @property {Date} deletedAt - When the record was soft-deleted
+ * @property {mongoose.Types.ObjectId} deletedBy - Reference to User who deleted the record (or its cascade root)
+ * @property {boolean} isEmailVerified - Whether the user confirmed their email address
+ * @property {Date} emailVerifiedAt - When the email address was confirmed
+ * @property {Date} passwordChangedAt - When the password was last changed
+ * @property {string} passwordResetToken - SHA-256 hash of the pending password reset token
+ * @property {Date} passwordResetExpires - Expiry of the pending password reset token
+ * @property {Object} mfa - TOTP two-factor state (secrets and recovery code hashes are never selected by default)
  * @property {Object} profilePicture - User's profile picture URL and public ID
  * @property {string[]} skills - Array of user's skills
  * @property {Date} createdAt - Timestamp when the user was created
@@ -95,6 +105,22 @@ const userSchema = new mongoose.Schema(
       required: [true, "Department reference is required"],
     },
     isDeleted: { type: Boolean, default: false },
+    deleteBatchId: { type: String },
+    deletedAt: { type: Date },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    isEmailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date },
+    passwordChangedAt: { type: Date },
+    passwordResetToken: { type: String, select: false },
+    passwordResetExpires: { type: Date, select: false },
+    mfa: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false },
+      recoveryCodes: { type: [String], select: false },
+      lastUsedStep: { type: Number, select: false },
+      enabledAt: { type: Date },
+    },
     profilePicture: profilePictureSchema,
     skills: [
       {
@@ -146,6 +172,12 @@ const userSchema = new mongoose.Schema(
       transform: (doc, ret) => {
         delete ret.id;
         delete ret.password;
+        if (ret.mfa) {
+          delete ret.mfa.secret;
+          delete ret.mfa.pendingSecret;
+          delete ret.mfa.recoveryCodes;
+          delete ret.mfa.lastUsedStep;
+        }
         return ret;
       },
     },
@@ -154,6 +186,12 @@ const userSchema = new mongoose.Schema(
       transform: (doc, ret) => {
         delete ret.id;
         delete ret.password;
+        if (ret.mfa) {
+          delete ret.mfa.secret;
+          delete ret.mfa.pendingSecret;
+          delete ret.mfa.recoveryCodes;
+          delete ret.mfa.lastUsedStep;
+        }
         return ret;
       },
     },
@@ -299,8 +337,13 @@ userSchema.pre(
         (update.$setOnInsert && update.$setOnInsert.password);
       if (!candidate) return next();
       const hashed = await bcrypt.hash(candidate, 12);
-      if (update.$set) update.$set.password = hashed;
-      else update.password = hashed;
+      if (update.$set) {
+        update.$set.password = hashed;
+        update.$set.passwordChangedAt = new Date();
+      } else {
+        update.password = hashed;
+        update.passwordChangedAt = new Date();
+      }
       this.setUpdate(update);
       next();
     } catch (err) {
@@ -314,6 +357,8 @@ userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
   try {
     this.password = await bcrypt.hash(this.password, 12);
+    // Tokens issued before this moment are no longer accepted
+    if (!this.isNew) this.passwordChangedAt = new Date();
     next();
   } catch (error) {
     next(new Error("Password hashing failed"));
@@ -330,543 +375,28 @@ userSchema.methods.comparePassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Cascade soft-delete for user with deep cleanup
-userSchema.pre("save", async function (next) {
-  if (this.isModified("isDeleted") && this.isDeleted && !this.$wasDeleted) {
-    const session = this.$session?.();
-    try {
-      // 1) Soft delete tasks created by the user
-      const tasks = await mongoose
-        .model("BaseTask")
-        .find(
-          { createdBy: this._id, isDeleted: false },
-          { _id: 1, taskType: 1 },
-          { session }
-        )
-        .lean();
-
-      const taskIds = tasks.map((t) => t._id);
-      if (taskIds.length) {
-        await mongoose
-          .model("BaseTask")
-          .updateMany(
-            { _id: { $in: taskIds }, isDeleted: false },
-            { $set: { isDeleted: true } },
-            { session }
-          );
-
-        // Cascades similar to BaseTask pre-save (explicit due to query updates)
-        // Task attachments
-        const taskAttachmentIds = await mongoose
-          .model("Attachment")
-          .find(
-            {
-              parent: { $in: taskIds },
-              parentModel: {
-                $in: ["RoutineTask", "AssignedTask", "ProjectTask"],
-              },
-              isDeleted: false,
-            },
-            { _id: 1 },
-            { session }
-          )
-          .lean()
-          .then((rows) => rows.map((r) => r._id));
-
-        if (taskAttachmentIds.length) {
-          await mongoose
-            .model("Attachment")
-            .updateMany(
-              { _id: { $in: taskAttachmentIds } },
-              { $set: { isDeleted: true } },
-              { session }
-            );
-        }
-
-        await mongoose.model("Notification").updateMany(
-          {
-            entity: { $in: taskIds },
-            entityModel: {
-              $in: ["RoutineTask", "AssignedTask", "ProjectTask"],
-            },
-            isDeleted: false,
-          },
-          { $set: { isDeleted: true } },
-          { session }
-        );
-
-        // Comments under tasks
-        const taskCommentIds = await mongoose
-          .model("TaskComment")
-          .find(
-            {
-              parent: { $in: taskIds },
-              parentModel: {
-                $in: ["RoutineTask", "AssignedTask", "ProjectTask"],
-              },
-              isDeleted: false,
-            },
-            { _id: 1 },
-            { session }
-          )
-          .lean()
-          .then((rows) => rows.map((r) => r._id));
-
-        if (taskCommentIds.length) {
-          await mongoose
-            .model("TaskComment")
-            .updateMany(
-              { _id: { $in: taskCommentIds } },
-              { $set: { isDeleted: true } },
-              { session }
-            );
-
-          const tcAttachIds = await mongoose
-            .model("Attachment")
-            .find(
-              {
-                parentModel: "TaskComment",
-                parent: { $in: taskCommentIds },
-                isDeleted: false,
-              },
-              { _id: 1 },
-              { session }
-            )
-            .lean()
-            .then((rows) => rows.map((r) => r._id));
-
-          if (tcAttachIds.length) {
-            await mongoose
-              .model("Attachment")
-              .updateMany(
-                { _id: { $in: tcAttachIds } },
-                { $set: { isDeleted: true } },
-                { session }
-              );
-
-            await mongoose
-              .model("TaskComment")
-              .updateMany(
-                { _id: { $in: taskCommentIds } },
-                { $pull: { attachments: { $in: tcAttachIds } } },
-                { session }
-              );
-          }
-
-          await mongoose.model("Notification").updateMany(
-            {
-              entityModel: "TaskComment",
-              entity: { $in: taskCommentIds },
-              isDeleted: false,
-            },
-            { $set: { isDeleted: true } },
-            { session }
-          );
-        }
-
-        // Activities under Assigned/Project tasks
-        const isAP = (t) =>
-          t.taskType === "AssignedTask" || t.taskType === "ProjectTask";
-        const apTaskIds = tasks.filter(isAP).map((t) => t._id);
-        if (apTaskIds.length) {
-          const activityIds = await mongoose
-            .model("TaskActivity")
-            .find(
-              {
-                task: { $in: apTaskIds },
-                taskModel: { $in: ["AssignedTask", "ProjectTask"] },
-                isDeleted: false,
-              },
-              { _id: 1 },
-              { session }
-            )
-            .lean()
-            .then((rows) => rows.map((r) => r._id));
-
-          if (activityIds.length) {
-            await mongoose
-              .model("TaskActivity")
-              .updateMany(
-                { _id: { $in: activityIds } },
-                { $set: { isDeleted: true } },
-                { session }
-              );
-
-            const actAttachIds = await mongoose
-              .model("Attachment")
-              .find(
-                {
-                  parentModel: "TaskActivity",
-                  parent: { $in: activityIds },
-                  isDeleted: false,
-                },
-                { _id: 1 },
-                { session }
-              )
-              .lean()
-              .then((rows) => rows.map((r) => r._id));
-
-            if (actAttachIds.length) {
-              await mongoose
-                .model("Attachment")
-                .updateMany(
-                  { _id: { $in: actAttachIds } },
-                  { $set: { isDeleted: true } },
-                  { session }
-                );
-
-              await mongoose
-                .model("TaskActivity")
-                .updateMany(
-                  { _id: { $in: activityIds } },
-                  { $pull: { attachments: { $in: actAttachIds } } },
-                  { session }
-                );
-            }
-
-            await mongoose.model("Notification").updateMany(
-              {
-                entityModel: "TaskActivity",
-                entity: { $in: activityIds },
-                isDeleted: false,
-              },
-              { $set: { isDeleted: true } },
-              { session }
-            );
-
-            // Comments under those activities
-            const activityCommentIds = await mongoose
-              .model("TaskComment")
-              .find(
-                {
-                  parentModel: "TaskActivity",
-                  parent: { $in: activityIds },
-                  isDeleted: false,
-                },
-                { _id: 1 },
-                { session }
-              )
-              .lean()
-              .then((rows) => rows.map((r) => r._id));
-
-            if (activityCommentIds.length) {
-              await mongoose
-                .model("TaskComment")
-                .updateMany(
-                  { _id: { $in: activityCommentIds } },
-                  { $set: { isDeleted: true } },
-                  { session }
-                );
-
-              const acAttachIds = await mongoose
-                .model("Attachment")
-                .find(
-                  {
-                    parentModel: "TaskComment",
-                    parent: { $in: activityCommentIds },
-                    isDeleted: false,
-                  },
-                  { _id: 1 },
-                  { session }
-                )
-                .lean()
-                .then((rows) => rows.map((r) => r._id));
-
-              if (acAttachIds.length) {
-                await mongoose
-                  .model("Attachment")
-                  .updateMany(
-                    { _id: { $in: acAttachIds } },
-                    { $set: { isDeleted: true } },
-                    { session }
-                  );
-
-                await mongoose
-                  .model("TaskComment")
-                  .updateMany(
-                    { _id: { $in: activityCommentIds } },
-                    { $pull: { attachments: { $in: acAttachIds } } },
-                    { session }
-                  );
-              }
-
-              await mongoose.model("Notification").updateMany(
-                {
-                  entityModel: "TaskComment",
-                  entity: { $in: activityCommentIds },
-                  isDeleted: false,
-                },
-                { $set: { isDeleted: true } },
-                { session }
-              );
-            }
-          }
-        }
-      }
-
-      // 2) Soft delete task activities created by the user (independent of tasks above)
-      const userActivityIds = await mongoose
-        .model("TaskActivity")
-        .find(
-          { createdBy: this._id, isDeleted: false },
-          { _id: 1 },
-          { session }
-        )
-        .lean()
-        .then((rows) => rows.map((r) => r._id));
-
-      if (userActivityIds.length) {
-        await mongoose
-          .model("TaskActivity")
-          .updateMany(
-            { _id: { $in: userActivityIds } },
-            { $set: { isDeleted: true } },
-            { session }
-          );
-
-        const uaAttachIds = await mongoose
-          .model("Attachment")
-          .find(
-            {
-              parentModel: "TaskActivity",
-              parent: { $in: userActivityIds },
-              isDeleted: false,
-            },
-            { _id: 1 },
-            { session }
-          )
-          .lean()
-          .then((rows) => rows.map((r) => r._id));
-
-        if (uaAttachIds.length) {
-          await mongoose
-            .model("Attachment")
-            .updateMany(
-              { _id: { $in: uaAttachIds } },
-              { $set: { isDeleted: true } },
-              { session }
-            );
-
-          await mongoose
-            .model("TaskActivity")
-            .updateMany(
-              { _id: { $in: userActivityIds } },
-              { $pull: { attachments: { $in: uaAttachIds } } },
-              { session }
-            );
-        }
-
-        await mongoose.model("Notification").updateMany(
-          {
-            entityModel: "TaskActivity",
-            entity: { $in: userActivityIds },
-            isDeleted: false,
-          },
-          { $set: { isDeleted: true } },
-          { session }
-        );
-
-        // Comments under these activities
-        const uaCommentIds = await mongoose
-          .model("TaskComment")
-          .find(
-            {
-              parentModel: "TaskActivity",
-              parent: { $in: userActivityIds },
-              isDeleted: false,
-            },
-            { _id: 1 },
-            { session }
-          )
-          .lean()
-          .then((rows) => rows.map((r) => r._id));
-
-        if (uaCommentIds.length) {
-          await mongoose
-            .model("TaskComment")
-            .updateMany(
-              { _id: { $in: uaCommentIds } },
-              { $set: { isDeleted: true } },
-              { session }
-            );
-
-          const uacAttachIds = await mongoose
-            .model("Attachment")
-            .find(
-              {
-                parentModel: "TaskComment",
-                parent: { $in: uaCommentIds },
-                isDeleted: false,
-              },
-              { _id: 1 },
-              { session }
-            )
-            .lean()
-            .then((rows) => rows.map((r) => r._id));
-
-          if (uacAttachIds.length) {
-            await mongoose
-              .model("Attachment")
-              .updateMany(
-                { _id: { $in: uacAttachIds } },
-                { $set: { isDeleted: true } },
-                { session }
-              );
-
-            await mongoose
-              .model("TaskComment")
-              .updateMany(
-                { _id: { $in: uaCommentIds } },
-                { $pull: { attachments: { $in: uacAttachIds } } },
-                { session }
-              );
-          }
-
-          await mongoose.model("Notification").updateMany(
-            {
-              entityModel: "TaskComment",
-              entity: { $in: uaCommentIds },
-              isDeleted: false,
-            },
-            { $set: { isDeleted: true } },
-            { session }
-          );
-        }
-      }
-
-      // 3) Soft delete task comments created by the user (independent)
-      const userCommentIds = await mongoose
-        .model("TaskComment")
-        .find(
-          { createdBy: this._id, isDeleted: false },
-          { _id: 1 },
-          { session }
-        )
-        .lean()
-        .then((rows) => rows.map((r) => r._id));
-
-      if (userCommentIds.length) {
-        await mongoose
-          .model("TaskComment")
-          .updateMany(
-            { _id: { $in: userCommentIds } },
-            { $set: { isDeleted: true } },
-            { session }
-          );
-
-        const ucAttachIds = await mongoose
-          .model("Attachment")
-          .find(
-            {
-              parentModel: "TaskComment",
-              parent: { $in: userCommentIds },
-              isDeleted: false,
-            },
-            { _id: 1 },
-            { session }
-          )
-          .lean()
-          .then((rows) => rows.map((r) => r._id));
-
-        if (ucAttachIds.length) {
-          await mongoose
-            .model("Attachment")
-            .updateMany(
-              { _id: { $in: ucAttachIds } },
-              { $set: { isDeleted: true } },
-              { session }
-            );
-
-          await mongoose
-            .model("TaskComment")
-            .updateMany(
-              { _id: { $in: userCommentIds } },
-              { $pull: { attachments: { $in: ucAttachIds } } },
-              { session }
-            );
-        }
-
-        await mongoose.model("Notification").updateMany(
-          {
-            entityModel: "TaskComment",
-            entity: { $in: userCommentIds },
-            isDeleted: false,
-          },
-          { $set: { isDeleted: true } },
-          { session }
-        );
-      }
-
-      // 4) Soft delete attachments uploaded by the user
-      const uploadedAttachIds = await mongoose
-        .model("Attachment")
-        .find(
-          { uploadedBy: this._id, isDeleted: false },
-          { _id: 1, parent: 1, parentModel: 1 },
-          { session }
-        )
-        .lean();
-
-      if (uploadedAttachIds.length) {
-        const ids = uploadedAttachIds.map((a) => a._id);
-        await mongoose
-          .model("Attachment")
-          .updateMany(
-            { _id: { $in: ids } },
-            { $set: { isDeleted: true } },
-            { session }
-          );
-
-        // Pull from respective parent attachments arrays
-        const byParent = uploadedAttachIds.reduce((acc, a) => {
-          const key = `${a.parentModel}:${a.parent}`;
-          if (!acc[key])
-            acc[key] = { model: a.parentModel, id: a.parent, ids: [] };
-          acc[key].ids.push(a._id);
-          return acc;
-        }, {});
-        await Promise.all(
-          Object.values(byParent).map((g) =>
-            mongoose
-              .model(g.model)
-              .updateOne(
-                { _id: g.id },
-                { $pull: { attachments: { $in: g.ids } } },
-                { session }
-              )
-          )
-        );
-
-        // Related Notifications for these attachments
-        await mongoose.model("Notification").updateMany(
-          {
-            entityModel: "Attachment",
-            entity: { $in: ids },
-            isDeleted: false,
-          },
-          { $set: { isDeleted: true } },
-          { session }
-        );
-      }
-
-      // 5) Soft delete notifications where user is recipient or creator
-      await mongoose.model("Notification").updateMany(
-        {
-          $or: [{ recipients: this._id }, { createdBy: this._id }],
-          isDeleted: false,
-        },
-        { $set: { isDeleted: true } },
-        { session }
-      );
+// Whether the password changed after a token was issued (iat in seconds)
+userSchema.methods.changedPasswordAfter = function (issuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return issuedAt * 1000 < this.passwordChangedAt.getTime();
+};
 
-      this.$wasDeleted = true;
-    } catch (err) {
-      return next(err);
-    }
-  }
-  next();
+// Cascade soft-delete to the records the user created, uploaded or receives
+userSchema.plugin(softDeleteCascade, {
+  modelName: "User",
+  children: [
+    { model: "BaseTask", foreignField: "createdBy" },
+    { model: "TaskActivity", foreignField: "createdBy" },
+    { model: "TaskComment", foreignField: "createdBy" },
+    { model: "Attachment", foreignField: "uploadedBy" },
+    { model: "Notification", foreignField: ["recipients", "createdBy"] },
+    { model: "TaskTemplate", foreignField: "createdBy" },
+  ],
 });
 
+// Records soft-deleted by the same cascade share a batch, looked up on restore
+userSchema.index({ deleteBatchId: 1 }, { sparse: true });
+
 userSchema.plugin(mongoosePaginate);
 
 export const User = mongoose.model("User", userSchema);
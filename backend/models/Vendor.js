@@ -2,6 +2,7 @@
 import mongoose from "mongoose";
 import paginate from "mongoose-paginate-v2";
 import validator from "validator";
+import { softDeleteCascade } from "../utils/cascade.js";
 
 /**
  * @typedef {Object} Vendor
@@ -9,6 +10,9 @@ import validator from "validator";
  * @property {string} contact - Vendor contact (email or phone)
  * @property {mongoose.Types.ObjectId} organization - Organization vendor belongs to
  * @property {boolean} isDeleted - Soft delete flag
+ * @property {string} deleteBatchId - Cascade batch that soft-deleted the record, cleared on restore
+ * @property {Date} deletedAt - When the record was soft-deleted
+ * @property {mongoose.Types.ObjectId} deletedBy - Reference to User who deleted the record (or its cascade root)
  */
 const VendorSchema = new mongoose.Schema(
   {
@@ -38,6 +42,9 @@ const VendorSchema = new mongoose.Schema(
       ref: "Department",
     },
     isDeleted: { type: Boolean, default: false },
+    deleteBatchId: { type: String },
+    deletedAt: { type: Date },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   },
   {
     timestamps: true,
@@ -85,6 +92,14 @@ VendorSchema.index(
   { unique: true, partialFilterExpression: { isDeleted: false } }
 );
 
+// Stamp soft deletes with their batch so they can be restored
+VendorSchema.plugin(softDeleteCascade, {
+  modelName: "Vendor",
+});
+
+// Records soft-deleted by the same cascade share a batch, looked up on restore
+VendorSchema.index({ deleteBatchId: 1 }, { sparse: true });
+
 VendorSchema.plugin(paginate);
 
 export const Vendor = mongoose.model("Vendor", VendorSchema);
@@ -6,8 +6,15 @@ export { BaseTask } from "./BaseTask.js";
 export { AssignedTask } from "./AssignedTask.js";
 export { ProjectTask } from "./ProjectTask.js";
 export { RoutineTask } from "./RoutineTask.js";
+export { TaskTemplate } from "./TaskTemplate.js";
 export { TaskActivity } from "./TaskActivity.js";
 export { TaskComment } from "./TaskComment.js";
 export { Attachment } from "./Attachment.js";
+export { Material } from "./Material.js";
 export { Notification } from "./Notification.js";
 export { Vendor } from "./Vendor.js";
+export { RefreshToken } from "./RefreshToken.js";
+export { Session } from "./Session.js";
+export { LoginThrottle } from "./LoginThrottle.js";
+export { AuditLog } from "./AuditLog.js";
+export { Invitation } from "./Invitation.js";
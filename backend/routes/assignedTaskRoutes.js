@@ -0,0 +1,70 @@
+// backend/routes/assignedTaskRoutes.js
+import express from "express";
+
+import {
+  createAssignedTask,
+  getAssignedTasks,
+  getAssignedTask,
+  updateAssignedTask,
+  deleteAssignedTask,
+} from "../controllers/assignedTaskControllers.js";
+
+import {
+  validateAssignedTaskId,
+  validateCreateAssignedTask,
+  validateUpdateAssignedTask,
+  validateListAssignedTasks,
+} from "../middlewares/validators/assignedTaskValidators.js";
+
+import { verifyJWT, authorize } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// All assigned task routes require authentication
+router.use(verifyJWT);
+
+// @route   POST /api/tasks/assigned
+// @desc    Create an assigned task in the caller's department
+// @access  Private
+router
+  .route("/")
+  .post(
+    authorize("task:create"),
+    validateCreateAssignedTask,
+    createAssignedTask
+  );
+
+// @route   GET /api/tasks/assigned
+// @desc    List assigned tasks in the caller's department
+// @access  Private
+router
+  .route("/")
+  .get(authorize("task:read"), validateListAssignedTasks, getAssignedTasks);
+
+// @route   GET /api/tasks/assigned/:taskId
+// @desc    Get a single assigned task
+// @access  Private
+router
+  .route("/:taskId")
+  .get(authorize("task:read"), validateAssignedTaskId, getAssignedTask);
+
+// @route   PATCH /api/tasks/assigned/:taskId
+// @desc    Update an assigned task
+// @access  Private
+router
+  .route("/:taskId")
+  .patch(
+    authorize("task:update"),
+    validateAssignedTaskId,
+    validateUpdateAssignedTask,
+    updateAssignedTask
+  );
+
+// @route   DELETE /api/tasks/assigned/:taskId
+// @desc    Soft delete an assigned task
+// @access  Private
+router
+  .route("/:taskId")
+  .delete(authorize("task:delete"), validateAssignedTaskId, deleteAssignedTask);
+
+export default router;
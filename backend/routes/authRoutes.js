@@ -6,14 +6,47 @@ import {
   loginUser,
   logoutUser,
   getRefreshToken,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  setupMfaChallenge,
+  verifyMfaLogin,
 } from "../controllers/authControllers.js";
 
+import { acceptInvitation } from "../controllers/invitationControllers.js";
+
+import {
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  regenerateRecoveryCodes,
+} from "../controllers/mfaControllers.js";
+
+import {
+  getMySessions,
+  revokeMySession,
+  revokeAllMySessions,
+} from "../controllers/sessionControllers.js";
+
 import {
   validateLogin,
   validateOrgRegistration,
+  validateVerifyEmail,
+  validateResendVerification,
+  validateForgotPassword,
+  validateResetPassword,
 } from "../middlewares/validators/authValidators.js";
+import { validateSessionId } from "../middlewares/validators/sessionValidators.js";
+import { validateAcceptInvitation } from "../middlewares/validators/invitationValidators.js";
+import {
+  validateMfaChallenge,
+  validateMfaVerify,
+  validateMfaCode,
+  validateDisableMfa,
+} from "../middlewares/validators/mfaValidators.js";
 
-import rateLimiter from "../middlewares/rateLimiter.js";
+import rateLimiter, { emailLimiter } from "../middlewares/rateLimiter.js";
 import {
   verifyJWT,
   verifyRefreshToken,
@@ -44,4 +77,86 @@ router.route("/logout").delete(verifyJWT, logoutUser);
 // @access  Private - Requires valid refresh token
 router.route("/refresh-token").get(verifyRefreshToken, getRefreshToken);
 
+// @route   POST /api/auth/verify-email
+// @desc    Confirm email address with the signed verification token
+// @access  Public
+router.route("/verify-email").post(validateVerifyEmail, verifyEmail);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Resend the email verification link
+// @access  Public - Rate limited per email address
+router
+  .route("/resend-verification")
+  .post(validateResendVerification, emailLimiter, resendVerificationEmail);
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a single-use password reset link
+// @access  Public - Rate limited per email address
+router
+  .route("/forgot-password")
+  .post(validateForgotPassword, emailLimiter, forgotPassword);
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a password reset token
+// @access  Public
+router.route("/reset-password").post(validateResetPassword, resetPassword);
+
+// @route   GET /api/auth/sessions
+// @desc    List the caller's active sessions
+// @access  Private
+router.route("/sessions").get(verifyJWT, getMySessions);
+
+// @route   DELETE /api/auth/sessions
+// @desc    Log out of every session, including the current one
+// @access  Private
+router.route("/sessions").delete(verifyJWT, revokeAllMySessions);
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke one of the caller's sessions
+// @access  Private
+router
+  .route("/sessions/:sessionId")
+  .delete(verifyJWT, validateSessionId, revokeMySession);
+
+// @route   POST /api/auth/mfa/verify
+// @desc    Complete a two-step login with a TOTP or recovery code
+// @access  Public - Requires a valid MFA challenge token
+router.route("/mfa/verify").post(validateMfaVerify, verifyMfaLogin);
+
+// @route   POST /api/auth/mfa/challenge/setup
+// @desc    Start MFA enrollment during login when the organization requires it
+// @access  Public - Requires a valid MFA challenge token
+router
+  .route("/mfa/challenge/setup")
+  .post(validateMfaChallenge, setupMfaChallenge);
+
+// @route   POST /api/auth/mfa/setup
+// @desc    Start TOTP enrollment and return the secret for the QR code
+// @access  Private
+router.route("/mfa/setup").post(verifyJWT, setupMfa);
+
+// @route   POST /api/auth/mfa/enable
+// @desc    Confirm TOTP enrollment and return recovery codes
+// @access  Private
+router.route("/mfa/enable").post(verifyJWT, validateMfaCode, enableMfa);
+
+// @route   POST /api/auth/mfa/disable
+// @desc    Disable MFA after confirming the password and a current code
+// @access  Private
+router.route("/mfa/disable").post(verifyJWT, validateDisableMfa, disableMfa);
+
+// @route   POST /api/auth/mfa/recovery-codes
+// @desc    Replace all recovery codes
+// @access  Private
+router
+  .route("/mfa/recovery-codes")
+  .post(verifyJWT, validateMfaCode, regenerateRecoveryCodes);
+
+// @route   POST /api/auth/accept-invitation
+// @desc    Accept an invitation by setting name, position and password
+// @access  Public
+router
+  .route("/accept-invitation")
+  .post(validateAcceptInvitation, acceptInvitation);
+
 export default router;
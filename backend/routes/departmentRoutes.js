@@ -0,0 +1,86 @@
+// backend/routes/departmentRoutes.js
+import express from "express";
+
+import {
+  createDepartment,
+  getDepartments,
+  getDepartment,
+  updateDepartment,
+  getDepartmentDeleteImpact,
+  deleteDepartment,
+} from "../controllers/departmentControllers.js";
+
+import {
+  validateDepartmentId,
+  validateCreateDepartment,
+  validateUpdateDepartment,
+  validateListDepartments,
+} from "../middlewares/validators/departmentValidators.js";
+
+import { verifyJWT, authorize } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// All department routes require authentication
+router.use(verifyJWT);
+
+// @route   POST /api/departments
+// @desc    Create a department in the caller's organization
+// @access  Private - Requires department:manage
+router
+  .route("/")
+  .post(
+    authorize("department:manage"),
+    validateCreateDepartment,
+    createDepartment
+  );
+
+// @route   GET /api/departments
+// @desc    List departments in the caller's organization
+// @access  Private
+router
+  .route("/")
+  .get(authorize("department:read"), validateListDepartments, getDepartments);
+
+// @route   GET /api/departments/:departmentId
+// @desc    Get a single department
+// @access  Private
+router
+  .route("/:departmentId")
+  .get(authorize("department:read"), validateDepartmentId, getDepartment);
+
+// @route   PATCH /api/departments/:departmentId
+// @desc    Update a department's name or description
+// @access  Private - Requires department:manage
+router
+  .route("/:departmentId")
+  .patch(
+    authorize("department:manage"),
+    validateDepartmentId,
+    validateUpdateDepartment,
+    updateDepartment
+  );
+
+// @route   DELETE /api/departments/:departmentId
+// @desc    Soft delete a department and cascade to everything in it
+// @access  Private - Requires department:manage
+router
+  .route("/:departmentId")
+  .delete(
+    authorize("department:manage"),
+    validateDepartmentId,
+    deleteDepartment
+  );
+
+// @route   GET /api/departments/:departmentId/delete-impact
+// @desc    Count everything a department delete would cascade to
+// @access  Private - Requires department:manage
+router
+  .route("/:departmentId/delete-impact")
+  .get(
+    authorize("department:manage"),
+    validateDepartmentId,
+    getDepartmentDeleteImpact
+  );
+
+export default router;
@@ -2,10 +2,54 @@
 import express from "express";
 
 import AuthRoutes from "./authRoutes.js";
+import UserRoutes from "./userRoutes.js";
+import OrganizationRoutes from "./organizationRoutes.js";
+import DepartmentRoutes from "./departmentRoutes.js";
+import AssignedTaskRoutes from "./assignedTaskRoutes.js";
+import ProjectTaskRoutes from "./projectTaskRoutes.js";
+import RoutineTaskRoutes from "./routineTaskRoutes.js";
+import TaskFeedRoutes from "./taskFeedRoutes.js";
+import TaskChecklistRoutes from "./taskChecklistRoutes.js";
+import TaskDependencyRoutes from "./taskDependencyRoutes.js";
+import TaskTemplateRoutes from "./taskTemplateRoutes.js";
+import NotificationRoutes from "./notificationRoutes.js";
+import TrashRoutes from "./trashRoutes.js";
 
 const router = express.Router();
 
 // Authentication routes
 router.use("/auth", AuthRoutes);
 
+// User routes
+router.use("/users", UserRoutes);
+
+// Organization routes
+router.use("/organization", OrganizationRoutes);
+
+// Department routes
+router.use("/departments", DepartmentRoutes);
+
+// Task routes
+router.use("/tasks/assigned", AssignedTaskRoutes);
+router.use("/tasks/project", ProjectTaskRoutes);
+router.use("/tasks/routine", RoutineTaskRoutes);
+
+// Task activity, comment and subtask feeds (any task type)
+router.use("/tasks", TaskFeedRoutes);
+
+// Task checklists (assigned and project tasks)
+router.use("/tasks", TaskChecklistRoutes);
+
+// Task dependencies (assigned and project tasks)
+router.use("/tasks", TaskDependencyRoutes);
+
+// Recurring task templates
+router.use("/task-templates", TaskTemplateRoutes);
+
+// Notification routes
+router.use("/notifications", NotificationRoutes);
+
+// Trash (soft-deleted records) routes
+router.use("/trash", TrashRoutes);
+
 export default router;
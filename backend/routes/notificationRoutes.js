@@ -0,0 +1,20 @@
+// backend/routes/notificationRoutes.js
+import express from "express";
+
+import { getNotifications } from "../controllers/notificationControllers.js";
+
+import { validateListNotifications } from "../middlewares/validators/notificationValidators.js";
+
+import { verifyJWT } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// All notification routes require authentication
+router.use(verifyJWT);
+
+// @route   GET /api/notifications
+// @desc    Get the caller's notification feed (cursor-paginated)
+// @access  Private
+router.route("/").get(validateListNotifications, getNotifications);
+
+export default router;
@@ -0,0 +1,61 @@
+// backend/routes/organizationRoutes.js
+import express from "express";
+
+import {
+  getOrganization,
+  updateOrganization,
+  updateMfaPolicy,
+  getRetentionPreview,
+  getOrganizationTaskOptions,
+} from "../controllers/organizationControllers.js";
+
+import {
+  validateUpdateOrganization,
+  validateMfaPolicy,
+} from "../middlewares/validators/organizationValidators.js";
+
+import { verifyJWT, authorize } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// All organization routes require authentication
+router.use(verifyJWT);
+
+// @route   GET /api/organization
+// @desc    Get the caller's organization profile and settings
+// @access  Private - Requires organization:manage
+router.route("/").get(authorize("organization:manage"), getOrganization);
+
+// @route   PATCH /api/organization
+// @desc    Update the caller's organization profile and settings
+// @access  Private - Requires organization:manage
+router
+  .route("/")
+  .patch(
+    authorize("organization:manage"),
+    validateUpdateOrganization,
+    updateOrganization
+  );
+
+// @route   GET /api/organization/task-options
+// @desc    Get the organization's task statuses and priorities
+// @access  Private - Requires task:read
+router
+  .route("/task-options")
+  .get(authorize("task:read"), getOrganizationTaskOptions);
+
+// @route   PATCH /api/organization/mfa-policy
+// @desc    Require MFA for SuperAdmin and Admin users in the organization
+// @access  Private - Requires organization:manage
+router
+  .route("/mfa-policy")
+  .patch(authorize("organization:manage"), validateMfaPolicy, updateMfaPolicy);
+
+// @route   GET /api/organization/retention-preview
+// @desc    Count soft-deleted records the retention purge would delete now
+// @access  Private - Requires organization:manage
+router
+  .route("/retention-preview")
+  .get(authorize("organization:manage"), getRetentionPreview);
+
+export default router;
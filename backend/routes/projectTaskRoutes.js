@@ -0,0 +1,78 @@
+// backend/routes/projectTaskRoutes.js
+import express from "express";
+
+import {
+  createProjectTask,
+  getProjectTasks,
+  getProjectTask,
+  updateProjectTask,
+  deleteProjectTask,
+  getProjectDependencyGraph,
+} from "../controllers/projectTaskControllers.js";
+
+import {
+  validateProjectTaskId,
+  validateCreateProjectTask,
+  validateUpdateProjectTask,
+  validateListProjectTasks,
+} from "../middlewares/validators/projectTaskValidators.js";
+
+import { verifyJWT, authorize } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// All project task routes require authentication
+router.use(verifyJWT);
+
+// @route   POST /api/tasks/project
+// @desc    Create a project task in the caller's department
+// @access  Private
+router
+  .route("/")
+  .post(authorize("task:create"), validateCreateProjectTask, createProjectTask);
+
+// @route   GET /api/tasks/project
+// @desc    List project tasks in the caller's department
+// @access  Private
+router
+  .route("/")
+  .get(authorize("task:read"), validateListProjectTasks, getProjectTasks);
+
+// @route   GET /api/tasks/project/:taskId
+// @desc    Get a single project task
+// @access  Private
+router
+  .route("/:taskId")
+  .get(authorize("task:read"), validateProjectTaskId, getProjectTask);
+
+// @route   GET /api/tasks/project/:taskId/dependency-graph
+// @desc    Get the dependency graph of a project and its subtasks
+// @access  Private
+router
+  .route("/:taskId/dependency-graph")
+  .get(
+    authorize("task:read"),
+    validateProjectTaskId,
+    getProjectDependencyGraph
+  );
+
+// @route   PATCH /api/tasks/project/:taskId
+// @desc    Update a project task
+// @access  Private
+router
+  .route("/:taskId")
+  .patch(
+    authorize("task:update"),
+    validateProjectTaskId,
+    validateUpdateProjectTask,
+    updateProjectTask
+  );
+
+// @route   DELETE /api/tasks/project/:taskId
+// @desc    Soft delete a project task
+// @access  Private
+router
+  .route("/:taskId")
+  .delete(authorize("task:delete"), validateProjectTaskId, deleteProjectTask);
+
+export default router;
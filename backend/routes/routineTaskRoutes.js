@@ -0,0 +1,66 @@
+// backend/routes/routineTaskRoutes.js
+import express from "express";
+
+import {
+  createRoutineTask,
+  getRoutineTasks,
+  getRoutineTask,
+  updateRoutineTask,
+  deleteRoutineTask,
+} from "../controllers/routineTaskControllers.js";
+
+import {
+  validateRoutineTaskId,
+  validateCreateRoutineTask,
+  validateUpdateRoutineTask,
+  validateListRoutineTasks,
+} from "../middlewares/validators/routineTaskValidators.js";
+
+import { verifyJWT, authorize } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// All routine task routes require authentication
+router.use(verifyJWT);
+
+// @route   POST /api/tasks/routine
+// @desc    Log a routine task with its materials in the caller's department
+// @access  Private
+router
+  .route("/")
+  .post(authorize("task:create"), validateCreateRoutineTask, createRoutineTask);
+
+// @route   GET /api/tasks/routine
+// @desc    List routine task logs filtered by date range, department and creator
+// @access  Private
+router
+  .route("/")
+  .get(authorize("task:read"), validateListRoutineTasks, getRoutineTasks);
+
+// @route   GET /api/tasks/routine/:taskId
+// @desc    Get a single routine task
+// @access  Private
+router
+  .route("/:taskId")
+  .get(authorize("task:read"), validateRoutineTaskId, getRoutineTask);
+
+// @route   PATCH /api/tasks/routine/:taskId
+// @desc    Update a routine task
+// @access  Private
+router
+  .route("/:taskId")
+  .patch(
+    authorize("task:update"),
+    validateRoutineTaskId,
+    validateUpdateRoutineTask,
+    updateRoutineTask
+  );
+
+// @route   DELETE /api/tasks/routine/:taskId
+// @desc    Soft delete a routine task
+// @access  Private
+router
+  .route("/:taskId")
+  .delete(authorize("task:delete"), validateRoutineTaskId, deleteRoutineTask);
+
+export default router;
@@ -0,0 +1,52 @@
+// backend/routes/taskChecklistRoutes.js
+import express from "express";
+
+import {
+  addChecklistItem,
+  updateChecklistItem,
+  removeChecklistItem,
+} from "../controllers/taskChecklistControllers.js";
+
+import {
+  validateAddChecklistItem,
+  validateUpdateChecklistItem,
+  validateChecklistItemId,
+} from "../middlewares/validators/taskChecklistValidators.js";
+
+import { verifyJWT, authorize } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// All task checklist routes require authentication
+router.use(verifyJWT);
+
+// @route   POST /api/tasks/:taskId/checklist
+// @desc    Add an item to a task's checklist
+// @access  Private
+router
+  .route("/:taskId/checklist")
+  .post(authorize("task:update"), validateAddChecklistItem, addChecklistItem);
+
+// @route   PATCH /api/tasks/:taskId/checklist/:itemId
+// @desc    Rename a checklist item or mark it done/undone
+// @access  Private
+router
+  .route("/:taskId/checklist/:itemId")
+  .patch(
+    authorize("task:update"),
+    validateUpdateChecklistItem,
+    updateChecklistItem
+  );
+
+// @route   DELETE /api/tasks/:taskId/checklist/:itemId
+// @desc    Remove an item from a task's checklist
+// @access  Private
+router
+  .route("/:taskId/checklist/:itemId")
+  .delete(
+    authorize("task:update"),
+    validateChecklistItemId,
+    removeChecklistItem
+  );
+
+export default router;
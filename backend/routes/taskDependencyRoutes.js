@@ -0,0 +1,48 @@
+// backend/routes/taskDependencyRoutes.js
+import express from "express";
+
+import {
+  getTaskDependencies,
+  addTaskDependency,
+  removeTaskDependency,
+} from "../controllers/taskDependencyControllers.js";
+
+import {
+  validateDependencyTaskId,
+  validateAddTaskDependency,
+  validateRemoveTaskDependency,
+} from "../middlewares/validators/taskDependencyValidators.js";
+
+import { verifyJWT, authorize } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// All task dependency routes require authentication
+router.use(verifyJWT);
+
+// @route   GET /api/tasks/:taskId/dependencies
+// @desc    Get the tasks a task is blocked by and the tasks it blocks
+// @access  Private
+router
+  .route("/:taskId/dependencies")
+  .get(authorize("task:read"), validateDependencyTaskId, getTaskDependencies);
+
+// @route   POST /api/tasks/:taskId/dependencies
+// @desc    Mark a task as blocked by another task
+// @access  Private
+router
+  .route("/:taskId/dependencies")
+  .post(authorize("task:update"), validateAddTaskDependency, addTaskDependency);
+
+// @route   DELETE /api/tasks/:taskId/dependencies/:blockedById
+// @desc    Remove a task's link to a task that blocks it
+// @access  Private
+router
+  .route("/:taskId/dependencies/:blockedById")
+  .delete(
+    authorize("task:update"),
+    validateRemoveTaskDependency,
+    removeTaskDependency
+  );
+
+export default router;
@@ -0,0 +1,40 @@
+// backend/routes/taskFeedRoutes.js
+import express from "express";
+
+import {
+  getTaskActivities,
+  getTaskComments,
+  getSubtasks,
+} from "../controllers/taskFeedControllers.js";
+
+import { validateTaskFeed } from "../middlewares/validators/taskFeedValidators.js";
+
+import { verifyJWT, authorize } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// All task feed routes require authentication
+router.use(verifyJWT);
+
+// @route   GET /api/tasks/:taskId/activities
+// @desc    Get a task's activity feed (cursor-paginated)
+// @access  Private
+router
+  .route("/:taskId/activities")
+  .get(authorize("task:read"), validateTaskFeed, getTaskActivities);
+
+// @route   GET /api/tasks/:taskId/comments
+// @desc    Get a task's comment feed (cursor-paginated)
+// @access  Private
+router
+  .route("/:taskId/comments")
+  .get(authorize("task:read"), validateTaskFeed, getTaskComments);
+
+// @route   GET /api/tasks/:taskId/subtasks
+// @desc    Get a task's subtasks (cursor-paginated)
+// @access  Private
+router
+  .route("/:taskId/subtasks")
+  .get(authorize("task:read"), validateTaskFeed, getSubtasks);
+
+export default router;
@@ -0,0 +1,78 @@
+// backend/routes/taskTemplateRoutes.js
+import express from "express";
+
+import {
+  createTaskTemplate,
+  getTaskTemplates,
+  getTaskTemplate,
+  updateTaskTemplate,
+  deleteTaskTemplate,
+} from "../controllers/taskTemplateControllers.js";
+
+import {
+  validateTaskTemplateId,
+  validateCreateTaskTemplate,
+  validateUpdateTaskTemplate,
+  validateListTaskTemplates,
+} from "../middlewares/validators/taskTemplateValidators.js";
+
+import { verifyJWT, authorize } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// All task template routes require authentication
+router.use(verifyJWT);
+
+// @route   POST /api/task-templates
+// @desc    Create a recurring task template in the caller's department
+// @access  Private
+router
+  .route("/")
+  .post(
+    authorize("taskTemplate:manage"),
+    validateCreateTaskTemplate,
+    createTaskTemplate
+  );
+
+// @route   GET /api/task-templates
+// @desc    List task templates in the caller's department
+// @access  Private
+router
+  .route("/")
+  .get(
+    authorize("taskTemplate:read"),
+    validateListTaskTemplates,
+    getTaskTemplates
+  );
+
+// @route   GET /api/task-templates/:templateId
+// @desc    Get a single task template with its upcoming occurrences
+// @access  Private
+router
+  .route("/:templateId")
+  .get(authorize("taskTemplate:read"), validateTaskTemplateId, getTaskTemplate);
+
+// @route   PATCH /api/task-templates/:templateId
+// @desc    Update a task template
+// @access  Private
+router
+  .route("/:templateId")
+  .patch(
+    authorize("taskTemplate:manage"),
+    validateTaskTemplateId,
+    validateUpdateTaskTemplate,
+    updateTaskTemplate
+  );
+
+// @route   DELETE /api/task-templates/:templateId
+// @desc    Soft delete a task template
+// @access  Private
+router
+  .route("/:templateId")
+  .delete(
+    authorize("taskTemplate:manage"),
+    validateTaskTemplateId,
+    deleteTaskTemplate
+  );
+
+export default router;
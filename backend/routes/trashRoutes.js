@@ -0,0 +1,30 @@
+// backend/routes/trashRoutes.js
+import express from "express";
+
+import { getTrash, restoreBatch } from "../controllers/trashControllers.js";
+
+import {
+  validateListTrash,
+  validateDeleteBatchId,
+} from "../middlewares/validators/trashValidators.js";
+
+import { verifyJWT, authorize } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// All trash routes require authentication
+router.use(verifyJWT);
+
+// @route   GET /api/trash
+// @desc    List soft-deleted records, filterable by type
+// @access  Private - Requires trash:manage
+router.route("/").get(authorize("trash:manage"), validateListTrash, getTrash);
+
+// @route   POST /api/trash/:batchId/restore
+// @desc    Restore every record soft-deleted by one cascade batch
+// @access  Private - Requires trash:manage
+router
+  .route("/:batchId/restore")
+  .post(authorize("trash:manage"), validateDeleteBatchId, restoreBatch);
+
+export default router;
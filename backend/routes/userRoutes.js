@@ -0,0 +1,125 @@
+// backend/routes/userRoutes.js
+import express from "express";
+
+import {
+  getUsers,
+  getUser,
+  updateUser,
+  deleteUser,
+  unlockUser,
+} from "../controllers/userControllers.js";
+
+import {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+} from "../controllers/invitationControllers.js";
+
+import {
+  getUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
+} from "../controllers/sessionControllers.js";
+
+import {
+  validateUserId,
+  validateListUsers,
+  validateUpdateUser,
+} from "../middlewares/validators/userValidators.js";
+import {
+  validateInvitationId,
+  validateCreateInvitation,
+  validateListInvitations,
+} from "../middlewares/validators/invitationValidators.js";
+import {
+  validateSessionUserId,
+  validateUserSessionId,
+} from "../middlewares/validators/sessionValidators.js";
+
+import { verifyJWT, authorize } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// All user routes require authentication
+router.use(verifyJWT);
+
+// @route   POST /api/users/invitations
+// @desc    Invite a user to a department with a role
+// @access  Private - Requires user:create
+router
+  .route("/invitations")
+  .post(authorize("user:create"), validateCreateInvitation, createInvitation);
+
+// @route   GET /api/users/invitations
+// @desc    List invitations in the caller's managed scope
+// @access  Private - Requires user:create
+router
+  .route("/invitations")
+  .get(authorize("user:create"), validateListInvitations, getInvitations);
+
+// @route   DELETE /api/users/invitations/:invitationId
+// @desc    Revoke a pending invitation
+// @access  Private - Requires user:create
+router
+  .route("/invitations/:invitationId")
+  .delete(authorize("user:create"), validateInvitationId, revokeInvitation);
+
+// @route   GET /api/users
+// @desc    List and search users in the caller's scope
+// @access  Private
+router.route("/").get(authorize("user:read"), validateListUsers, getUsers);
+
+// @route   GET /api/users/:userId
+// @desc    Get a single user
+// @access  Private
+router.route("/:userId").get(authorize("user:read"), validateUserId, getUser);
+
+// @route   PATCH /api/users/:userId
+// @desc    Update a user; role, department and HR fields need user:update
+// @access  Private - Own profile, or user:update on lower-ranked users
+router.route("/:userId").patch(validateUserId, validateUpdateUser, updateUser);
+
+// @route   DELETE /api/users/:userId
+// @desc    Deactivate a user and cascade to their content
+// @access  Private - Requires user:delete
+router
+  .route("/:userId")
+  .delete(authorize("user:delete"), validateUserId, deleteUser);
+
+// @route   GET /api/users/:userId/sessions
+// @desc    List a user's active sessions
+// @access  Private - Requires session:manage
+router
+  .route("/:userId/sessions")
+  .get(authorize("session:manage"), validateSessionUserId, getUserSessions);
+
+// @route   DELETE /api/users/:userId/sessions
+// @desc    Log a user out of every session
+// @access  Private - Requires session:manage
+router
+  .route("/:userId/sessions")
+  .delete(
+    authorize("session:manage"),
+    validateSessionUserId,
+    revokeAllUserSessions
+  );
+
+// @route   DELETE /api/users/:userId/sessions/:sessionId
+// @desc    Revoke one session of a user
+// @access  Private - Requires session:manage
+router
+  .route("/:userId/sessions/:sessionId")
+  .delete(
+    authorize("session:manage"),
+    validateUserSessionId,
+    revokeUserSession
+  );
+
+// @route   POST /api/users/:userId/unlock
+// @desc    Lift a login lockout on a user's account
+// @access  Private - Requires user:update
+router
+  .route("/:userId/unlock")
+  .post(authorize("user:update"), validateUserId, unlockUser);
+
+export default router;
@@ -4,11 +4,16 @@ import mongoose from "mongoose";
 import app from "./app.js";
 
 import connectDB from "./config/db.js";
+import { runMigrations } from "./utils/migrations.js";
+import { startRetentionPurgeJob } from "./utils/retentionPurge.js";
+import { startTaskTemplateJob } from "./utils/taskTemplateScheduler.js";
 
 let PORT = parseInt(process.env.PORT || "4000", 10);
 const GRACEFUL_SHUTDOWN_TIMEOUT = 10000;
 
 const server = http.createServer(app);
+let stopRetentionPurgeJob = null;
+let stopTaskTemplateJob = null;
 
 // Check if port is available
 const isPortAvailable = (port) => {
@@ -34,6 +39,13 @@ const startServer = async () => {
     // Connect to MongoDB
     await connectDB();
 
+    // Update existing data before serving requests
+    await runMigrations();
+
+    // Start background jobs
+    stopRetentionPurgeJob = startRetentionPurgeJob();
+    stopTaskTemplateJob = startTaskTemplateJob();
+
     // Check if port is available
     const portAvailable = await isPortAvailable(PORT);
     if (!portAvailable) {
@@ -61,6 +73,10 @@ const shutdown = async () => {
   let exitCode = 0;
 
   try {
+    // Stop background jobs
+    stopRetentionPurgeJob?.();
+    stopTaskTemplateJob?.();
+
     // Close HTTP server
     const serverClosePromise = new Promise((resolve, reject) => {
       server.close((err) => {
@@ -1,15 +1,35 @@
 // backend/utils/generateTokens.js
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 
 // Defaults based on environment
 const DEFAULT_ACCESS_EXPIRES_IN =
   process.env.NODE_ENV === "production" ? "15m" : "1d";
 const DEFAULT_REFRESH_EXPIRES_IN = "7d";
+const DEFAULT_EMAIL_VERIFICATION_EXPIRES_IN = "24h";
+const DEFAULT_PASSWORD_RESET_EXPIRES_IN = "1h";
+const DEFAULT_MFA_CHALLENGE_EXPIRES_IN = "5m";
+const DEFAULT_INVITATION_EXPIRES_IN = "7d";
 
 const accessExpiresInEnv =
   process.env.JWT_ACCESS_EXPIRES_IN || DEFAULT_ACCESS_EXPIRES_IN;
 const refreshExpiresInEnv =
   process.env.JWT_REFRESH_EXPIRES_IN || DEFAULT_REFRESH_EXPIRES_IN;
+const emailVerificationExpiresInEnv =
+  process.env.JWT_EMAIL_VERIFICATION_EXPIRES_IN ||
+  DEFAULT_EMAIL_VERIFICATION_EXPIRES_IN;
+const passwordResetExpiresInEnv =
+  process.env.PASSWORD_RESET_EXPIRES_IN || DEFAULT_PASSWORD_RESET_EXPIRES_IN;
+const mfaChallengeExpiresInEnv =
+  process.env.JWT_MFA_CHALLENGE_EXPIRES_IN || DEFAULT_MFA_CHALLENGE_EXPIRES_IN;
+const invitationExpiresInEnv =
+  process.env.INVITATION_EXPIRES_IN || DEFAULT_INVITATION_EXPIRES_IN;
+
+// Purpose claim for email verification tokens
+export const EMAIL_VERIFICATION_PURPOSE = "email-verification";
+
+// Purpose claim for the MFA challenge issued between password and second factor
+export const MFA_CHALLENGE_PURPOSE = "mfa-challenge";
 
 // Convert expiresIn string to milliseconds
 const expiresInToMs = (expiresIn) => {
@@ -40,23 +60,72 @@ const expiresInToMs = (expiresIn) => {
 // Calculate cookie maxAge values
 const ACCESS_TOKEN_MAX_AGE = expiresInToMs(accessExpiresInEnv);
 const REFRESH_TOKEN_MAX_AGE = expiresInToMs(refreshExpiresInEnv);
+const PASSWORD_RESET_MAX_AGE = expiresInToMs(passwordResetExpiresInEnv);
+const INVITATION_MAX_AGE = expiresInToMs(invitationExpiresInEnv);
 
-export const generateAccessToken = (userId) => {
+// Access tokens carry their session's family so revoking the session
+// takes effect before the access token expires.
+export const generateAccessToken = (userId, family) => {
   const secret = process.env.JWT_ACCESS_SECRET;
   if (!secret) throw new Error("JWT_ACCESS_SECRET not set");
-  return jwt.sign({ userId }, secret, {
+  return jwt.sign({ userId, family }, secret, {
     expiresIn: accessExpiresInEnv,
   });
 };
 
-export const generateRefreshToken = (userId) => {
+// Each refresh token carries its rotation family and a unique ID so that two
+// tokens issued in the same second never share a hash.
+export const generateRefreshToken = (userId, family) => {
   const secret = process.env.JWT_REFRESH_SECRET;
   if (!secret) throw new Error("JWT_REFRESH_SECRET not set");
-  return jwt.sign({ userId }, secret, {
+  return jwt.sign({ userId, family }, secret, {
     expiresIn: refreshExpiresInEnv,
+    jwtid: crypto.randomUUID(),
   });
 };
 
+// Signed, expiring token embedded in the email verification link.
+// Bound to the email address so it stops working if the address changes.
+export const generateEmailVerificationToken = (userId, email) => {
+  const secret = process.env.JWT_EMAIL_VERIFICATION_SECRET;
+  if (!secret) throw new Error("JWT_EMAIL_VERIFICATION_SECRET not set");
+  return jwt.sign(
+    { userId, email, purpose: EMAIL_VERIFICATION_PURPOSE },
+    secret,
+    { expiresIn: emailVerificationExpiresInEnv }
+  );
+};
+
+// Short-lived token proving the password step of a login succeeded
+export const generateMfaChallengeToken = (userId) => {
+  const secret = process.env.JWT_MFA_SECRET;
+  if (!secret) throw new Error("JWT_MFA_SECRET not set");
+  return jwt.sign({ userId, purpose: MFA_CHALLENGE_PURPOSE }, secret, {
+    expiresIn: mfaChallengeExpiresInEnv,
+  });
+};
+
+// SHA-256 digest used to store opaque tokens without keeping the raw value
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Random single-use token. Only the hash is persisted; the raw token is
+// emailed to the recipient.
+const generateOpaqueToken = (maxAge) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  return {
+    token,
+    hashedToken: hashToken(token),
+    expiresAt: new Date(Date.now() + maxAge),
+  };
+};
+
+export const generatePasswordResetToken = () =>
+  generateOpaqueToken(PASSWORD_RESET_MAX_AGE);
+
+export const generateInvitationToken = () =>
+  generateOpaqueToken(INVITATION_MAX_AGE);
+
 // Cookie options
 export const getAccessTokenCookieOptions = () => ({
   httpOnly: true,
@@ -0,0 +1,32 @@
+// backend/utils/auditLog.js
+import { AuditLog } from "../models/index.js";
+
+/**
+ * Record an audit event. `user` may be a document or ID; its organization is
+ * captured when available unless `organization` is given (system events).
+ * `context` carries the request's ip and userAgent.
+ */
+export const recordAuditEvent = ({
+  action,
+  user = null,
+  organization = null,
+  email,
+  actor = null,
+  context = {},
+  metadata = {},
+}) =>
+  AuditLog.create({
+    action,
+    user: user?._id || user,
+    organization:
+      organization?._id ||
+      organization ||
+      user?.organization?._id ||
+      user?.organization ||
+      null,
+    email: email || user?.email,
+    actor: actor?._id || actor,
+    ip: context.ip,
+    userAgent: context.userAgent,
+    metadata,
+  });
@@ -0,0 +1,386 @@
+// backend/utils/cascade.js
+import crypto from "crypto";
+import mongoose from "mongoose";
+import CustomError from "../errorHandler/CustomError.js";
+
+/**
+ * Cascade registry: model name -> { children, parentArray }.
+ *
+ * Each soft-deletable model declares its cascade with `softDeleteCascade`:
+ * - `children`: records deleted with it. `foreignField` on the child points
+ *   at the parent (an array of fields means any of them); `typeField` marks a
+ *   polymorphic reference (parent/parentModel, task/taskModel, entity/entityModel)
+ *   that must also name the parent's model.
+ * - `parentArray`: the array on the record's own parent that lists it
+ *   (e.g. task.attachments); the record is pulled from it when deleted and
+ *   added back when restored.
+ *
+ * Deletes, impact previews and restores all walk this one graph.
+ */
+const registry = new Map();
+
+// Polymorphic references a restored record must still resolve to
+const PARENT_REFS = [
+  ["parent", "parentModel"],
+  ["task", "taskModel"],
+];
+
+/**
+ * Stamp a document being soft-deleted with its batch ID and deletion time,
+ * and return the matching $set for the records its cascade deletes.
+ * Set `deletedBy` on the document before saving to record the actor.
+ * Keeps values assigned earlier so nested hooks join the same batch.
+ */
+export const stampDeletion = (doc) => {
+  if (!doc.deleteBatchId) doc.deleteBatchId = crypto.randomUUID();
+  if (!doc.deletedAt) doc.deletedAt = new Date();
+  return {
+    isDeleted: true,
+    deleteBatchId: doc.deleteBatchId,
+    deletedAt: doc.deletedAt,
+    deletedBy: doc.deletedBy || null,
+  };
+};
+
+// Concrete model name of a record; discriminated records (tasks) carry theirs
+const typeNameOf = (modelName, doc) => {
+  const key = mongoose.model(modelName).schema.options.discriminatorKey;
+  return doc[key] || modelName;
+};
+
+// Filter for the active children of `parents` along one declared edge
+const childFilter = (edge, modelName, parents) => {
+  const ids = parents.map((doc) => doc._id);
+  const fields = [].concat(edge.foreignField);
+  const filter =
+    fields.length === 1
+      ? { [fields[0]]: { $in: ids } }
+      : { $or: fields.map((field) => ({ [field]: { $in: ids } })) };
+  if (edge.typeField) {
+    const types = new Set(parents.map((doc) => typeNameOf(modelName, doc)));
+    filter[edge.typeField] = { $in: [...types] };
+  }
+  return { ...filter, isDeleted: false };
+};
+
+// Fields the traversal needs from a child to follow and unlink it
+const childProjection = (modelName) => {
+  const model = mongoose.model(modelName);
+  const { parentArray } = registry.get(modelName) || {};
+  const fields = ["_id", model.schema.options.discriminatorKey];
+  if (parentArray) fields.push(parentArray.ref, parentArray.refModel);
+  return fields.join(" ");
+};
+
+// Pull deleted records out of the arrays their parents list them in
+const unlinkFromParents = async (modelName, docs, session) => {
+  const { parentArray } = registry.get(modelName) || {};
+  if (!parentArray) return;
+
+  const { field, ref, refModel } = parentArray;
+  const groups = new Map();
+  for (const doc of docs) {
+    if (!doc[ref] || !doc[refModel]) continue;
+    const key = `${doc[refModel]}:${doc[ref]}`;
+    if (!groups.has(key)) {
+      groups.set(key, { model: doc[refModel], id: doc[ref], ids: [] });
+    }
+    groups.get(key).ids.push(doc._id);
+  }
+
+  for (const group of groups.values()) {
+    await mongoose
+      .model(group.model)
+      .updateOne(
+        { _id: group.id },
+        { $pull: { [field]: { $in: group.ids } } },
+        { session }
+      );
+  }
+};
+
+/**
+ * Walk the declared children of `parents` depth-first. `visit` receives each
+ * model's newly found records; `seen` keeps a record from being visited twice
+ * when several edges reach it.
+ */
+const walkChildren = async (modelName, parents, visit, session, seen) => {
+  const { children = [] } = registry.get(modelName) || {};
+  for (const edge of children) {
+    const found = await mongoose
+      .model(edge.model)
+      .find(childFilter(edge, modelName, parents))
+      .select(childProjection(edge.model))
+      .session(session)
+      .lean();
+
+    if (!seen.has(edge.model)) seen.set(edge.model, new Set());
+    const seenIds = seen.get(edge.model);
+    const docs = found.filter((doc) => !seenIds.has(String(doc._id)));
+    if (!docs.length) continue;
+    docs.forEach((doc) => seenIds.add(String(doc._id)));
+
+    await visit(edge.model, docs);
+    await walkChildren(edge.model, docs, visit, session, seen);
+  }
+};
+
+const rootSeen = (modelName, doc) =>
+  new Map([[modelName, new Set([String(doc._id)])]]);
+
+/**
+ * Soft-delete a document's whole cascade in the given session. The document
+ * itself is stamped in memory and persisted by the save that triggered this.
+ */
+export const cascadeSoftDelete = async (modelName, doc, session) => {
+  const deletion = stampDeletion(doc);
+
+  await unlinkFromParents(modelName, [doc], session);
+  await walkChildren(
+    modelName,
+    [doc],
+    async (childModel, docs) => {
+      await mongoose
+        .model(childModel)
+        .updateMany(
+          { _id: { $in: docs.map((d) => d._id) } },
+          { $set: deletion },
+          { session }
+        );
+      await unlinkFromParents(childModel, docs, session);
+    },
+    session,
+    rootSeen(modelName, doc)
+  );
+};
+
+/**
+ * Count the active records deleting `doc` would cascade to, keyed by concrete
+ * model name (task types are counted separately). Writes nothing.
+ */
+export const previewCascade = async (modelName, doc, session = null) => {
+  const counts = {};
+  await walkChildren(
+    modelName,
+    [doc],
+    async (childModel, docs) => {
+      for (const child of docs) {
+        const type = typeNameOf(childModel, child);
+        counts[type] = (counts[type] || 0) + 1;
+      }
+    },
+    session,
+    rootSeen(modelName, doc)
+  );
+  return counts;
+};
+
+/**
+ * Schema plugin declaring a model's cascade and running it when a document
+ * is soft-deleted with save().
+ */
+export const softDeleteCascade = (
+  schema,
+  { modelName, children, parentArray }
+) => {
+  registry.set(modelName, { children, parentArray });
+
+  schema.pre("save", async function (next) {
+    if (this.isModified("isDeleted") && this.isDeleted && !this.$wasDeleted) {
+      try {
+        await cascadeSoftDelete(modelName, this, this.$session?.());
+        this.$wasDeleted = true;
+      } catch (err) {
+        return next(err);
+      }
+    }
+    next();
+  });
+};
+
+const tenantFilter = (modelName, organization) =>
+  modelName === "Organization" ? { _id: organization } : { organization };
+
+// Load every record of the batch within the tenant, grouped by model
+const loadBatch = async (batchId, organization, session) => {
+  const batch = new Map();
+  for (const modelName of registry.keys()) {
+    const docs = await mongoose
+      .model(modelName)
+      .find({
+        deleteBatchId: batchId,
+        isDeleted: true,
+        ...tenantFilter(modelName, organization),
+      })
+      .session(session)
+      .lean();
+    if (docs.length) batch.set(modelName, docs);
+  }
+  return batch;
+};
+
+// Non-SuperAdmins may only restore records inside their own department
+const assertBatchInScope = (batch, scope) => {
+  if (!scope.department) return;
+  for (const docs of batch.values()) {
+    for (const doc of docs) {
+      if (String(doc.department) !== String(scope.department)) {
+        throw new CustomError(
+          "You are not allowed to restore this delete batch",
+          403,
+          "FORBIDDEN_ERROR"
+        );
+      }
+    }
+  }
+};
+
+// Records outside the batch that restored records point to must be active
+const assertParentsActive = async (batch, restoredIds, session) => {
+  const refs = new Map();
+  const addRef = (modelName, id) => {
+    if (!modelName || !id || restoredIds.has(String(id))) return;
+    if (!refs.has(modelName)) refs.set(modelName, new Set());
+    refs.get(modelName).add(String(id));
+  };
+
+  for (const docs of batch.values()) {
+    for (const doc of docs) {
+      addRef("Department", doc.department);
+      addRef("BaseTask", doc.parentTask);
+      for (const [idField, modelField] of PARENT_REFS) {
+        addRef(doc[modelField], doc[idField]);
+      }
+    }
+  }
+
+  for (const [modelName, ids] of refs) {
+    const active = await mongoose
+      .model(modelName)
+      .countDocuments({ _id: { $in: [...ids] }, isDeleted: false })
+      .session(session);
+    if (active < ids.size) {
+      throw new CustomError(
+        `A ${modelName} this batch belongs to is deleted; restore it first`,
+        409,
+        "RESTORE_PARENT_DELETED_ERROR"
+      );
+    }
+  }
+};
+
+// Restoring must not violate a unique index scoped to active records
+const assertNoUniqueConflicts = async (batch, session) => {
+  for (const [modelName, docs] of batch) {
+    const model = mongoose.model(modelName);
+    const ids = docs.map((doc) => doc._id);
+    // Discriminators (e.g. ProjectTask) declare their own unique indexes
+    const models = [model, ...Object.values(model.discriminators || {})];
+
+    for (const scopedModel of models) {
+      for (const [fields, options] of scopedModel.schema.indexes()) {
+        const filter = options.partialFilterExpression;
+        if (!options.unique || filter?.isDeleted !== false) continue;
+
+        const keys = Object.keys(fields);
+        const { isDeleted, ...docFilter } = filter;
+        const candidates = await scopedModel
+          .find({ _id: { $in: ids }, ...docFilter })
+          .select(keys.join(" "))
+          .session(session)
+          .lean();
+        if (!candidates.length) continue;
+
+        const conflict = await scopedModel
+          .exists({
+            ...filter,
+            $or: candidates.map((doc) =>
+              Object.fromEntries(keys.map((key) => [key, doc[key] ?? null]))
+            ),
+          })
+          .session(session);
+        if (conflict) {
+          const { modelName: name } = scopedModel;
+          throw new CustomError(
+            `An active ${name} already uses the same ${keys.join(", ")}`,
+            409,
+            "RESTORE_CONFLICT_ERROR",
+            { model: name, keys }
+          );
+        }
+      }
+    }
+  }
+};
+
+// Put restored records back into the arrays their parents list them in
+const relinkToParents = async (batch, session) => {
+  for (const [modelName, docs] of batch) {
+    const { parentArray } = registry.get(modelName);
+    if (!parentArray) continue;
+
+    const { field, ref, refModel } = parentArray;
+    const groups = new Map();
+    for (const doc of docs) {
+      if (!doc[ref] || !doc[refModel]) continue;
+      const key = `${doc[refModel]}:${doc[ref]}`;
+      if (!groups.has(key)) {
+        groups.set(key, { model: doc[refModel], id: doc[ref], ids: [] });
+      }
+      groups.get(key).ids.push(doc._id);
+    }
+
+    for (const group of groups.values()) {
+      await mongoose
+        .model(group.model)
+        .updateOne(
+          { _id: group.id },
+          { $addToSet: { [field]: { $each: group.ids } } },
+          { session }
+        );
+    }
+  }
+};
+
+/**
+ * Un-delete exactly the records a cascade batch soft-deleted.
+ * `scope` is the caller's managed scope ({ organization, department? }).
+ * Runs every check before writing, so call it inside a transaction.
+ */
+export const restoreDeleteBatch = async (batchId, scope, session) => {
+  const batch = await loadBatch(batchId, scope.organization, session);
+  if (!batch.size) {
+    throw new CustomError(
+      "Delete batch not found",
+      404,
+      "DELETE_BATCH_NOT_FOUND_ERROR"
+    );
+  }
+
+  assertBatchInScope(batch, scope);
+
+  const restoredIds = new Set();
+  for (const docs of batch.values()) {
+    for (const doc of docs) restoredIds.add(String(doc._id));
+  }
+
+  await assertParentsActive(batch, restoredIds, session);
+  await assertNoUniqueConflicts(batch, session);
+
+  const restored = {};
+  for (const [modelName, docs] of batch) {
+    const result = await mongoose.model(modelName).updateMany(
+      { _id: { $in: docs.map((doc) => doc._id) }, deleteBatchId: batchId },
+      {
+        $set: { isDeleted: false },
+        $unset: { deleteBatchId: 1, deletedAt: 1, deletedBy: 1 },
+      },
+      { session }
+    );
+    restored[modelName] = result.modifiedCount;
+  }
+
+  await relinkToParents(batch, session);
+
+  return { batchId, restored };
+};
@@ -1,10 +1,37 @@
 // backend/utils/constants.js
 export const UserRole = ["SuperAdmin", "Admin", "Manager", "User"];
 
+// Default status and priority names; organizations may define their own sets
 export const TaskStatus = ["To Do", "In Progress", "Completed", "Pending"];
 
 export const TaskPriority = ["Low", "Medium", "High", "Urgent"];
 
+// Canonical lifecycle stage every custom task status maps to
+export const TaskStatusCategory = ["open", "active", "done"];
+
+// Task statuses used until an organization defines its own
+export const DefaultTaskStatuses = [
+  { name: "To Do", color: "#9CA3AF", order: 1, category: "open" },
+  { name: "In Progress", color: "#3B82F6", order: 2, category: "active" },
+  { name: "Pending", color: "#F59E0B", order: 3, category: "active" },
+  { name: "Completed", color: "#10B981", order: 4, category: "done" },
+];
+
+// Task priorities used until an organization defines its own
+export const DefaultTaskPriorities = [
+  { name: "Low", color: "#9CA3AF", order: 1 },
+  { name: "Medium", color: "#3B82F6", order: 2 },
+  { name: "High", color: "#F59E0B", order: 3 },
+  { name: "Urgent", color: "#EF4444", order: 4 },
+];
+
+export const RoutineTaskStatus = ["Completed", "Pending"];
+
+// Task activity entries: logged by users or written by the status workflow
+export const TaskActivityKind = ["Log", "StatusChange"];
+
+export const RoutineTaskPriority = ["Medium", "High", "Urgent"];
+
 export const AttachmentType = ["image", "video", "document", "audio", "other"];
 
 export const NotificationType = [
@@ -44,3 +71,47 @@ export const IndustryType = [
   "Non-Profit",
   "Other",
 ];
+
+export const MfaRequiredRoles = ["SuperAdmin", "Admin"];
+
+// Roles held by at most one active user per department
+export const DepartmentUniqueRoles = ["SuperAdmin", "Admin"];
+
+export const InvitationStatus = ["Pending", "Accepted", "Revoked"];
+
+export const AuditAction = [
+  "AccountLocked",
+  "AccountUnlocked",
+  "RetentionPurge",
+];
+
+export const WeekDay = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+// Defaults for Organization.settings when a tenant has not configured them
+export const DefaultOrganizationSettings = {
+  timezone: "UTC",
+  weekStart: "Monday",
+  workingHours: { start: "09:00", end: "17:00" },
+  defaultTaskPriority: "Medium",
+  taskStatuses: DefaultTaskStatuses,
+  taskPriorities: DefaultTaskPriorities,
+  // Days soft-deleted records are kept before being purged; null keeps them
+  retentionDays: null,
+};
+
+// Kinds of soft-deleted records listed in the trash bin
+export const TrashItemType = [
+  "task",
+  "comment",
+  "attachment",
+  "user",
+  "vendor",
+];
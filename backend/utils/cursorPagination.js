@@ -0,0 +1,110 @@
+// backend/utils/cursorPagination.js
+import CustomError from "../errorHandler/CustomError.js";
+
+const invalidCursor = () =>
+  new CustomError("Invalid pagination cursor", 400, "INVALID_CURSOR_ERROR");
+
+/**
+ * Encode a feed position as an opaque cursor. `direction` is "next" for
+ * older items and "prev" for newer ones.
+ */
+export const encodeCursor = (field, doc, direction) =>
+  Buffer.from(
+    JSON.stringify({
+      f: field,
+      v: doc[field],
+      id: String(doc._id),
+      d: direction,
+    })
+  ).toString("base64url");
+
+/**
+ * Decode a cursor produced by encodeCursor. Throws a 400 CustomError when the
+ * cursor is malformed.
+ */
+export const decodeCursor = (cursor) => {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+  } catch {
+    throw invalidCursor();
+  }
+
+  const value = new Date(position?.v);
+  if (
+    typeof position?.f !== "string" ||
+    Number.isNaN(value.getTime()) ||
+    !/^[a-f\d]{24}$/i.test(position.id) ||
+    !["next", "prev"].includes(position.d)
+  ) {
+    throw invalidCursor();
+  }
+
+  return { field: position.f, value, id: position.id, direction: position.d };
+};
+
+/**
+ * Keyset-paginate a newest-first feed on (sortField, _id).
+ *
+ * Unlike skip/limit, a cursor pins the page to a position in the feed, so
+ * items created while a client is scrolling never shift or repeat pages.
+ * The filter's leading fields plus `sortField` should match a compound index
+ * such as { organization: 1, ..., createdAt: -1 }.
+ *
+ * `nextCursor` fetches older items and is null at the end of the feed.
+ * `prevCursor` fetches newer items and is set on every non-empty page, so a
+ * client can poll it for items that arrived since; a page with nothing newer
+ * hands back a cursor at the same position.
+ *
+ * @returns {Promise<{docs: Array, pagination: Object}>}
+ */
+export const paginateByCursor = async (
+  Model,
+  filter,
+  { cursor, limit = 20, sortField = "createdAt", populate, session = null }
+) => {
+  const position = cursor ? decodeCursor(cursor) : null;
+  if (position && position.field !== sortField) throw invalidCursor();
+
+  const backward = position?.direction === "prev";
+  const order = backward ? 1 : -1;
+
+  const query = { ...filter };
+  if (position) {
+    const beyond = backward ? "$gt" : "$lt";
+    query.$and = [
+      ...(filter.$and || []),
+      {
+        $or: [
+          { [sortField]: { [beyond]: position.value } },
+          { [sortField]: position.value, _id: { [beyond]: position.id } },
+        ],
+      },
+    ];
+  }
+
+  // One extra record tells whether the feed continues past this page
+  let request = Model.find(query)
+    .sort({ [sortField]: order, _id: order })
+    .limit(limit + 1)
+    .session(session);
+  if (populate) request = request.populate(populate);
+
+  const docs = await request;
+  const hasMore = docs.length > limit;
+  if (hasMore) docs.pop();
+  if (backward) docs.reverse();
+
+  // Cursors of an empty page stay at the position that was requested
+  const anchor = position && { [sortField]: position.value, _id: position.id };
+  const first = docs[0] || anchor;
+  const last = docs[docs.length - 1] || anchor;
+
+  let nextCursor = null;
+  if (backward ? last : hasMore) {
+    nextCursor = encodeCursor(sortField, last, "next");
+  }
+  const prevCursor = first ? encodeCursor(sortField, first, "prev") : null;
+
+  return { docs, pagination: { limit, nextCursor, prevCursor } };
+};
@@ -0,0 +1,82 @@
+// backend/utils/emailTemplates.js
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+// Escape user-provided values interpolated into HTML bodies
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
+
+// Base URL of the client app used to build links in emails
+const getClientUrl = () =>
+  (process.env.CLIENT_URL || "http://localhost:3000").replace(/\/+$/, "");
+
+// Build a client link carrying a token as a query parameter
+export const buildClientLink = (path, token) =>
+  `${getClientUrl()}${path}?token=${encodeURIComponent(token)}`;
+
+// Email verification message sent on registration and on resend
+export const emailVerificationTemplate = ({ firstName, link }) => ({
+  subject: "Verify your email address",
+  text: [
+    `Hi ${firstName},`,
+    "Please confirm your email address by opening the link below:",
+    link,
+    "If you did not create an account, you can ignore this email.",
+  ].join("\n\n"),
+  html: [
+    `<p>Hi ${escapeHtml(firstName)},</p>`,
+    "<p>Please confirm your email address by clicking the link below:</p>",
+    `<p><a href="${escapeHtml(link)}">Verify email address</a></p>`,
+    "<p>If you did not create an account, you can ignore this email.</p>",
+  ].join(""),
+});
+
+// Password reset message sent from the forgot password flow
+export const passwordResetTemplate = ({ firstName, link }) => ({
+  subject: "Reset your password",
+  text: [
+    `Hi ${firstName},`,
+    "We received a request to reset your password. Open the link below to choose a new one:",
+    link,
+    "The link can be used once. If you did not request a reset, you can ignore this email.",
+  ].join("\n\n"),
+  html: [
+    `<p>Hi ${escapeHtml(firstName)},</p>`,
+    "<p>We received a request to reset your password. Click the link below to choose a new one:</p>",
+    `<p><a href="${escapeHtml(link)}">Reset password</a></p>`,
+    "<p>The link can be used once. If you did not request a reset, you can ignore this email.</p>",
+  ].join(""),
+});
+
+// Invitation message sent when an admin invites a new user
+export const invitationTemplate = ({
+  organizationName,
+  departmentName,
+  role,
+  inviterName,
+  link,
+}) => ({
+  subject: `You have been invited to join ${organizationName}`,
+  text: [
+    `${inviterName} invited you to join ${organizationName} as ${role} in the ${departmentName} department.`,
+    "Open the link below to set up your account:",
+    link,
+    "If you were not expecting this invitation, you can ignore this email.",
+  ].join("\n\n"),
+  html: [
+    `<p>${escapeHtml(inviterName)} invited you to join ${escapeHtml(
+      organizationName
+    )} as ${escapeHtml(role)} in the ${escapeHtml(
+      departmentName
+    )} department.</p>`,
+    "<p>Click the link below to set up your account:</p>",
+    `<p><a href="${escapeHtml(link)}">Accept invitation</a></p>`,
+    "<p>If you were not expecting this invitation, you can ignore this email.</p>",
+  ].join(""),
+});
@@ -3,3 +3,56 @@ export const capitalize = (str) => {
   if (!str || typeof str !== "string") return str || "";
   return str.charAt(0).toUpperCase() + str.slice(1);
 };
+
+// Escape user input for use inside a regular expression
+export const escapeRegex = (str) =>
+  String(str).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Check an IANA time zone name (e.g. "Africa/Addis_Ababa") against the runtime's tz database
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// "HH:mm" on a 24-hour clock
+export const TIME_OF_DAY_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// "#RRGGBB" hex color
+export const HEX_COLOR_REGEX = /^#[0-9a-fA-F]{6}$/;
+
+// Build the tenant filter (organization + department) for an authenticated user
+export const getTenantFilter = (user) => ({
+  organization: user.organization?._id || user.organization,
+  department: user.department?._id || user.department,
+});
+
+// Scope of records an administrator manages: the whole organization for a
+// SuperAdmin, otherwise the caller's own department
+export const getManagedScope = (caller) => {
+  const { organization, department } = getTenantFilter(caller);
+  return caller.role === "SuperAdmin"
+    ? { organization }
+    : { organization, department };
+};
+
+// Filter for a user the caller may manage
+export const getManagedUserFilter = (userId, caller) => ({
+  _id: userId,
+  ...getManagedScope(caller),
+  isDeleted: false,
+});
+
+// Shape mongoose-paginate-v2 results into the pagination block of list responses
+export const getPaginationMeta = (result) => ({
+  totalDocs: result.totalDocs,
+  limit: result.limit,
+  page: result.page,
+  totalPages: result.totalPages,
+  hasNextPage: result.hasNextPage,
+  hasPrevPage: result.hasPrevPage,
+});
@@ -0,0 +1,95 @@
+// backend/utils/loginThrottle.js
+import { LoginThrottle } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import { recordAuditEvent } from "./auditLog.js";
+
+// Failed attempts allowed before a lockout, and the lockout window bounds.
+// Each lockout doubles the previous window: 1m, 2m, 4m, ... capped at 24h.
+const MAX_FAILED_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const BASE_LOCKOUT_MS = 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+const getLockoutDuration = (lockoutCount) =>
+  Math.min(BASE_LOCKOUT_MS * 2 ** (lockoutCount - 1), MAX_LOCKOUT_MS);
+
+// When the email is locked out, the time the lock ends; otherwise null
+export const getLockedUntil = async (email) => {
+  const throttle = await LoginThrottle.findOne({
+    email,
+    lockedUntil: { $gt: new Date() },
+  })
+    .select("lockedUntil")
+    .lean();
+  return throttle?.lockedUntil || null;
+};
+
+// Set Retry-After and build the ACCOUNT_LOCKED_ERROR for a locked account
+export const accountLockedError = (res, lockedUntil) => {
+  const retryAfterSeconds = Math.max(
+    1,
+    Math.ceil((lockedUntil.getTime() - Date.now()) / 1000)
+  );
+  res.set("Retry-After", String(retryAfterSeconds));
+  return new CustomError(
+    `Account is temporarily locked after too many failed attempts. Try again in ${Math.ceil(
+      retryAfterSeconds / 60
+    )} minute(s)`,
+    423,
+    "ACCOUNT_LOCKED_ERROR"
+  );
+};
+
+/**
+ * Record a failed login or MFA attempt for an email (and its user, if any).
+ * Returns the lock end time when this failure triggered a lockout, else null.
+ */
+export const recordLoginFailure = async (email, user, context = {}) => {
+  const now = new Date();
+  const throttle = await LoginThrottle.findOneAndUpdate(
+    { email },
+    {
+      $inc: { failedAttempts: 1 },
+      $set: { lastFailedAt: now, ...(user && { user: user._id }) },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  if (throttle.failedAttempts < MAX_FAILED_ATTEMPTS) return null;
+
+  // Only one concurrent request may turn the threshold into a lockout
+  const lockoutCount = throttle.lockoutCount + 1;
+  const lockedUntil = new Date(
+    now.getTime() + getLockoutDuration(lockoutCount)
+  );
+  const result = await LoginThrottle.updateOne(
+    { _id: throttle._id, failedAttempts: { $gte: MAX_FAILED_ATTEMPTS } },
+    { $set: { failedAttempts: 0, lockoutCount, lockedUntil } }
+  );
+  if (!result.modifiedCount) return null;
+
+  await recordAuditEvent({
+    action: "AccountLocked",
+    user,
+    email,
+    context,
+    metadata: { lockoutCount, lockedUntil },
+  });
+
+  return lockedUntil;
+};
+
+// Forget failures once a login fully succeeds
+export const clearLoginFailures = (email) => LoginThrottle.deleteOne({ email });
+
+// Lift a lockout on behalf of an admin and record who did it
+export const unlockAccount = async (user, actor, context = {}) => {
+  const throttle = await LoginThrottle.findOneAndDelete({ email: user.email });
+
+  await recordAuditEvent({
+    action: "AccountUnlocked",
+    user,
+    actor,
+    context,
+    metadata: { wasLocked: Boolean(throttle?.lockedUntil > new Date()) },
+  });
+};
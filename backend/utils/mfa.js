@@ -0,0 +1,172 @@
+// backend/utils/mfa.js
+import crypto from "crypto";
+import { MfaRequiredRoles } from "./constants.js";
+import { hashToken } from "./generateTokens.js";
+
+// RFC 6238 defaults understood by every authenticator app
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const getIssuer = () => process.env.MFA_ISSUER || "Task Manager";
+
+// RFC 4648 base32 (no padding), the encoding used in otpauth:// URIs
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+const base32Decode = (input) => {
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+  for (const char of input.replace(/=+$/, "").toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character in secret");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// RFC 4226 HOTP value for a counter
+const generateHotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+  return String(code).padStart(TOTP_DIGITS, "0");
+};
+
+// Recovery codes are compared without separators or case
+const normalizeRecoveryCode = (code) =>
+  String(code).replace(/[\s-]/g, "").toLowerCase();
+
+// Generate a random base32 TOTP secret
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// otpauth:// URI rendered as a QR code by the client
+export const buildOtpAuthUrl = (secret, accountName) => {
+  const issuer = getIssuer();
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+/**
+ * Verify a TOTP code, allowing one step of clock drift either way.
+ * Returns the matched time step, or null. Steps at or before `lastUsedStep`
+ * are rejected so a code can't be replayed.
+ */
+export const verifyTotp = (secret, code, lastUsedStep = -1) => {
+  if (!secret || !/^\d{6}$/.test(String(code))) return null;
+
+  const key = base32Decode(secret);
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  const expected = Buffer.from(String(code));
+
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const step = currentStep + drift;
+    if (step <= lastUsedStep) continue;
+    const candidate = Buffer.from(generateHotp(key, step));
+    if (crypto.timingSafeEqual(candidate, expected)) return step;
+  }
+  return null;
+};
+
+// Generate one-time recovery codes; only their hashes are stored
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return {
+    codes,
+    hashedCodes: codes.map((code) => hashToken(normalizeRecoveryCode(code))),
+  };
+};
+
+// Whether the user's organization requires MFA for the user's role
+export const isMfaRequired = (user) =>
+  MfaRequiredRoles.includes(user.role) &&
+  Boolean(user.organization?.settings?.requireMfaForAdmins);
+
+/**
+ * Start (or restart) enrollment by storing a pending secret on the user.
+ * The caller saves the user.
+ */
+export const startMfaEnrollment = (user) => {
+  const secret = generateTotpSecret();
+  user.mfa.pendingSecret = secret;
+  return { secret, otpauthUrl: buildOtpAuthUrl(secret, user.email) };
+};
+
+/**
+ * Complete enrollment with a code from the pending secret. Returns the raw
+ * recovery codes, or null if the code is wrong. The caller saves the user.
+ */
+export const completeMfaEnrollment = (user, code) => {
+  const step = verifyTotp(user.mfa.pendingSecret, code);
+  if (step === null) return null;
+
+  const { codes, hashedCodes } = generateRecoveryCodes();
+  user.mfa.enabled = true;
+  user.mfa.secret = user.mfa.pendingSecret;
+  user.mfa.pendingSecret = undefined;
+  user.mfa.lastUsedStep = step;
+  user.mfa.recoveryCodes = hashedCodes;
+  user.mfa.enabledAt = new Date();
+  return codes;
+};
+
+/**
+ * Check a second factor for an enrolled user: a TOTP code or an unused
+ * recovery code, which is consumed. The caller saves the user.
+ */
+export const verifyMfaCode = (user, code) => {
+  const step = verifyTotp(user.mfa.secret, code, user.mfa.lastUsedStep ?? -1);
+  if (step !== null) {
+    user.mfa.lastUsedStep = step;
+    return true;
+  }
+
+  const hashed = hashToken(normalizeRecoveryCode(code));
+  const index = (user.mfa.recoveryCodes || []).indexOf(hashed);
+  if (index === -1) return false;
+  user.mfa.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Remove all MFA state from the user. The caller saves the user.
+export const resetMfa = (user) => {
+  user.mfa.enabled = false;
+  user.mfa.secret = undefined;
+  user.mfa.pendingSecret = undefined;
+  user.mfa.lastUsedStep = undefined;
+  user.mfa.recoveryCodes = [];
+  user.mfa.enabledAt = undefined;
+};
@@ -0,0 +1,29 @@
+// backend/utils/migrations.js
+import { User } from "../models/index.js";
+
+/**
+ * Accounts created before email verification existed have no
+ * isEmailVerified field, and the schema default (false) would lock them out
+ * of login, token checks and refresh. They are treated as verified. Every
+ * user saved since has the field stored, so this only ever matches
+ * pre-existing accounts and is safe to run on every start.
+ */
+const backfillEmailVerification = async () => {
+  const { modifiedCount } = await User.updateMany(
+    { isEmailVerified: { $exists: false } },
+    { $set: { isEmailVerified: true } },
+    { timestamps: false }
+  );
+  return modifiedCount;
+};
+
+/**
+ * Bring existing data up to the current schema. Runs once the database is
+ * connected and before the server accepts requests.
+ */
+export const runMigrations = async () => {
+  const verified = await backfillEmailVerification();
+  if (verified > 0) {
+    console.log(`🛠️ Marked ${verified} existing user(s) as email verified`);
+  }
+};
@@ -0,0 +1,74 @@
+// backend/utils/organizationSettings.js
+// Imported directly: task model hooks load these settings, so going through
+// models/index.js would be circular
+import { Organization } from "../models/Organization.js";
+import { DefaultOrganizationSettings } from "./constants.js";
+
+const byOrder = (options) => [...options].sort((a, b) => a.order - b.order);
+
+/**
+ * Merge an organization's stored settings over the defaults.
+ * Accepts a settings object from a lean read, a hydrated subdocument or nothing.
+ */
+export const resolveOrganizationSettings = (settings) => {
+  const stored =
+    typeof settings?.toObject === "function" ? settings.toObject() : settings;
+  return {
+    ...DefaultOrganizationSettings,
+    ...stored,
+    workingHours: {
+      ...DefaultOrganizationSettings.workingHours,
+      ...stored?.workingHours,
+    },
+    taskStatuses: byOrder(
+      stored?.taskStatuses?.length
+        ? stored.taskStatuses
+        : DefaultOrganizationSettings.taskStatuses
+    ),
+    taskPriorities: byOrder(
+      stored?.taskPriorities?.length
+        ? stored.taskPriorities
+        : DefaultOrganizationSettings.taskPriorities
+    ),
+  };
+};
+
+/**
+ * Settings for the organization of an authenticated user.
+ * Uses the populated organization from verifyJWT when available, and only
+ * reads from the database when the user carries a bare organization id.
+ */
+export const getOrganizationSettings = async (user) => {
+  if (user.organization?.settings) {
+    return resolveOrganizationSettings(user.organization.settings);
+  }
+
+  const organization = await Organization.findById(
+    user.organization?._id || user.organization
+  )
+    .select("settings")
+    .lean();
+
+  return resolveOrganizationSettings(organization?.settings);
+};
+
+/**
+ * Task statuses, priorities and default priority of an organization.
+ * Statuses and priorities are in display order.
+ */
+export const getTaskOptions = async (organizationId, session = null) => {
+  const organization = await Organization.findById(organizationId)
+    .select(
+      "settings.taskStatuses settings.taskPriorities settings.defaultTaskPriority"
+    )
+    .session(session)
+    .lean();
+
+  const { taskStatuses, taskPriorities, defaultTaskPriority } =
+    resolveOrganizationSettings(organization?.settings);
+  return {
+    statuses: taskStatuses,
+    priorities: taskPriorities,
+    defaultPriority: defaultTaskPriority,
+  };
+};
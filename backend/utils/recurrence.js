@@ -0,0 +1,245 @@
+// backend/utils/recurrence.js
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY"];
+
+// RRULE weekday codes in dayjs day() order (Sunday = 0)
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+// Occurrences are searched at most this far past the window start
+const MAX_SCAN_DAYS = 3 * 366;
+
+const parseIntList = (value, name, min, max) =>
+  value.split(",").map((part) => {
+    const n = Number(part);
+    // Signed lists (BYMONTHDAY) count from the end, so have no zero
+    if (!Number.isInteger(n) || n < min || n > max || (min < 0 && n === 0)) {
+      throw new Error(`${name} values must be integers from ${min} to ${max}`);
+    }
+    return n;
+  });
+
+// "MO" -> { weekday: 1, ordinal: null }, "-1FR" -> { weekday: 5, ordinal: -1 }
+const parseWeekday = (part) => {
+  const match = /^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(part);
+  const ordinal = match?.[1] ? Number(match[1]) : null;
+  if (!match || ordinal === 0 || Math.abs(ordinal) > 5) {
+    throw new Error(`Invalid BYDAY value '${part}'`);
+  }
+  return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+};
+
+/**
+ * Parse the supported subset of an RFC 5545 RRULE, e.g.
+ * `FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;BYHOUR=8;BYMINUTE=0` (every weekday at
+ * 08:00) or `FREQ=MONTHLY;BYDAY=1MO` (first Monday of each month).
+ *
+ * Supports FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL, BYDAY (ordinals on
+ * MONTHLY only), BYMONTHDAY, BYHOUR, BYMINUTE, COUNT and UNTIL. Throws an
+ * Error with a client-facing message for anything else.
+ */
+export const parseRecurrence = (rule) => {
+  if (typeof rule !== "string" || !rule.trim()) {
+    throw new Error("Recurrence rule is required");
+  }
+
+  const parts = {};
+  for (const part of rule
+    .trim()
+    .replace(/^RRULE:/i, "")
+    .split(";")) {
+    const [key, value] = part.split("=");
+    if (!key || !value) throw new Error(`Invalid recurrence part '${part}'`);
+    const name = key.toUpperCase();
+    if (Object.hasOwn(parts, name)) throw new Error(`Duplicate ${name}`);
+    parts[name] = value.toUpperCase();
+  }
+
+  const { FREQ, INTERVAL, BYDAY, BYMONTHDAY, BYHOUR, BYMINUTE, COUNT, UNTIL } =
+    parts;
+  const unsupported = Object.keys(parts).filter(
+    (name) =>
+      ![
+        "FREQ",
+        "INTERVAL",
+        "BYDAY",
+        "BYMONTHDAY",
+        "BYHOUR",
+        "BYMINUTE",
+        "COUNT",
+        "UNTIL",
+      ].includes(name)
+  );
+  if (unsupported.length) {
+    throw new Error(`Unsupported recurrence parts: ${unsupported.join(", ")}`);
+  }
+  if (!FREQUENCIES.includes(FREQ)) {
+    throw new Error(`FREQ must be one of: ${FREQUENCIES.join(", ")}`);
+  }
+  if (COUNT && UNTIL) throw new Error("COUNT and UNTIL cannot be combined");
+
+  const byDay = BYDAY ? BYDAY.split(",").map(parseWeekday) : [];
+  if (FREQ !== "MONTHLY" && byDay.some(({ ordinal }) => ordinal !== null)) {
+    throw new Error("BYDAY ordinals are only supported with FREQ=MONTHLY");
+  }
+
+  let until = null;
+  if (UNTIL) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(
+      UNTIL
+    );
+    if (!match) throw new Error("UNTIL must be a date like 20251231T235959Z");
+    const [, y, mo, d, h = "23", mi = "59", s = "59"] = match;
+    until = new Date(Date.UTC(y, mo - 1, d, h, mi, s));
+  }
+
+  return {
+    freq: FREQ,
+    interval: INTERVAL ? parseIntList(INTERVAL, "INTERVAL", 1, 366)[0] : 1,
+    byDay,
+    byMonthDay: BYMONTHDAY
+      ? parseIntList(BYMONTHDAY, "BYMONTHDAY", -31, 31)
+      : [],
+    byHour: BYHOUR ? parseIntList(BYHOUR, "BYHOUR", 0, 23) : [],
+    byMinute: BYMINUTE ? parseIntList(BYMINUTE, "BYMINUTE", 0, 59) : [],
+    count: COUNT ? parseIntList(COUNT, "COUNT", 1, 10000)[0] : null,
+    until,
+  };
+};
+
+// Whether a local day falls in a period the INTERVAL selects
+const inInterval = (rule, day, start) => {
+  let periods;
+  if (rule.freq === "DAILY") periods = day.diff(start, "day");
+  if (rule.freq === "WEEKLY") {
+    // Weeks start on Monday (RRULE's default WKST)
+    const weekOf = (d) => d.subtract((d.day() + 6) % 7, "day");
+    periods = Math.round(weekOf(day).diff(weekOf(start), "day") / 7);
+  }
+  if (rule.freq === "MONTHLY") {
+    periods = (day.year() - start.year()) * 12 + (day.month() - start.month());
+  }
+  return periods % rule.interval === 0;
+};
+
+// Whether BYDAY with an ordinal ("1MO", "-1FR") selects a day of its month
+const matchesOrdinal = (day, ordinal) => {
+  const nth = Math.ceil(day.date() / 7);
+  const nthFromEnd = Math.ceil((day.daysInMonth() - day.date() + 1) / 7);
+  return ordinal > 0 ? nth === ordinal : nthFromEnd === -ordinal;
+};
+
+// Whether a local day is one of the rule's days within its period
+const matchesDay = (rule, day, start) => {
+  const monthDay = day.date();
+  const byMonthDay = rule.byMonthDay.map((n) =>
+    n > 0 ? n : day.daysInMonth() + n + 1
+  );
+  if (byMonthDay.length && !byMonthDay.includes(monthDay)) return false;
+
+  if (rule.byDay.length) {
+    return rule.byDay.some(
+      ({ weekday, ordinal }) =>
+        day.day() === weekday &&
+        (ordinal === null || matchesOrdinal(day, ordinal))
+    );
+  }
+  if (byMonthDay.length || rule.freq === "DAILY") return true;
+
+  // Without BY* day parts the rule repeats on the start's weekday or date
+  return rule.freq === "WEEKLY"
+    ? day.day() === start.day()
+    : monthDay === start.date();
+};
+
+/**
+ * Yield a rule's occurrences after `after` in order, as Dates. The series
+ * starts at `dtstart`; days and times are wall-clock times in `timeZone`, so
+ * 08:00 stays 08:00 across daylight saving changes. Stops at COUNT/UNTIL, or
+ * once no occurrence was found for MAX_SCAN_DAYS.
+ */
+export function* iterateOccurrences(
+  rule,
+  { dtstart, timeZone = "UTC", after = null }
+) {
+  const parsed = typeof rule === "string" ? parseRecurrence(rule) : rule;
+  const start = dayjs(dtstart).tz(timeZone);
+  // Calendar days are stepped in UTC so DST shifts never skip or repeat one
+  const startDay = dayjs.utc(start.format("YYYY-MM-DD"));
+  const hours = parsed.byHour.length ? parsed.byHour : [start.hour()];
+  const minutes = parsed.byMinute.length ? parsed.byMinute : [start.minute()];
+  const times = hours
+    .flatMap((hour) => minutes.map((minute) => [hour, minute]))
+    .sort(([h1, m1], [h2, m2]) => h1 - h2 || m1 - m2);
+
+  // COUNT is numbered from dtstart, so only an unbounded series can skip
+  // straight to the day before `after` (intervals stay aligned to startDay)
+  let firstDay = startDay;
+  if (after && !parsed.count) {
+    const skipTo = dayjs
+      .utc(dayjs(after).tz(timeZone).format("YYYY-MM-DD"))
+      .subtract(1, "day");
+    if (skipTo.isAfter(firstDay)) firstDay = skipTo;
+  }
+
+  let emitted = 0;
+  let idleDays = 0;
+  for (let day = firstDay; idleDays < MAX_SCAN_DAYS; day = day.add(1, "day")) {
+    idleDays += 1;
+    if (!inInterval(parsed, day, startDay) || !matchesDay(parsed, day, start))
+      continue;
+
+    for (const [hour, minute] of times) {
+      const occurrence = dayjs
+        .tz(
+          `${day.format("YYYY-MM-DD")}T${String(hour).padStart(
+            2,
+            "0"
+          )}:${String(minute).padStart(2, "0")}:00`,
+          timeZone
+        )
+        .toDate();
+      if (occurrence < start.toDate()) continue;
+      if (parsed.until && occurrence > parsed.until) return;
+
+      idleDays = 0;
+      emitted += 1;
+      if (!after || occurrence > after) yield occurrence;
+      if (parsed.count && emitted >= parsed.count) return;
+    }
+  }
+}
+
+/**
+ * Occurrences of a rule after `from` and up to and including `to`.
+ */
+export const occurrencesBetween = (rule, { dtstart, timeZone, from, to }) => {
+  const occurrences = [];
+  const series = iterateOccurrences(rule, { dtstart, timeZone, after: from });
+  for (const occurrence of series) {
+    if (occurrence > to) break;
+    occurrences.push(occurrence);
+  }
+  return occurrences;
+};
+
+/**
+ * The next `limit` occurrences of a rule after `from`.
+ */
+export const nextOccurrences = (
+  rule,
+  { dtstart, timeZone, from = new Date(), limit = 5 }
+) => {
+  const occurrences = [];
+  const series = iterateOccurrences(rule, { dtstart, timeZone, after: from });
+  for (const occurrence of series) {
+    occurrences.push(occurrence);
+    if (occurrences.length >= limit) break;
+  }
+  return occurrences;
+};
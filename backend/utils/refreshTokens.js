@@ -0,0 +1,96 @@
+// backend/utils/refreshTokens.js
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { RefreshToken, Session } from "../models/index.js";
+import { generateRefreshToken, hashToken } from "./generateTokens.js";
+
+// Client details recorded on the session for device management
+export const getSessionContext = (req) => ({
+  userAgent: req.get("user-agent")?.slice(0, 512) || null,
+  ip: req.ip || null,
+});
+
+/**
+ * Start a new session on login: create the session record and issue the first
+ * refresh token of a new family. Returns the token and its family.
+ */
+export const issueRefreshToken = async (userId, context = {}) => {
+  const family = crypto.randomUUID();
+  const token = generateRefreshToken(userId, family);
+  const expiresAt = new Date(jwt.decode(token).exp * 1000);
+
+  await Session.create({
+    user: userId,
+    family,
+    userAgent: context.userAgent,
+    ip: context.ip,
+    expiresAt,
+  });
+
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt,
+  });
+
+  return { token, family };
+};
+
+/**
+ * Rotate a stored refresh token: revoke it and issue its successor in the same
+ * family. Returns null when the token was already revoked by a concurrent call.
+ */
+export const rotateRefreshToken = async (storedToken, context = {}) => {
+  const token = generateRefreshToken(storedToken.user, storedToken.family);
+  const tokenHash = hashToken(token);
+  const expiresAt = new Date(jwt.decode(token).exp * 1000);
+
+  const revoked = await RefreshToken.findOneAndUpdate(
+    { _id: storedToken._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), replacedByHash: tokenHash } }
+  );
+  if (!revoked) return null;
+
+  await RefreshToken.create({
+    user: storedToken.user,
+    tokenHash,
+    family: storedToken.family,
+    expiresAt,
+  });
+
+  // Keep the session's activity and expiry in step with its latest token
+  await Session.updateOne(
+    { family: storedToken.family, revokedAt: null },
+    { $set: { lastUsedAt: new Date(), expiresAt, ...context } }
+  );
+
+  return token;
+};
+
+// Revoke a session and every active token in its family (logout or detected reuse)
+export const revokeTokenFamily = async (family) => {
+  const revokedAt = new Date();
+  await Promise.all([
+    RefreshToken.updateMany(
+      { family, revokedAt: null },
+      { $set: { revokedAt } }
+    ),
+    Session.updateOne({ family, revokedAt: null }, { $set: { revokedAt } }),
+  ]);
+};
+
+// Revoke every session and active token of a user (password reset, log out everywhere)
+export const revokeUserRefreshTokens = async (userId) => {
+  const revokedAt = new Date();
+  await Promise.all([
+    RefreshToken.updateMany(
+      { user: userId, revokedAt: null },
+      { $set: { revokedAt } }
+    ),
+    Session.updateMany(
+      { user: userId, revokedAt: null },
+      { $set: { revokedAt } }
+    ),
+  ]);
+};
@@ -0,0 +1,155 @@
+// backend/utils/retentionPurge.js
+import {
+  Organization,
+  Notification,
+  Attachment,
+  Material,
+  TaskComment,
+  TaskActivity,
+  BaseTask,
+  TaskTemplate,
+} from "../models/index.js";
+import { recordAuditEvent } from "./auditLog.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How often the job runs and whether it only reports what it would purge
+const PURGE_INTERVAL_MS =
+  (Number(process.env.RETENTION_PURGE_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+const PURGE_DRY_RUN = process.env.RETENTION_PURGE_DRY_RUN === "true";
+
+// Children before parents, so no purged record is left pointing at a purged parent
+const PURGE_ORDER = [
+  Notification,
+  Attachment,
+  Material,
+  TaskComment,
+  TaskActivity,
+  BaseTask,
+  TaskTemplate,
+];
+
+// Soft-deleted before the cutoff; records deleted before deletedAt was
+// tracked fall back to their last update
+const expiredFilter = (organization, cutoff) => ({
+  organization,
+  isDeleted: true,
+  $or: [
+    { deletedAt: { $lte: cutoff } },
+    { deletedAt: null, updatedAt: { $lte: cutoff } },
+  ],
+});
+
+/**
+ * Permanently delete one organization's soft-deleted records that are older
+ * than its retention window. In dry-run mode nothing is deleted and the
+ * report holds the counts that would have been purged.
+ */
+export const purgeOrganization = async (
+  organization,
+  { dryRun = false, now = new Date() } = {}
+) => {
+  const { retentionDays } = organization.settings;
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+  const filter = expiredFilter(organization._id, cutoff);
+
+  const counts = {};
+  for (const model of PURGE_ORDER) {
+    counts[model.modelName] = dryRun
+      ? await model.countDocuments(filter)
+      : (await model.deleteMany(filter)).deletedCount;
+  }
+
+  const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+  return {
+    organization: organization._id,
+    retentionDays,
+    cutoff,
+    dryRun,
+    counts,
+    total,
+  };
+};
+
+/**
+ * Run the retention purge for every organization with a retention setting.
+ * Real purges that removed records are written to the audit log.
+ */
+export const purgeExpiredRecords = async ({
+  dryRun = PURGE_DRY_RUN,
+  now = new Date(),
+} = {}) => {
+  const organizations = await Organization.find({
+    isDeleted: false,
+    "settings.retentionDays": { $gte: 1 },
+  })
+    .select("name settings.retentionDays")
+    .lean();
+
+  const mode = dryRun ? " (dry run)" : "";
+  const reports = [];
+  for (const organization of organizations) {
+    try {
+      const report = await purgeOrganization(organization, { dryRun, now });
+      reports.push(report);
+
+      if (report.total > 0) {
+        console.log(
+          `🧹 Retention purge${mode} for "${organization.name}":`,
+          report.counts
+        );
+      }
+
+      if (!dryRun && report.total > 0) {
+        await recordAuditEvent({
+          action: "RetentionPurge",
+          organization: organization._id,
+          metadata: {
+            retentionDays: report.retentionDays,
+            cutoff: report.cutoff,
+            counts: report.counts,
+            total: report.total,
+          },
+        });
+      }
+    } catch (error) {
+      // One organization failing must not stop the others from being purged
+      console.error(
+        `❌ Retention purge failed for "${organization.name}":`,
+        error.message
+      );
+    }
+  }
+
+  return reports;
+};
+
+/**
+ * Start the periodic retention purge. Returns a function that stops it.
+ */
+export const startRetentionPurgeJob = () => {
+  let running = false;
+
+  const run = async () => {
+    // Skip a tick rather than overlap a purge that is still running
+    if (running) return;
+    running = true;
+    try {
+      await purgeExpiredRecords();
+    } catch (error) {
+      console.error("❌ Retention purge job failed:", error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, PURGE_INTERVAL_MS);
+  timer.unref();
+  run();
+
+  const hours = PURGE_INTERVAL_MS / 3600000;
+  const mode = PURGE_DRY_RUN ? " (dry run)" : "";
+  console.log(`🧹 Retention purge job scheduled every ${hours}h${mode}`);
+
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,41 @@
+// backend/utils/sendEmail.js
+import nodemailer from "nodemailer";
+
+let transporter = null;
+
+/**
+ * Lazily create the SMTP transporter from environment variables.
+ *
+ * SMTP_HOST, SMTP_PORT and SMTP_SECURE select the server; SMTP_USER/SMTP_PASS
+ * are optional so a local SMTP catcher (e.g. Mailpit or MailHog on port 1025)
+ * works without credentials.
+ */
+const getTransporter = () => {
+  if (transporter) return transporter;
+
+  if (!process.env.SMTP_HOST) throw new Error("SMTP_HOST not set");
+
+  transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || "587", 10),
+    secure: process.env.SMTP_SECURE === "true",
+    ...(process.env.SMTP_USER && {
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+      },
+    }),
+  });
+
+  return transporter;
+};
+
+// Send a single email. `message` is { to, subject, text, html }.
+const sendEmail = async (message) => {
+  return getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || "Task Manager <no-reply@localhost>",
+    ...message,
+  });
+};
+
+export default sendEmail;
@@ -0,0 +1,129 @@
+// backend/utils/taskDependencies.js
+import mongoose from "mongoose";
+import CustomError from "../errorHandler/CustomError.js";
+import { getTaskOptions } from "./organizationSettings.js";
+import { doneStatusNames } from "./taskWorkflow.js";
+
+// Task types that can block or be blocked by one another
+export const DEPENDENCY_TASK_TYPES = ["AssignedTask", "ProjectTask"];
+
+const GRAPH_NODE_FIELDS =
+  "title taskType status priority department parentTask blockedBy";
+
+const toIdSet = (ids) => new Set(ids.map(String));
+
+/**
+ * Ensure linking a task to new predecessors keeps the dependency graph
+ * acyclic: walking "blocked by" links from the predecessors must never reach
+ * the task itself. Soft-deleted tasks are walked too, so restoring one can
+ * never complete a cycle.
+ *
+ * Inside a transaction every walked task is written to as well. Two links
+ * saved concurrently can close a cycle only if each walk read a task the
+ * other wrote; this turns that into a write conflict, so one aborts.
+ */
+export const assertNoDependencyCycle = async (
+  taskId,
+  predecessorIds,
+  session = null
+) => {
+  const Task = mongoose.model("BaseTask");
+  const target = String(taskId);
+  const visited = new Set();
+  let frontier = [...toIdSet(predecessorIds)];
+
+  while (frontier.length) {
+    if (frontier.includes(target)) {
+      throw new CustomError(
+        "This dependency would create a cycle",
+        409,
+        "DEPENDENCY_CYCLE_ERROR"
+      );
+    }
+    frontier.forEach((id) => visited.add(id));
+
+    const tasks = await Task.find({ _id: { $in: frontier } })
+      .select("blockedBy")
+      .session(session)
+      .lean();
+    frontier = [
+      ...toIdSet(tasks.flatMap((task) => task.blockedBy || [])),
+    ].filter((id) => !visited.has(id));
+  }
+
+  if (session?.inTransaction()) {
+    await Task.updateMany(
+      { _id: { $in: [...visited] } },
+      { $inc: { dependencyRevision: 1 } },
+      { session, timestamps: false }
+    );
+  }
+};
+
+/**
+ * Build the dependency graph around a project task: the project, its
+ * subtasks, and every active task linked to them directly or transitively in
+ * either direction. Edges point from a predecessor to the task it blocks;
+ * a node is blocked while any of its predecessors is not done.
+ *
+ * @returns {Promise<{nodes: Array, edges: Array}>}
+ */
+export const buildDependencyGraph = async (project, session = null) => {
+  const Task = mongoose.model("BaseTask");
+  const active = { organization: project.organization, isDeleted: false };
+
+  // The project's subtask tree forms the roots of the graph
+  const roots = [project._id];
+  let parents = [project._id];
+  while (parents.length) {
+    const subtasks = await Task.find({
+      ...active,
+      parentTask: { $in: parents },
+    })
+      .select("_id")
+      .session(session)
+      .lean();
+    parents = subtasks.map((task) => task._id);
+    roots.push(...parents);
+  }
+
+  // Follow links both ways until no new task is reached
+  const nodes = new Map();
+  const expanded = new Set();
+  let frontier = roots.map(String);
+  while (frontier.length) {
+    frontier.forEach((id) => expanded.add(id));
+    const found = await Task.find({
+      ...active,
+      $or: [{ _id: { $in: frontier } }, { blockedBy: { $in: frontier } }],
+    })
+      .select(GRAPH_NODE_FIELDS)
+      .session(session)
+      .lean();
+
+    const reached = new Set();
+    for (const task of found) {
+      nodes.set(String(task._id), task);
+      reached.add(String(task._id));
+      (task.blockedBy || []).forEach((id) => reached.add(String(id)));
+    }
+    frontier = [...reached].filter((id) => !expanded.has(id));
+  }
+
+  const { statuses } = await getTaskOptions(project.organization, session);
+  const done = doneStatusNames(statuses);
+
+  const edges = [];
+  const graphNodes = [...nodes.values()].map(({ blockedBy = [], ...task }) => {
+    const predecessors = blockedBy.filter((id) => nodes.has(String(id)));
+    predecessors.forEach((id) => edges.push({ from: id, to: task._id }));
+    return {
+      ...task,
+      blocked: predecessors.some(
+        (id) => !done.includes(nodes.get(String(id)).status)
+      ),
+    };
+  });
+
+  return { nodes: graphNodes, edges };
+};
@@ -0,0 +1,47 @@
+// backend/utils/taskProgress.js
+import mongoose from "mongoose";
+import { getTaskOptions } from "./organizationSettings.js";
+import { doneStatusNames } from "./taskWorkflow.js";
+
+/**
+ * Recompute a task's completion percentage and roll it up its parents.
+ *
+ * Checklist items and direct subtasks count as one step each; a subtask is
+ * done once its status is in the "done" category. A task without steps is
+ * 0% or 100% by its own status. Returns the task's new progress.
+ */
+export const refreshTaskProgress = async (taskId, session = null) => {
+  const Task = mongoose.model("BaseTask");
+  const task = await Task.findById(taskId)
+    .select("taskType organization status checklist parentTask")
+    .session(session)
+    .lean();
+  if (!task || task.taskType === "RoutineTask") return;
+
+  const { statuses } = await getTaskOptions(task.organization, session);
+  const doneNames = doneStatusNames(statuses);
+
+  const subtasks = await Task.find({ parentTask: task._id, isDeleted: false })
+    .select("status")
+    .session(session)
+    .lean();
+
+  const checklist = task.checklist || [];
+  const steps = checklist.length + subtasks.length;
+  const done =
+    checklist.filter((item) => item.done).length +
+    subtasks.filter(({ status }) => doneNames.includes(status)).length;
+
+  let progress = doneNames.includes(task.status) ? 100 : 0;
+  if (steps > 0) progress = Math.round((done / steps) * 100);
+
+  // A derived value: leave updatedAt alone
+  await Task.updateOne(
+    { _id: task._id },
+    { $set: { progress } },
+    { session, timestamps: false }
+  );
+
+  if (task.parentTask) await refreshTaskProgress(task.parentTask, session);
+  return progress;
+};
@@ -0,0 +1,218 @@
+// backend/utils/taskTemplateScheduler.js
+import { AssignedTask, TaskTemplate, User } from "../models/index.js";
+import { occurrencesBetween } from "./recurrence.js";
+
+const MINUTE_MS = 60 * 1000;
+
+// How often the job runs and how far ahead of now it creates tasks
+const SCHEDULE_INTERVAL_MS =
+  (Number(process.env.TASK_TEMPLATE_INTERVAL_MINUTES) || 15) * MINUTE_MS;
+const SCHEDULE_HORIZON_MS =
+  (Number(process.env.TASK_TEMPLATE_HORIZON_HOURS) || 24) * 60 * MINUTE_MS;
+
+// Errors the task itself caused, which retrying cannot fix
+const isTaskInvalid = (error) =>
+  error?.name === "ValidationError" ||
+  (error?.isOperational && error.statusCode < 500);
+
+const CREATOR_LEFT_REASON =
+  "The template's creator no longer belongs to its department. Update the template to take it over";
+
+// The AssignedTask generated for one occurrence of a template
+const taskForOccurrence = (template, occurrence) => ({
+  title: template.title,
+  description: template.description,
+  // Unset priorities fall back to the organization default on validation
+  ...(template.priority && { priority: template.priority }),
+  startDate: occurrence,
+  dueDate: new Date(
+    occurrence.getTime() + template.durationMinutes * MINUTE_MS
+  ),
+  assignees: template.assignees,
+  watchers: template.watchers,
+  tags: template.tags,
+  checklist: (template.checklist || []).map((text) => ({ text })),
+  organization: template.organization,
+  department: template.department,
+  createdBy: template.createdBy,
+  template: template._id,
+  occurrence,
+});
+
+/**
+ * Generate the AssignedTasks of a template's occurrences up to `until`.
+ *
+ * Picks up after the template's `generatedThrough`, and never before `now`:
+ * tasks cannot start in the past, so occurrences missed while the job was
+ * down are skipped. The unique { template, occurrence } index makes every
+ * occurrence idempotent; one that already has a task counts as existing.
+ *
+ * A template that can no longer generate valid tasks is paused with the
+ * reason instead of failing on every run: when its creator is no longer an
+ * active member of its department, or when an occurrence's task fails
+ * validation (e.g. an assignee left the department). Updating and
+ * reactivating the template resumes it from that occurrence. Any other
+ * failure stops the run at that occurrence so the next run retries it.
+ */
+export const materializeTemplate = async (
+  template,
+  {
+    now = new Date(),
+    until = new Date(now.getTime() + SCHEDULE_HORIZON_MS),
+  } = {}
+) => {
+  const creatorActive = await User.exists({
+    _id: template.createdBy,
+    organization: template.organization,
+    department: template.department,
+    isDeleted: false,
+  });
+  if (!creatorActive) {
+    await TaskTemplate.updateOne(
+      { _id: template._id },
+      { $set: { isActive: false, pausedReason: CREATOR_LEFT_REASON } },
+      { timestamps: false }
+    );
+    return {
+      template: template._id,
+      created: 0,
+      existing: 0,
+      generatedThrough: template.generatedThrough,
+      paused: true,
+      error: CREATOR_LEFT_REASON,
+    };
+  }
+
+  const previous = template.generatedThrough;
+  const from = previous && previous > now ? previous : now;
+  const occurrences = occurrencesBetween(template.recurrence, {
+    dtstart: template.startsAt,
+    timeZone: template.timezone,
+    from,
+    to: until,
+  });
+
+  let created = 0;
+  let existing = 0;
+  let failure = null;
+  let pausedReason = null;
+  let generatedThrough = until > from ? until : from;
+  for (const occurrence of occurrences) {
+    try {
+      await new AssignedTask(taskForOccurrence(template, occurrence)).save();
+      created += 1;
+    } catch (error) {
+      if (error?.code === 11000) {
+        existing += 1;
+        continue;
+      }
+      failure = error;
+      generatedThrough = new Date(occurrence.getTime() - 1);
+      if (isTaskInvalid(error)) {
+        pausedReason = `The task for ${occurrence.toISOString()} could not be created: ${
+          error.message
+        }`;
+      }
+      break;
+    }
+  }
+
+  // Bookkeeping only: leave updatedAt alone
+  await TaskTemplate.updateOne(
+    { _id: template._id },
+    {
+      $set: {
+        generatedThrough,
+        ...(pausedReason && { isActive: false, pausedReason }),
+      },
+    },
+    { timestamps: false }
+  );
+
+  return {
+    template: template._id,
+    created,
+    existing,
+    generatedThrough,
+    paused: Boolean(pausedReason),
+    error: pausedReason || failure?.message || null,
+  };
+};
+
+/**
+ * Generate tasks for every active template whose window is not yet covered
+ * through the scheduling horizon.
+ */
+export const materializeDueTemplates = async ({ now = new Date() } = {}) => {
+  const until = new Date(now.getTime() + SCHEDULE_HORIZON_MS);
+  const templates = await TaskTemplate.find({
+    isDeleted: false,
+    isActive: true,
+    $or: [{ generatedThrough: null }, { generatedThrough: { $lt: until } }],
+  }).lean();
+
+  const reports = [];
+  for (const template of templates) {
+    try {
+      const report = await materializeTemplate(template, { now, until });
+      reports.push(report);
+
+      if (report.created > 0) {
+        console.log(
+          `🗓️ Generated ${report.created} task(s) from template "${template.title}"`
+        );
+      }
+      if (report.paused) {
+        console.warn(
+          `⏸️ Task template "${template.title}" paused:`,
+          report.error
+        );
+      } else if (report.error) {
+        console.error(
+          `❌ Task template "${template.title}" stopped at an occurrence:`,
+          report.error
+        );
+      }
+    } catch (error) {
+      // One template failing must not stop the others from being scheduled
+      console.error(
+        `❌ Task template "${template.title}" failed:`,
+        error.message
+      );
+    }
+  }
+
+  return reports;
+};
+
+/**
+ * Start the periodic task template job. Returns a function that stops it.
+ */
+export const startTaskTemplateJob = () => {
+  let running = false;
+
+  const run = async () => {
+    // Skip a tick rather than overlap a run that is still going
+    if (running) return;
+    running = true;
+    try {
+      await materializeDueTemplates();
+    } catch (error) {
+      console.error("❌ Task template job failed:", error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, SCHEDULE_INTERVAL_MS);
+  timer.unref();
+  run();
+
+  const minutes = SCHEDULE_INTERVAL_MS / MINUTE_MS;
+  const hours = SCHEDULE_HORIZON_MS / (60 * MINUTE_MS);
+  console.log(
+    `🗓️ Task template job scheduled every ${minutes}m, ${hours}h ahead`
+  );
+
+  return () => clearInterval(timer);
+};
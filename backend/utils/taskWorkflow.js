@@ -0,0 +1,200 @@
+// backend/utils/taskWorkflow.js
+import mongoose from "mongoose";
+import CustomError from "../errorHandler/CustomError.js";
+import workflows from "../config/taskWorkflows.js";
+
+const workflowOf = (taskType) => {
+  const workflow = workflows[taskType];
+  if (!workflow) {
+    throw new CustomError(
+      `No status workflow is configured for ${taskType}`,
+      500,
+      "WORKFLOW_CONFIG_ERROR"
+    );
+  }
+  return workflow;
+};
+
+// Category of a status in an organization's status set
+const categoryOf = (statuses, name) =>
+  statuses?.find((status) => status.name === name)?.category;
+
+/**
+ * Names of the statuses in the "done" category of a status set.
+ */
+export const doneStatusNames = (statuses) =>
+  statuses
+    .filter(({ category }) => category === "done")
+    .map(({ name }) => name);
+
+/**
+ * Ensure a task's status and priority belong to its organization's sets.
+ */
+export const assertTaskOptions = ({ status, priority }, options) => {
+  const checks = [
+    ["Status", status, options.statuses],
+    ["Priority", priority, options.priorities],
+  ];
+  for (const [label, value, allowed] of checks) {
+    if (value === undefined || allowed.some((o) => o.name === value)) continue;
+    throw new CustomError(
+      `${label} must be one of: ${allowed.map((o) => o.name).join(", ")}`,
+      400,
+      "VALIDATION_ERROR"
+    );
+  }
+};
+
+/**
+ * Ensure a new task starts in one of its workflow's initial statuses.
+ * `statuses` is the organization's status set, used to place custom statuses
+ * by category; omit it for task types with a fixed status set.
+ */
+export const assertInitialStatus = (taskType, status, statuses = null) => {
+  const { initial, initialCategories = [] } = workflowOf(taskType);
+  if (
+    initial.includes(status) ||
+    initialCategories.includes(categoryOf(statuses, status))
+  ) {
+    return;
+  }
+
+  const allowed = statuses
+    ? statuses
+        .filter(
+          ({ name, category }) =>
+            initial.includes(name) || initialCategories.includes(category)
+        )
+        .map(({ name }) => name)
+    : initial;
+  throw new CustomError(
+    `A new task can only start as: ${allowed.join(", ")}`,
+    400,
+    "INVALID_STATUS_TRANSITION_ERROR"
+  );
+};
+
+/**
+ * Ensure the actor may move a task from one status to another. Moves between
+ * statuses named in the workflow use its status graph, any other move uses
+ * the category graph. Moves missing from the graph are invalid (400); moves
+ * the actor's role may not make are forbidden (403).
+ */
+export const assertStatusTransition = (
+  taskType,
+  from,
+  to,
+  actor,
+  statuses = null
+) => {
+  if (!actor?._id || !actor.role) {
+    throw new CustomError(
+      "Task status changes require an acting user",
+      500,
+      "WORKFLOW_ACTOR_ERROR"
+    );
+  }
+
+  const { transitions, categoryTransitions = {} } = workflowOf(taskType);
+  const named =
+    Object.hasOwn(transitions, from) && Object.hasOwn(transitions, to);
+  const roles = named
+    ? transitions[from][to]
+    : categoryTransitions[categoryOf(statuses, from)]?.[
+        categoryOf(statuses, to)
+      ];
+
+  if (!roles) {
+    throw new CustomError(
+      `Cannot change task status from "${from}" to "${to}"`,
+      400,
+      "INVALID_STATUS_TRANSITION_ERROR"
+    );
+  }
+  if (!roles.includes(actor.role)) {
+    throw new CustomError(
+      `${actor.role} cannot change task status from "${from}" to "${to}"`,
+      403,
+      "STATUS_TRANSITION_FORBIDDEN_ERROR"
+    );
+  }
+};
+
+/**
+ * Write a status transition to the task's activity history.
+ */
+export const recordStatusChange = async (
+  task,
+  { from, to, actor },
+  session
+) => {
+  await mongoose.model("TaskActivity").create(
+    [
+      {
+        task: task._id,
+        taskModel: task.taskType,
+        kind: "StatusChange",
+        activity: `Status changed from "${from}" to "${to}"`,
+        statusChange: { from, to },
+        organization: task.organization,
+        department: task.department,
+        createdBy: actor._id,
+      },
+    ],
+    { session }
+  );
+};
+
+/**
+ * Ensure a task has no open subtasks before it moves to a done status.
+ */
+export const assertNoOpenSubtasks = async (taskId, statuses, session) => {
+  const openSubtask = await mongoose
+    .model("BaseTask")
+    .exists({
+      parentTask: taskId,
+      isDeleted: false,
+      status: { $nin: doneStatusNames(statuses) },
+    })
+    .session(session || null);
+
+  if (openSubtask) {
+    throw new CustomError(
+      "A task cannot be completed while it has open subtasks",
+      409,
+      "OPEN_SUBTASKS_ERROR"
+    );
+  }
+};
+
+/**
+ * Ensure a task is not started (open -> active) or completed (-> done) while
+ * any active task it is blocked by is still open.
+ */
+export const assertNotBlocked = async (
+  { blockedBy, from, to },
+  statuses,
+  session
+) => {
+  const toCategory = categoryOf(statuses, to);
+  const starts =
+    toCategory === "active" && categoryOf(statuses, from) === "open";
+  if (!blockedBy?.length || (!starts && toCategory !== "done")) return;
+
+  const openPredecessor = await mongoose
+    .model("BaseTask")
+    .exists({
+      _id: { $in: blockedBy },
+      isDeleted: false,
+      status: { $nin: doneStatusNames(statuses) },
+    })
+    .session(session || null);
+
+  if (openPredecessor) {
+    throw new CustomError(
+      `Cannot move a blocked task to "${to}" while a task it depends on is open`,
+      409,
+      "TASK_BLOCKED_ERROR"
+    );
+  }
+};
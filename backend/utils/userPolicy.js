@@ -0,0 +1,40 @@
+// backend/utils/userPolicy.js
+import CustomError from "../errorHandler/CustomError.js";
+import { UserRole } from "./constants.js";
+
+// UserRole is ordered from most to least privileged
+const rankOf = (role) => UserRole.indexOf(role);
+
+// Whether the caller's role is strictly above the given role
+export const outranks = (callerRole, role) => rankOf(callerRole) < rankOf(role);
+
+// Callers may only grant roles below their own (invite or role change)
+export const assertRoleAssignable = (callerRole, role) => {
+  if (!outranks(callerRole, role)) {
+    throw new CustomError(
+      `You can not assign the ${role} role`,
+      403,
+      "FORBIDDEN_ERROR"
+    );
+  }
+};
+
+// Map the unique User indexes ({organization, email} and {department, role})
+// to clear conflicts
+export const toUserConflictError = (error) => {
+  if (error?.code === 11000 && error.keyPattern?.role) {
+    return new CustomError(
+      "This role is already assigned in the department",
+      409,
+      "ROLE_ALREADY_ASSIGNED_ERROR"
+    );
+  }
+  if (error?.code === 11000 && error.keyPattern?.email) {
+    return new CustomError(
+      "A user with this email already exists in the organization",
+      409,
+      "USER_ALREADY_EXISTS_ERROR"
+    );
+  }
+  return error;
+};
@@ -58,6 +58,15 @@
     };
   }
 
+  // Check if email address is verified
+  if (!user.isEmailVerified) {
+    return {
+      status: true,
+      message: "Email address is not verified",
+      errorCode: "EMAIL_NOT_VERIFIED_ERROR",
+    };
+  }
+
   return { status: false };
 };
 